@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+// Checks dietaryInfo flags against the ingredients and stores the allergens
+// found for every recipe. Recipes checked for the first time keep their
+// dietaryInfo as the claimed flags.
+// Safe to run repeatedly, e.g. after changing the allergen rules.
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const mongoose = require("mongoose");
+const config = require("../src/config/config");
+const Recipe = require("../src/models/Recipe");
+const ingredientCatalog = require("../src/services/ingredientCatalog");
+const dietaryRules = require("../src/services/dietaryRules");
+
+const BATCH_SIZE = 500;
+
+async function backfillAllergens() {
+  console.log("🥜 Checking dietary flags and allergens...\n");
+
+  await mongoose.connect(config.mongodbUri, {
+    serverSelectionTimeoutMS: 5000,
+  });
+
+  await ingredientCatalog.initialize();
+
+  const cursor = Recipe.find()
+    .select(
+      "ingredients servings nutritionalInfo nutrition dietaryInfo dietaryCheck"
+    )
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Recipe.bulkWrite(operations, { timestamps: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const recipe of cursor) {
+    scanned++;
+    const claimed = recipe.dietaryCheck
+      ? recipe.dietaryCheck.claimed
+      : recipe.dietaryInfo;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: recipe._id },
+        update: { $set: dietaryRules.checkRecipe(recipe, claimed) },
+        timestamps: false,
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`\n✅ Scanned ${scanned} recipes, updated ${updated}`);
+}
+
+backfillAllergens()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+// Stores the lowercase cuisine key that cuisine filters match on for every
+// recipe saved before it existed. Safe to run repeatedly.
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const mongoose = require("mongoose");
+const config = require("../src/config/config");
+const Recipe = require("../src/models/Recipe");
+
+const BATCH_SIZE = 500;
+
+async function backfillCuisineKeys() {
+  console.log("🌍 Storing cuisine keys...\n");
+
+  await mongoose.connect(config.mongodbUri, {
+    serverSelectionTimeoutMS: 5000,
+  });
+
+  const cursor = Recipe.find().select("cuisine cuisineKey").lean().cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Recipe.bulkWrite(operations, { timestamps: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const recipe of cursor) {
+    scanned++;
+    const cuisineKey = Recipe.toCuisineKey(recipe.cuisine);
+    if ((recipe.cuisineKey || "") === cuisineKey) continue;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: recipe._id },
+        update: cuisineKey
+          ? { $set: { cuisineKey } }
+          : { $unset: { cuisineKey: "" } },
+        timestamps: false,
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`\n✅ Scanned ${scanned} recipes, updated ${updated}`);
+}
+
+backfillCuisineKeys()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+// Seeds the ingredient catalog and maps every recipe's ingredients to
+// canonical ids (ingredients[].ingredientId and ingredientIds). Safe to run
+// repeatedly, e.g. after adding catalog entries or aliases.
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const mongoose = require("mongoose");
+const config = require("../src/config/config");
+const Recipe = require("../src/models/Recipe");
+const ingredientCatalog = require("../src/services/ingredientCatalog");
+
+const BATCH_SIZE = 500;
+
+async function backfillIngredients() {
+  console.log("🥕 Backfilling canonical ingredient ids...\n");
+
+  await mongoose.connect(config.mongodbUri, {
+    serverSelectionTimeoutMS: 5000,
+  });
+
+  await ingredientCatalog.seed();
+  await ingredientCatalog.initialize();
+
+  const cursor = Recipe.find()
+    .select("ingredients inputIngredients ingredientIds")
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Recipe.bulkWrite(operations, { timestamps: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const recipe of cursor) {
+    scanned++;
+    operations.push({
+      updateOne: {
+        filter: { _id: recipe._id },
+        update: {
+          $set: {
+            ingredients: (recipe.ingredients || []).map((ingredient) => ({
+              ...ingredient,
+              ingredientId: ingredientCatalog.toIngredientId(ingredient.name),
+            })),
+            ingredientIds: Recipe.buildIngredientIds(recipe),
+          },
+        },
+        timestamps: false,
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`\n✅ Scanned ${scanned} recipes, updated ${updated}`);
+}
+
+backfillIngredients()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+// Computes nutrition from ingredient amounts for every recipe. Recipes that
+// predate computed nutrition keep their nutritionalInfo as the AI values.
+// Safe to run repeatedly, e.g. after changing the nutrient table.
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const mongoose = require("mongoose");
+const config = require("../src/config/config");
+const Recipe = require("../src/models/Recipe");
+const ingredientCatalog = require("../src/services/ingredientCatalog");
+
+const BATCH_SIZE = 500;
+
+async function backfillNutrition() {
+  console.log("🥦 Backfilling computed nutrition...\n");
+
+  await mongoose.connect(config.mongodbUri, {
+    serverSelectionTimeoutMS: 5000,
+  });
+
+  await ingredientCatalog.initialize();
+
+  const cursor = Recipe.find()
+    .select("ingredients nutritionalInfo nutrition")
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Recipe.bulkWrite(operations, { timestamps: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const recipe of cursor) {
+    scanned++;
+    const aiValues = recipe.nutrition
+      ? recipe.nutrition.ai
+      : recipe.nutritionalInfo;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: recipe._id },
+        update: { $set: Recipe.resolveNutrition(recipe, aiValues) },
+        timestamps: false,
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`\n✅ Scanned ${scanned} recipes, updated ${updated}`);
+}
+
+backfillNutrition()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
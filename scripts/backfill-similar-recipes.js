@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+// Computes the similar recipe lists of every recipe. The server keeps them
+// up to date afterwards and computes missing lists on first request, so this
+// only saves the first visitors of each recipe the wait.
+// Safe to run repeatedly.
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const mongoose = require("mongoose");
+const config = require("../src/config/config");
+const Recipe = require("../src/models/Recipe");
+const ingredientCatalog = require("../src/services/ingredientCatalog");
+const similarRecipeService = require("../src/services/similarRecipeService");
+
+const PROGRESS_EVERY = 500;
+
+async function backfillSimilarRecipes() {
+  console.log("🔗 Computing similar recipes...\n");
+
+  await mongoose.connect(config.mongodbUri, {
+    serverSelectionTimeoutMS: 5000,
+  });
+
+  await ingredientCatalog.initialize();
+
+  const cursor = Recipe.find().select("_id").lean().cursor();
+
+  let computed = 0;
+  for await (const recipe of cursor) {
+    await similarRecipeService.refresh(recipe._id);
+    computed++;
+    if (computed % PROGRESS_EVERY === 0) {
+      console.log(`   ${computed} recipes done`);
+    }
+  }
+
+  console.log(`\n✅ Computed similar recipes for ${computed} recipes`);
+}
+
+backfillSimilarRecipes()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+// Stores the sort keys of recipe listings for every recipe: saveCount,
+// ratingScore and a trendingScore seeded from the rating dates (views and
+// saves weren't timestamped before). Safe to run repeatedly, e.g. after
+// changing RATING_PRIOR_MEAN, RATING_PRIOR_COUNT or TRENDING_HALF_LIFE_HOURS,
+// though trending activity since the last run is then reset to the ratings.
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const mongoose = require("mongoose");
+const config = require("../src/config/config");
+const Recipe = require("../src/models/Recipe");
+
+const BATCH_SIZE = 500;
+
+async function backfillSortKeys() {
+  console.log("📊 Computing recipe sort keys...\n");
+
+  await mongoose.connect(config.mongodbUri, {
+    serverSelectionTimeoutMS: 5000,
+  });
+
+  const cursor = Recipe.find().select("ratings savedByUsers").lean().cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Recipe.bulkWrite(operations, { timestamps: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const recipe of cursor) {
+    scanned++;
+    const doc = Recipe.hydrate(recipe);
+    doc.updateAverageRating();
+    doc.trendingScore = undefined;
+    doc.ratings.forEach((rating) =>
+      doc.recordActivity("rating", rating.createdAt)
+    );
+
+    const update = {
+      $set: {
+        saveCount: (recipe.savedByUsers || []).length,
+        ratingScore: doc.ratingScore,
+      },
+    };
+    if (doc.trendingScore === undefined) {
+      update.$unset = { trendingScore: "" };
+    } else {
+      update.$set.trendingScore = doc.trendingScore;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: recipe._id },
+        update,
+        timestamps: false,
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`\n✅ Scanned ${scanned} recipes, updated ${updated}`);
+}
+
+backfillSortKeys()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
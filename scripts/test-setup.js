@@ -4,7 +4,7 @@ const path = require("path");
 require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
 
 const config = require("../src/config/config");
-const azureOpenAIService = require("../src/services/azureOpenAIService");
+const aiService = require("../src/services/aiService");
 
 async function testSetup() {
   console.log("🧪 Testing Cookly Backend Setup...\n");
@@ -19,6 +19,7 @@ async function testSetup() {
   console.log(
     `   ✓ JWT Secret: ${config.jwtSecret ? "✓ Configured" : "❌ Missing"}`
   );
+  console.log(`   ✓ AI Provider: ${config.aiProvider}`);
   console.log(
     `   ✓ Azure OpenAI Endpoint: ${
       config.azureOpenAI.endpoint ? "✓ Configured" : "❌ Missing"
@@ -30,10 +31,10 @@ async function testSetup() {
     }\n`
   );
 
-  // Test 2: Azure OpenAI Connection
-  console.log("2. Azure OpenAI Connection:");
+  // Test 2: AI Provider Connection
+  console.log(`2. AI Provider Connection (${config.aiProvider}):`);
   try {
-    const testResult = await azureOpenAIService.testConnection();
+    const testResult = await aiService.testConnection();
     if (testResult.success) {
       console.log(`   ✅ ${testResult.message}`);
       console.log(`   Response: ${testResult.response}`);
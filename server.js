@@ -7,6 +7,11 @@ const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const connectDB = require("./src/config/database");
 const config = require("./src/config/config");
+const aiService = require("./src/services/aiService");
+const recipeCacheService = require("./src/services/recipeCacheService");
+const ingredientCatalog = require("./src/services/ingredientCatalog");
+const recipeSearchService = require("./src/services/recipeSearchService");
+const similarRecipeService = require("./src/services/similarRecipeService");
 const errorHandler = require("./src/middleware/errorHandler");
 const requestLogger = require("./src/middleware/requestLogger");
 const timeout = require("./src/middleware/timeout");
@@ -48,6 +53,15 @@ const initializeApp = async () => {
     // Connect to MongoDB first
     await connectDB();
     console.log("✅ Database connection established");
+
+    // Seed and load the canonical ingredient catalog
+    await ingredientCatalog.initialize();
+
+    // Move to the weighted text search index
+    await recipeSearchService.initialize();
+
+    // Keep similar recipe lists up to date in the background
+    similarRecipeService.start();
   } catch (error) {
     console.error("❌ Failed to connect to database:", error.message);
     // In development, continue without database
@@ -91,7 +105,20 @@ app.use(
       "Cache-Control",
       "Pragma",
     ],
-    exposedHeaders: ["Content-Length", "X-Foo", "X-Bar"],
+    exposedHeaders: [
+      "Content-Length",
+      "X-Foo",
+      "X-Bar",
+      "X-Request-ID",
+      "Retry-After",
+      "X-AI-Quota-Tier",
+      "X-AI-Quota-Daily-Remaining",
+      "X-AI-Quota-Daily-Tokens-Remaining",
+      "X-AI-Quota-Monthly-Remaining",
+      "X-AI-Quota-Monthly-Tokens-Remaining",
+      "X-AI-Quota-Reset",
+      "X-Recipe-Cache",
+    ],
     maxAge: 86400, // 24 hours
     preflightContinue: false,
     optionsSuccessStatus: 200,
@@ -124,6 +151,9 @@ app.use(express.urlencoded({ extended: true }));
 app.use("/api/auth", require("./src/routes/auth"));
 app.use("/api/recipes", require("./src/routes/recipes"));
 app.use("/api/users", require("./src/routes/users"));
+app.use("/api/ingredients", require("./src/routes/ingredients"));
+app.use("/api/meal-plans", require("./src/routes/mealPlans"));
+app.use("/api/shopping-lists", require("./src/routes/shoppingLists"));
 
 // Enhanced health check endpoint with comprehensive system status
 app.get("/health", async (req, res) => {
@@ -167,10 +197,24 @@ app.get("/health", async (req, res) => {
 
     // Check AI service
     try {
-      if (config.azureOpenAI.apiKey && config.azureOpenAI.endpoint) {
-        healthStatus.services.ai = "configured";
-      } else {
-        healthStatus.services.ai = "not_configured";
+      const aiStatus = aiService.getStatus();
+      healthStatus.services.ai = aiStatus.configured
+        ? "configured"
+        : "not_configured";
+      healthStatus.aiProvider = {
+        provider: aiStatus.provider,
+        model: aiStatus.model,
+        deployments: aiStatus.deployments,
+      };
+      if (!aiStatus.configured) {
+        healthStatus.status = "DEGRADED";
+      } else if (
+        aiStatus.deployments &&
+        aiStatus.deployments
+          .filter((deployment) => deployment.configured)
+          .every((deployment) => deployment.circuit.state === "open")
+      ) {
+        healthStatus.services.ai = "circuit_open";
         healthStatus.status = "DEGRADED";
       }
     } catch (aiError) {
@@ -178,6 +222,9 @@ app.get("/health", async (req, res) => {
       healthStatus.status = "DEGRADED";
     }
 
+    // Recipe cache hit/miss counters since startup
+    healthStatus.recipeCache = recipeCacheService.getStats();
+
     const statusCode = healthStatus.status === "OK" ? 200 : 503;
     res.status(statusCode).json(healthStatus);
   } catch (error) {
@@ -196,23 +243,24 @@ app.get("/health", async (req, res) => {
 
 // Test endpoint to verify API without database
 app.get("/test", (req, res) => {
+  const aiStatus = aiService.getStatus();
+
   res.json({
     success: true,
     message: "API is working correctly",
     features: {
       authentication: "Ready",
-      recipeGeneration: config.azureOpenAI.apiKey
+      recipeGeneration: aiStatus.configured
         ? "Ready"
-        : "Needs Azure OpenAI credentials",
+        : `Needs ${aiStatus.provider} configuration`,
       database: "Needs MongoDB connection",
       validation: "Ready",
       errorHandling: "Ready",
     },
     config: {
-      hasEndpoint: !!config.azureOpenAI.endpoint,
-      hasApiKey: !!config.azureOpenAI.apiKey,
-      deploymentName: config.azureOpenAI.deploymentName,
-      apiVersion: config.azureOpenAI.apiVersion,
+      aiProvider: aiStatus.provider,
+      model: aiStatus.model,
+      configured: aiStatus.configured,
     },
     timestamp: new Date().toISOString(),
   });
@@ -221,23 +269,18 @@ app.get("/test", (req, res) => {
 // Test recipe generation without authentication or database
 app.post("/test-recipe", timeout(60000), async (req, res) => {
   try {
-    const azureOpenAIService = require("./src/services/azureOpenAIService");
     const { ingredients = ["chicken", "rice", "vegetables"] } = req.body;
 
-    console.log("🤖 Generating recipe with Azure OpenAI...");
-
-    const recipe = await azureOpenAIService.generateRecipe(ingredients, {
+    const recipe = await aiService.generateRecipe(ingredients, {
       servings: 4,
       mealType: "dinner",
       difficulty: "medium",
     });
 
-    console.log("✅ Recipe generated successfully");
-
     res.json({
       success: true,
       message: "Recipe generated successfully (test mode)",
-      data: { recipe },
+      data: { recipe, provider: aiService.getStatus().provider },
     });
   } catch (error) {
     console.error("❌ Recipe generation failed:", error.message);
@@ -265,6 +308,9 @@ app.get("/", (req, res) => {
       auth: "/api/auth",
       recipes: "/api/recipes",
       users: "/api/users",
+      ingredients: "/api/ingredients",
+      mealPlans: "/api/meal-plans",
+      shoppingLists: "/api/shopping-lists",
       health: "/health",
     },
   });
@@ -319,6 +365,7 @@ startServer();
 // Graceful shutdown handling
 const gracefulShutdown = async (signal) => {
   console.log(`\n📤 Received ${signal}. Starting graceful shutdown...`);
+  similarRecipeService.stop();
 
   if (server) {
     server.close(async (err) => {
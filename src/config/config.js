@@ -1,3 +1,54 @@
+// Parse a JSON object from an environment variable
+const parseJsonObject = (value, name) => {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch (error) {
+    console.warn(`⚠️ Ignoring ${name}: not a valid JSON object`);
+    return {};
+  }
+};
+
+// Parse a JSON array from an environment variable
+const parseJsonList = (value, name) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn(`⚠️ Ignoring ${name}: not a valid JSON array`);
+    return [];
+  }
+};
+
+// Parse a count from an environment variable where 0 is meaningful (e.g. to
+// turn retries off), falling back to the default when unset or invalid
+const parseCount = (value, name, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const parsed = Number(value);
+  if (Number.isInteger(parsed) && parsed >= 0) return parsed;
+  console.warn(`⚠️ Ignoring ${name}: not a whole number, using ${fallback}`);
+  return fallback;
+};
+
+// Apply per-tier, per-window quota overrides on top of the defaults
+const mergeQuotas = (defaults, overrides) => {
+  const merged = { ...defaults };
+  Object.entries(overrides).forEach(([tier, windows]) => {
+    merged[tier] = {
+      daily: { ...(defaults[tier] || {}).daily, ...(windows || {}).daily },
+      monthly: {
+        ...(defaults[tier] || {}).monthly,
+        ...(windows || {}).monthly,
+      },
+    };
+  });
+  return merged;
+};
+
 const config = {
   // Server
   port: process.env.PORT || 5000,
@@ -9,7 +60,42 @@ const config = {
 
   // JWT
   jwtSecret: process.env.JWT_SECRET || "fallback-secret-key",
-  jwtExpire: process.env.JWT_EXPIRE || "7d",
+  jwtExpire: process.env.JWT_EXPIRE || "15m", // access token lifetime
+  refreshTokenExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
+
+  // Account recovery and verification
+  passwordResetExpireMinutes:
+    parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60,
+  emailVerificationExpireHours:
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24,
+  requireVerifiedEmailForGeneration:
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR_GENERATION === "true",
+
+  // Mail
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || "console", // console | file
+    from: process.env.MAIL_FROM || "Cookly <no-reply@cookly.app>",
+    fileDirectory: process.env.MAIL_FILE_DIR || "tmp/mail",
+  },
+
+  // AI provider: azure-openai | openai-compatible | mock
+  aiProvider: process.env.AI_PROVIDER || "azure-openai",
+  // Structured output mode: json_schema | json_object | none
+  aiResponseFormat: process.env.AI_RESPONSE_FORMAT || "json_object",
+  aiMaxRepairAttempts: parseCount(
+    process.env.AI_MAX_REPAIR_ATTEMPTS,
+    "AI_MAX_REPAIR_ATTEMPTS",
+    2
+  ),
+  aiRetry: {
+    maxRetries: parseCount(process.env.AI_MAX_RETRIES, "AI_MAX_RETRIES", 2),
+    baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 500,
+    maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS) || 8000,
+  },
+  aiCircuitBreaker: {
+    failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+    cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS) || 30000,
+  },
 
   // Azure OpenAI
   azureOpenAI: {
@@ -17,12 +103,120 @@ const config = {
     apiKey: process.env.AZURE_OPENAI_API_KEY,
     apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-02-15-preview",
     deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || "gpt-35-turbo",
+    // Ordered fallbacks, e.g. [{ "deploymentName": "gpt-4o-mini" },
+    // { "endpoint": "...", "apiKey": "...", "deploymentName": "..." }];
+    // missing fields are taken from the primary deployment
+    fallbacks: parseJsonList(
+      process.env.AZURE_OPENAI_FALLBACKS,
+      "AZURE_OPENAI_FALLBACKS"
+    ),
+  },
+
+  // OpenAI or a local OpenAI-compatible server (Ollama, llama.cpp)
+  openAICompatible: {
+    baseURL: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  },
+
+  // Fixture-driven mock provider
+  mockAI: {
+    fixturesDir: process.env.MOCK_AI_FIXTURES_DIR,
   },
 
   // App Settings
   maxIngredients: parseInt(process.env.MAX_INGREDIENTS) || 20,
   defaultRecipePortions: parseInt(process.env.DEFAULT_RECIPE_PORTIONS) || 4,
 
+  // Cache of generations keyed on options + canonical ingredient ids. Entries
+  // match when their ingredient similarity (Jaccard) reaches the threshold.
+  recipeCache: {
+    enabled: process.env.RECIPE_CACHE_ENABLED !== "false",
+    similarityThreshold: parseFloat(process.env.RECIPE_CACHE_SIMILARITY) || 0.8,
+    ttlHours: parseInt(process.env.RECIPE_CACHE_TTL_HOURS) || 168,
+  },
+
+  // Ingredients assumed to be at hand when matching recipes against a pantry
+  // (comma separated names, resolved through the ingredient catalog)
+  pantryStaples: (
+    process.env.PANTRY_STAPLES ||
+    "salt,black pepper,water,vegetable oil,olive oil"
+  )
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean),
+  // Pantry items expiring within this many days count as "expiring soon" and
+  // are prioritized by use-it-up generation, which uses at most
+  // pantryUseItUpLimit items. A pantry holds at most pantryMaxItems items.
+  pantryExpiringSoonDays: parseInt(process.env.PANTRY_EXPIRING_SOON_DAYS) || 3,
+  pantryUseItUpLimit: parseInt(process.env.PANTRY_USE_IT_UP_LIMIT) || 8,
+  pantryMaxItems: parseInt(process.env.PANTRY_MAX_ITEMS) || 200,
+
+  // Most recipes meal plan generation may ask the AI for per plan; slots the
+  // recipe store can't fill beyond that are left empty
+  mealPlanMaxAIRecipes: parseCount(
+    process.env.MEAL_PLAN_MAX_AI_RECIPES,
+    "MEAL_PLAN_MAX_AI_RECIPES",
+    3
+  ),
+
+  // Items a shopping list can hold, counting manually added ones
+  shoppingListMaxItems: parseInt(process.env.SHOPPING_LIST_MAX_ITEMS) || 300,
+
+  // Listing orders: top-rated ranks by the average rating with
+  // ratingPriorCount extra ratings of ratingPriorMean, and trending activity
+  // loses half its weight every trendingHalfLifeHours
+  recipeSorting: {
+    ratingPriorMean: parseFloat(process.env.RATING_PRIOR_MEAN) || 3.5,
+    ratingPriorCount: parseInt(process.env.RATING_PRIOR_COUNT) || 5,
+    trendingHalfLifeHours:
+      parseInt(process.env.TRENDING_HALF_LIFE_HOURS) || 72,
+  },
+
+  // Similar recipes (GET /api/recipes/:id/similar): neighbors kept per
+  // recipe, ingredients too common to make recipes similar, and how often,
+  // how many and after how long lists are refreshed in the background
+  similarRecipes: {
+    neighbors: parseInt(process.env.SIMILAR_RECIPES_NEIGHBORS) || 20,
+    staples: (
+      process.env.SIMILAR_RECIPES_STAPLES ||
+      "salt,black pepper,water,vegetable oil,olive oil,butter,sugar,onion," +
+        "garlic"
+    )
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+    maxAgeHours: parseInt(process.env.SIMILAR_RECIPES_MAX_AGE_HOURS) || 24,
+    refreshIntervalSeconds:
+      parseInt(process.env.SIMILAR_RECIPES_REFRESH_INTERVAL_SECONDS) || 60,
+    refreshBatchSize:
+      parseInt(process.env.SIMILAR_RECIPES_REFRESH_BATCH_SIZE) || 50,
+  },
+
+  // Minutes the words used to correct typos in search queries are cached
+  searchVocabularyTtlMinutes:
+    parseInt(process.env.SEARCH_VOCABULARY_TTL_MINUTES) || 10,
+
+  // Per-user AI quotas by User.tier (UTC day / calendar month); null means
+  // unlimited. AI_QUOTAS can override tiers, e.g. {"free":{"daily":{"generations":5}}}
+  aiQuotas: mergeQuotas(
+    {
+      free: {
+        daily: { generations: 20, tokens: 50000 },
+        monthly: { generations: 200, tokens: 500000 },
+      },
+      pro: {
+        daily: { generations: 100, tokens: 300000 },
+        monthly: { generations: 2000, tokens: 5000000 },
+      },
+      unlimited: {
+        daily: { generations: null, tokens: null },
+        monthly: { generations: null, tokens: null },
+      },
+    },
+    parseJsonObject(process.env.AI_QUOTAS, "AI_QUOTAS")
+  ),
+
   // Rate Limiting
   rateLimiting: {
     windowMs: 15 * 60 * 1000, // 15 minutes
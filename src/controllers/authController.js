@@ -1,16 +1,55 @@
 const User = require("../models/User");
+const Session = require("../models/Session");
 const jwt = require("jsonwebtoken");
 const config = require("../config/config");
+const mailService = require("../services/mailService");
 const { validationResult } = require("express-validator");
 const asyncHandler = require("../utils/asyncHandler");
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, config.jwtSecret, {
+// Preferences PUT /api/auth/profile can set
+const PREFERENCE_FIELDS = [
+  "dietaryRestrictions",
+  "favoriteIngredients",
+  "dislikedIngredients",
+  "allergies",
+  "defaultPortions",
+  "unitSystem",
+  "dailyCalorieTarget",
+  "pantryStaples",
+];
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, config.jwtSecret, {
     expiresIn: config.jwtExpire,
   });
 };
 
+// Start a new session and issue its access and refresh tokens
+const issueTokens = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, {
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+  });
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+  };
+};
+
+// Send a fresh verification email; mail failures shouldn't fail the request
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendEmailVerification(user, verificationToken);
+  } catch (error) {
+    console.error("❌ Failed to send verification email:", error.message);
+  }
+};
+
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -44,8 +83,10 @@ const register = asyncHandler(async (req, res) => {
     preferences: preferences || {},
   });
 
-  // Generate token
-  const token = generateToken(user._id);
+  await sendVerificationEmail(user);
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user._id, req);
 
   // Get user without password
   const userProfile = user.getPublicProfile();
@@ -56,6 +97,7 @@ const register = asyncHandler(async (req, res) => {
     data: {
       user: userProfile,
       token,
+      refreshToken,
     },
   });
 });
@@ -108,8 +150,8 @@ const login = asyncHandler(async (req, res) => {
   user.lastLoginAt = new Date();
   await user.save();
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user._id, req);
 
   // Get user without password
   const userProfile = user.getPublicProfile();
@@ -120,6 +162,7 @@ const login = asyncHandler(async (req, res) => {
     data: {
       user: userProfile,
       token,
+      refreshToken,
     },
   });
 });
@@ -151,7 +194,7 @@ const updateProfile = asyncHandler(async (req, res) => {
     });
   }
 
-  const allowedUpdates = ["name", "preferences", "avatar"];
+  const allowedUpdates = ["name", "avatar"];
   const updates = {};
 
   // Only allow certain fields to be updated
@@ -161,7 +204,16 @@ const updateProfile = asyncHandler(async (req, res) => {
     }
   });
 
-  const user = await User.findByIdAndUpdate(req.user.id, updates, {
+  // Preferences are set one by one, so those not sent (like allergies) are
+  // kept
+  const preferences = req.body.preferences || {};
+  PREFERENCE_FIELDS.forEach((key) => {
+    if (preferences[key] !== undefined) {
+      updates[`preferences.${key}`] = preferences[key];
+    }
+  });
+
+  const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, {
     new: true,
     runValidators: true,
   });
@@ -207,16 +259,255 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Log out every other device
+  await Session.revokeAllForUser(user._id, "password_change", req.sessionId);
+
   res.json({
     success: true,
     message: "Password changed successfully",
   });
 });
 
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const result = await Session.rotate(req.body.refreshToken);
+
+  if (result.error === "reused") {
+    console.warn(
+      `🚨 Refresh token reuse detected for user ${result.session.user}, session revoked`
+    );
+    return res.status(401).json({
+      success: false,
+      message: "Refresh token has already been used. Please log in again.",
+    });
+  }
+
+  if (result.error) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired refresh token",
+    });
+  }
+
+  const { session } = result;
+
+  // Make sure the account is still allowed to sign in
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await session.revoke("logout");
+    return res.status(401).json({
+      success: false,
+      message: "User account is deactivated",
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Token refreshed successfully",
+    data: {
+      token: generateToken(user._id, session._id),
+      refreshToken: result.refreshToken,
+    },
+  });
+});
+
+// @desc    Log out the current device
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  const session = await Session.findById(req.sessionId);
+
+  if (session && !session.revokedAt) {
+    await session.revoke("logout");
+  }
+
+  res.json({
+    success: true,
+    message: "Logged out successfully",
+  });
+});
+
+// @desc    Log out all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(req.user._id, "logout_all");
+
+  res.json({
+    success: true,
+    message: "Logged out from all devices",
+    data: {
+      revokedSessions: result.modifiedCount,
+    },
+  });
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findOne({ email: req.body.email });
+
+  // Only send for existing, active accounts, but never reveal which exist
+  if (user && user.isActive) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await mailService.sendPasswordReset(user, resetToken);
+    } catch (error) {
+      console.error("❌ Failed to send password reset email:", error.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    message:
+      "If an account exists for this email, a password reset link has been sent",
+  });
+});
+
+// @desc    Reset password with a token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { token, password } = req.body;
+
+  const user = await User.findOne({
+    passwordResetTokenHash: User.hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+password");
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: "Password reset token is invalid or has expired",
+    });
+  }
+
+  // Tokens are single-use
+  user.password = password;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpires = undefined;
+
+  // The link proves ownership of the mailbox
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  await user.save();
+
+  // Log out every device that may have been using the old password
+  await Session.revokeAllForUser(user._id, "password_reset");
+
+  res.json({
+    success: true,
+    message: "Password has been reset. Please log in with your new password.",
+  });
+});
+
+// @desc    Verify email address with a token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findOne({
+    emailVerificationTokenHash: User.hashToken(req.body.token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: "Verification token is invalid or has expired",
+    });
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationTokenHash = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: "Email verified successfully",
+    data: {
+      user: user.getPublicProfile(),
+    },
+  });
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: "Email is already verified",
+    });
+  }
+
+  await sendVerificationEmail(user);
+
+  res.json({
+    success: true,
+    message: "Verification email sent",
+  });
+});
+
 module.exports = {
   register,
   login,
   getMe,
   updateProfile,
   changePassword,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 };
@@ -0,0 +1,66 @@
+const Ingredient = require("../models/Ingredient");
+const ingredientCatalog = require("../services/ingredientCatalog");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../utils/asyncHandler");
+
+// @desc    Search the ingredient catalog
+// @route   GET /api/ingredients
+// @access  Public
+const getIngredients = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { search, category, limit = 20 } = req.query;
+
+  const ingredients = ingredientCatalog.search(search, {
+    category,
+    limit: parseInt(limit),
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ingredients,
+      categories: Ingredient.CATEGORIES,
+    },
+  });
+});
+
+// @desc    Resolve free-text ingredient names to canonical catalog entries
+// @route   POST /api/ingredients/resolve
+// @access  Public
+const resolveIngredients = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const ingredients = req.body.ingredients.map((name) => {
+    const ingredientId = ingredientCatalog.toIngredientId(name);
+    return {
+      name,
+      ingredientId,
+      ingredient: ingredientCatalog.get(ingredientId),
+    };
+  });
+
+  res.json({
+    success: true,
+    data: { ingredients },
+  });
+});
+
+module.exports = {
+  getIngredients,
+  resolveIngredients,
+};
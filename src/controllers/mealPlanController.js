@@ -0,0 +1,483 @@
+const MealPlan = require("../models/MealPlan");
+const Recipe = require("../models/Recipe");
+const aiService = require("../services/aiService");
+const mealPlanService = require("../services/mealPlanService");
+const { validationResult } = require("express-validator");
+const config = require("../config/config");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  reserveAIGeneration,
+  startAICall,
+  recordAIUsage,
+} = require("../middleware/aiQuota");
+
+// Recipe fields shown for each meal
+const MEAL_RECIPE_FIELDS =
+  "title description cuisine mealType servings cookingTime nutritionalInfo dietaryInfo averageRating";
+
+// Ids from a list the user can't plan with: missing, or private and owned
+// by someone else
+const findUnavailableRecipes = async (recipeIds, user) => {
+  const ids = [...new Set(recipeIds.map(String))];
+  const available = await Recipe.find({
+    _id: { $in: ids },
+    $or: [{ isPublic: true }, { createdBy: user._id }],
+  }).select("_id");
+
+  const availableIds = new Set(
+    available.map((recipe) => recipe._id.toString())
+  );
+  return ids.filter((id) => !availableIds.has(id));
+};
+
+// Populated plan with calories per person for each day and the whole plan,
+// counting meals whose recipe has calorie information
+const buildMealPlanView = async (plan) => {
+  await plan.populate("days.meals.recipe", MEAL_RECIPE_FIELDS);
+  const view = plan.toObject();
+
+  let totalCalories = 0;
+  view.days.forEach((day) => {
+    day.calories = Math.round(
+      day.meals.reduce(
+        (sum, meal) =>
+          sum +
+          ((meal.recipe && mealPlanService.caloriesPerServing(meal.recipe)) ||
+            0),
+        0
+      )
+    );
+    totalCalories += day.calories;
+  });
+  view.averageDailyCalories =
+    view.days.length > 0 ? Math.round(totalCalories / view.days.length) : 0;
+
+  return view;
+};
+
+// Owner's plan by id, or null after sending a 404
+const findOwnMealPlan = async (req, res) => {
+  const plan = await MealPlan.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!plan) {
+    res.status(404).json({
+      success: false,
+      message: "Meal plan not found",
+    });
+  }
+  return plan;
+};
+
+// Days from a request body, with manual meals
+const buildDays = (days) =>
+  days.map((day) => ({
+    meals: (day.meals || []).map(({ slot, recipe, servings, notes }) => ({
+      slot,
+      recipe,
+      servings,
+      notes,
+      source: "manual",
+    })),
+  }));
+
+// @desc    Get current user's meal plans
+// @route   GET /api/meal-plans
+// @access  Private
+const getMealPlans = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [mealPlans, totalMealPlans] = await Promise.all([
+    MealPlan.find({ user: req.user._id })
+      .select("name startDate days settings createdAt updatedAt")
+      .sort({ startDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    MealPlan.countDocuments({ user: req.user._id }),
+  ]);
+
+  const totalPages = Math.ceil(totalMealPlans / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      mealPlans,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalMealPlans,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    },
+  });
+});
+
+// @desc    Get a meal plan with its recipes
+// @route   GET /api/meal-plans/:id
+// @access  Private (owner)
+const getMealPlan = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const plan = await findOwnMealPlan(req, res);
+  if (!plan) return;
+
+  res.json({
+    success: true,
+    data: {
+      mealPlan: await buildMealPlanView(plan),
+    },
+  });
+});
+
+// @desc    Create a meal plan
+// @route   POST /api/meal-plans
+// @access  Private
+const createMealPlan = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { name, startDate, days } = req.body;
+  const plan = new MealPlan({
+    user: req.user._id,
+    name,
+    startDate,
+    days: buildDays(days),
+  });
+
+  const unavailable = await findUnavailableRecipes(
+    plan.getRecipeIds(),
+    req.user
+  );
+  if (unavailable.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Some recipes were not found or are private",
+      recipeIds: unavailable,
+    });
+  }
+
+  await plan.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Meal plan created successfully",
+    data: {
+      mealPlan: await buildMealPlanView(plan),
+    },
+  });
+});
+
+// @desc    Replace a meal plan's name, start date and days
+// @route   PUT /api/meal-plans/:id
+// @access  Private (owner)
+const updateMealPlan = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const plan = await findOwnMealPlan(req, res);
+  if (!plan) return;
+
+  const { name, startDate, days } = req.body;
+  if (name !== undefined) plan.name = name;
+  if (startDate !== undefined) plan.startDate = startDate;
+
+  // Only the recipes sent are checked, so a plan whose recipes have since
+  // turned private can still be renamed or moved
+  if (days !== undefined) {
+    const unavailable = await findUnavailableRecipes(
+      days.flatMap((day) => (day.meals || []).map((meal) => meal.recipe)),
+      req.user
+    );
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some recipes were not found or are private",
+        recipeIds: unavailable,
+      });
+    }
+    plan.days = buildDays(days);
+  }
+
+  await plan.save();
+
+  res.json({
+    success: true,
+    message: "Meal plan updated successfully",
+    data: {
+      mealPlan: await buildMealPlanView(plan),
+    },
+  });
+});
+
+// @desc    Set the meal in one slot of a day
+// @route   PUT /api/meal-plans/:id/days/:day/meals/:slot
+// @access  Private (owner)
+const setMeal = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const plan = await findOwnMealPlan(req, res);
+  if (!plan) return;
+
+  const day = plan.days[parseInt(req.params.day)];
+  if (!day) {
+    return res.status(404).json({
+      success: false,
+      message: "Day not found in meal plan",
+    });
+  }
+
+  const { recipe, servings, notes } = req.body;
+  const unavailable = await findUnavailableRecipes([recipe], req.user);
+  if (unavailable.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Some recipes were not found or are private",
+      recipeIds: unavailable,
+    });
+  }
+
+  const { slot } = req.params;
+  const existing = day.meals.find((meal) => meal.slot === slot);
+  if (existing) existing.deleteOne();
+  day.meals.push({ slot, recipe, servings, notes, source: "manual" });
+  await plan.save();
+
+  res.json({
+    success: true,
+    message: "Meal updated successfully",
+    data: {
+      mealPlan: await buildMealPlanView(plan),
+    },
+  });
+});
+
+// @desc    Clear one slot of a day
+// @route   DELETE /api/meal-plans/:id/days/:day/meals/:slot
+// @access  Private (owner)
+const removeMeal = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const plan = await findOwnMealPlan(req, res);
+  if (!plan) return;
+
+  const day = plan.days[parseInt(req.params.day)];
+  const meal = day && day.meals.find((item) => item.slot === req.params.slot);
+  if (!meal) {
+    return res.status(404).json({
+      success: false,
+      message: "Meal not found in meal plan",
+    });
+  }
+
+  meal.deleteOne();
+  await plan.save();
+
+  res.json({
+    success: true,
+    message: "Meal removed successfully",
+    data: {
+      mealPlan: await buildMealPlanView(plan),
+    },
+  });
+});
+
+// @desc    Delete a meal plan
+// @route   DELETE /api/meal-plans/:id
+// @access  Private (owner)
+const deleteMealPlan = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const plan = await findOwnMealPlan(req, res);
+  if (!plan) return;
+
+  await plan.deleteOne();
+
+  res.json({
+    success: true,
+    message: "Meal plan deleted successfully",
+  });
+});
+
+// AI generations a plan may use: the configured or requested maximum,
+// limited by the user's remaining daily and monthly quota (including the
+// generation reserved for the request)
+const getAIBudget = (req, requested) => {
+  if (req.body.useAI === false || !aiService.getStatus().configured) return 0;
+
+  const limits = [
+    requested === undefined ? config.mealPlanMaxAIRecipes : parseInt(requested),
+  ];
+  if (req.aiQuota) {
+    ["daily", "monthly"].forEach((window) => {
+      const remaining = req.aiQuota[window].remaining.generations;
+      if (remaining !== null) limits.push(remaining + req.aiQuota.reserved);
+    });
+  }
+  return Math.max(0, Math.min(...limits));
+};
+
+// @desc    Generate a meal plan from saved and public recipes, asking the AI
+//          for recipes where none fit
+// @route   POST /api/meal-plans/generate
+// @access  Private
+const generateMealPlan = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { preferences } = req.user;
+  const settings = {
+    days: parseInt(req.body.days) || 7,
+    slots: req.body.slots || ["breakfast", "lunch", "dinner"],
+    servings: parseInt(req.body.servings) || preferences.defaultPortions,
+    dailyCalorieTarget:
+      parseInt(req.body.dailyCalorieTarget) ||
+      preferences.dailyCalorieTarget ||
+      null,
+    dietaryRestrictions:
+      req.body.dietaryRestrictions || preferences.dietaryRestrictions || [],
+    excludedIngredients: [
+      ...(preferences.dislikedIngredients || []),
+      ...(req.body.excludeIngredients || []),
+    ],
+  };
+
+  let aiBudget = getAIBudget(req, req.body.maxAIRecipes);
+  let generated = 0;
+
+  // Generate and save a recipe for a slot while the AI budget lasts. A
+  // failure stops further AI calls and leaves the slot empty. Each call
+  // after the first reserves its generation beforehand.
+  const fillGap = async (gap) => {
+    if (generated >= aiBudget) return null;
+    if (req.aiQuota && req.aiQuota.reserved === 0) {
+      if (!(await reserveAIGeneration(req, res))) {
+        aiBudget = generated;
+        return null;
+      }
+    }
+
+    let generatedRecipe;
+    startAICall(req);
+    try {
+      generatedRecipe = await mealPlanService.generateForSlot(
+        req.user,
+        settings,
+        gap
+      );
+    } catch (error) {
+      console.error("❌ Meal plan recipe generation failed:", error.message);
+      await recordAIUsage(req, res, {
+        operation: "meal-plan",
+        status: "failed",
+        usage: error.usage,
+      });
+      aiBudget = generated;
+      return null;
+    }
+
+    generated++;
+    const recipe = await Recipe.createGenerated(generatedRecipe, req.user._id);
+    await recordAIUsage(req, res, {
+      operation: "meal-plan",
+      recipe: recipe._id,
+      usage: generatedRecipe.generationUsage,
+    });
+    return recipe;
+  };
+
+  const { days, gaps } = await mealPlanService.buildPlan(req.user, settings, {
+    fillGap,
+  });
+
+  const plan = await MealPlan.create({
+    user: req.user._id,
+    name: req.body.name,
+    startDate: req.body.startDate || new Date(),
+    days,
+    settings,
+  });
+
+  res.status(201).json({
+    success: true,
+    message:
+      gaps.length > 0
+        ? `Meal plan generated with ${gaps.length} empty slot(s)`
+        : "Meal plan generated successfully",
+    data: {
+      mealPlan: await buildMealPlanView(plan),
+      generatedRecipes: generated,
+      gaps,
+    },
+  });
+});
+
+module.exports = {
+  getMealPlans,
+  getMealPlan,
+  createMealPlan,
+  updateMealPlan,
+  setMeal,
+  removeMeal,
+  deleteMealPlan,
+  generateMealPlan,
+};
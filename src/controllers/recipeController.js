@@ -1,11 +1,147 @@
 const Recipe = require("../models/Recipe");
 const User = require("../models/User");
-const azureOpenAIService = require("../services/azureOpenAIService");
+const RecipeCache = require("../models/RecipeCache");
+const RecipeRevision = require("../models/RecipeRevision");
+const RecipeSimilarity = require("../models/RecipeSimilarity");
+const MealPlan = require("../models/MealPlan");
+const aiService = require("../services/aiService");
+const recipeCacheService = require("../services/recipeCacheService");
+const ingredientCatalog = require("../services/ingredientCatalog");
+const recipeSearchService = require("../services/recipeSearchService");
+const recommendationService = require("../services/recommendationService");
+const similarRecipeService = require("../services/similarRecipeService");
 const { validationResult } = require("express-validator");
 const config = require("../config/config");
 const asyncHandler = require("../utils/asyncHandler");
+const { parsePartialJson } = require("../utils/partialJson");
+const { scaleRecipe } = require("../utils/servingsScaler");
+const {
+  decodeCursor,
+  findCursorPage,
+  findOffsetPage,
+} = require("../utils/cursorPagination");
+const { resolveRecipeSort } = require("../data/recipeSorts");
+const { UNIT_SYSTEMS, convertRecipe } = require("../utils/unitConversion");
+const { startAICall, recordAIUsage } = require("../middleware/aiQuota");
+const {
+  diffRecipeContent,
+  summarizeRecipeDiff,
+} = require("../utils/recipeDiff");
 
-// @desc    Generate a new recipe using Azure OpenAI
+// Save a generated recipe; returns null if the database is unavailable
+const persistGeneratedRecipe = async (
+  generatedRecipe,
+  userId,
+  { source = "generate", isPublic = true } = {}
+) => {
+  try {
+    // Save the recipe along with its original AI output as revision 1
+    const savedRecipe = await Recipe.createGenerated(generatedRecipe, userId, {
+      source,
+      isPublic,
+    });
+
+    // Populate creator info
+    await savedRecipe.populate("createdBy", "name email");
+    return savedRecipe;
+  } catch (dbError) {
+    // If database save fails, still return the generated recipe
+    console.log("📦 Database save failed - returning generated recipe only");
+    return null;
+  }
+};
+
+// Generation options from a request body with defaults applied and the
+// user's allergies
+const buildGenerationOptions = (
+  {
+    servings,
+    dietaryRestrictions,
+    cuisine,
+    mealType,
+    difficulty,
+    maxCookingTime,
+  },
+  user
+) => ({
+  servings: servings || config.defaultRecipePortions,
+  dietaryRestrictions: dietaryRestrictions || [],
+  cuisine: cuisine || "",
+  mealType: mealType || "dinner",
+  difficulty: difficulty || "medium",
+  maxCookingTime,
+  allergies: [...(user.preferences.allergies || [])],
+});
+
+// Ingredients for a generation request. In use-it-up mode these are the
+// user's pantry items that haven't expired, soonest expiry first, followed by
+// any ingredients sent; items expiring soon are passed to the prompt as
+// priorities. Returns { ingredients, priorityIngredients, useItUp }.
+const resolveGenerationIngredients = (req) => {
+  const { ingredients = [], useItUp = false } = req.body;
+  if (!useItUp) return { ingredients, priorityIngredients: [], useItUp: null };
+
+  const now = new Date();
+  const pantryItems = req.user
+    .getUsablePantryItems(now)
+    .slice(0, config.pantryUseItUpLimit);
+
+  // One name per canonical ingredient, pantry items first
+  const seen = new Set();
+  const names = [...pantryItems.map((item) => item.name), ...ingredients]
+    .filter((name) => {
+      const id = ingredientCatalog.toIngredientId(name);
+      if (!id || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .slice(0, config.maxIngredients);
+
+  const expiringSoon = pantryItems
+    .filter((item) => User.getPantryItemStatus(item, now) === "expiring")
+    .map((item) => item.name);
+
+  return {
+    ingredients: names,
+    priorityIngredients: expiringSoon,
+    useItUp: {
+      pantryItems: pantryItems.map((item) => ({
+        _id: item._id,
+        name: item.name,
+        expiresAt: item.expiresAt,
+      })),
+      expiringSoon,
+    },
+  };
+};
+
+// Look up a cached recipe unless forceNew is set, and report the outcome in
+// the X-Recipe-Cache header (HIT, MISS or BYPASS)
+const lookupCachedRecipe = async (res, ingredients, options, forceNew) => {
+  if (forceNew) {
+    recipeCacheService.recordBypass();
+    res.set("X-Recipe-Cache", "BYPASS");
+    return null;
+  }
+
+  const cached = await recipeCacheService.lookup(ingredients, options);
+  res.set("X-Recipe-Cache", cached ? "HIT" : "MISS");
+  return cached;
+};
+
+// Recipe to return for a cache hit. A cached generation that was never saved
+// is saved for this user when requested, and the cache entry then points at it.
+const resolveCachedRecipe = async ({ entry, recipe }, userId, saveToDatabase) => {
+  if (entry.recipe || !saveToDatabase) return recipe;
+
+  const savedRecipe = await persistGeneratedRecipe(recipe, userId);
+  if (!savedRecipe) return recipe;
+
+  await entry.linkRecipe(savedRecipe._id).catch(() => {});
+  return savedRecipe;
+};
+
+// @desc    Generate a new recipe using the configured AI provider
 // @route   POST /api/recipes/generate
 // @access  Private
 const generateRecipe = asyncHandler(async (req, res) => {
@@ -18,52 +154,792 @@ const generateRecipe = asyncHandler(async (req, res) => {
     });
   }
 
-  const {
-    ingredients,
-    servings,
-    dietaryRestrictions,
-    cuisine,
-    mealType,
-    difficulty,
-    maxCookingTime,
-    saveToDatabase = true,
-  } = req.body;
+  const { saveToDatabase = true, forceNew = false } = req.body;
+  const { ingredients, priorityIngredients, useItUp } =
+    resolveGenerationIngredients(req);
+  if (ingredients.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Your pantry has no usable items. Add items or send ingredients",
+    });
+  }
+  const options = {
+    ...buildGenerationOptions(req.body, req.user),
+    priorityIngredients,
+  };
+
+  // Serve a close enough cached recipe; cache hits don't use AI quota
+  const cached = await lookupCachedRecipe(res, ingredients, options, forceNew);
+  if (cached) {
+    return res.json({
+      success: true,
+      message: "Recipe found in cache",
+      data: {
+        recipe: await resolveCachedRecipe(cached, req.user._id, saveToDatabase),
+        cached: true,
+        similarity: cached.similarity,
+        ...(useItUp && { useItUp }),
+      },
+    });
+  }
+
+  // Generate recipe using the configured AI provider
+  let generatedRecipe;
+  startAICall(req);
+  try {
+    generatedRecipe = await aiService.generateRecipe(ingredients, options);
+  } catch (error) {
+    await recordAIUsage(req, res, {
+      operation: "generate",
+      status: "failed",
+      usage: error.usage,
+    });
+    throw error;
+  }
+
+  const savedRecipe = saveToDatabase
+    ? await persistGeneratedRecipe(generatedRecipe, req.user._id)
+    : null;
+
+  await recordAIUsage(req, res, {
+    operation: "generate",
+    recipe: savedRecipe ? savedRecipe._id : undefined,
+    usage: generatedRecipe.generationUsage,
+  });
+
+  recipeCacheService.store(ingredients, options, {
+    recipe: savedRecipe,
+    generatedRecipe,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Recipe generated successfully",
+    data: {
+      recipe: savedRecipe || generatedRecipe,
+      cached: false,
+      ...(useItUp && { useItUp }),
+    },
+  });
+});
+
+// @desc    Generate a new recipe, streaming progress over Server-Sent Events
+// @route   POST /api/recipes/generate/stream
+// @access  Private
+const generateRecipeStream = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { saveToDatabase = true, forceNew = false } = req.body;
+  const { ingredients, priorityIngredients, useItUp } =
+    resolveGenerationIngredients(req);
+  if (ingredients.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Your pantry has no usable items. Add items or send ingredients",
+    });
+  }
+  const options = {
+    ...buildGenerationOptions(req.body, req.user),
+    priorityIngredients,
+  };
+
+  const cached = await lookupCachedRecipe(res, ingredients, options, forceNew);
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Abort the upstream completion when the client goes away
+  const abortController = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(": ping\n\n");
+  }, 15000);
+
+  // Emit title, ingredients and steps as soon as they are complete. An array
+  // item is only complete once a later item or a later top-level key exists.
+  let titleSent = false;
+  const sentCounts = { ingredients: 0, instructions: 0 };
+  const itemEvents = { ingredients: "ingredient", instructions: "step" };
+
+  const onText = (text) => {
+    const partial = parsePartialJson(text);
+    if (!partial) return;
+
+    if (!titleSent && typeof partial.title === "string") {
+      titleSent = true;
+      sendEvent("title", { title: partial.title });
+    }
+
+    const keys = Object.keys(partial);
+    Object.keys(itemEvents).forEach((field) => {
+      if (!Array.isArray(partial[field])) return;
+
+      const isClosed = keys.indexOf(field) < keys.length - 1;
+      const completeItems = isClosed
+        ? partial[field]
+        : partial[field].slice(0, -1);
+
+      while (sentCounts[field] < completeItems.length) {
+        const index = sentCounts[field]++;
+        sendEvent(itemEvents[field], {
+          index,
+          [itemEvents[field]]: completeItems[index],
+        });
+      }
+    });
+  };
+
+  try {
+    if (cached) {
+      const recipe = await resolveCachedRecipe(
+        cached,
+        req.user._id,
+        saveToDatabase
+      );
+      sendEvent("complete", {
+        recipeId: recipe._id || null,
+        recipe,
+        cached: true,
+        similarity: cached.similarity,
+        ...(useItUp && { useItUp }),
+      });
+      return;
+    }
+
+    sendEvent("progress", { stage: "generating" });
+    startAICall(req);
+
+    const generatedRecipe = await aiService.streamRecipe(
+      ingredients,
+      options,
+      { signal: abortController.signal, onText }
+    );
+
+    let savedRecipe = null;
+    if (saveToDatabase) {
+      sendEvent("progress", { stage: "saving" });
+      savedRecipe = await persistGeneratedRecipe(generatedRecipe, req.user._id);
+    }
+
+    await recordAIUsage(req, res, {
+      operation: "generate-stream",
+      recipe: savedRecipe ? savedRecipe._id : undefined,
+      usage: generatedRecipe.generationUsage,
+    });
+
+    recipeCacheService.store(ingredients, options, {
+      recipe: savedRecipe,
+      generatedRecipe,
+    });
+
+    sendEvent("complete", {
+      recipeId: savedRecipe ? savedRecipe._id : null,
+      recipe: savedRecipe || generatedRecipe,
+      cached: false,
+      ...(useItUp && { useItUp }),
+    });
+  } catch (error) {
+    await recordAIUsage(req, res, {
+      operation: "generate-stream",
+      status: "failed",
+      usage: error.usage,
+    });
+
+    if (!abortController.signal.aborted) {
+      console.error(`🚨 Recipe stream failed [${req.id}]:`, error.message);
+      sendEvent("error", {
+        message:
+          error.statusCode === 502
+            ? error.message
+            : "AI service is temporarily unavailable. Please try again later.",
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Fields users may set on their own recipes
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "ingredients",
+  "inputIngredients",
+  "instructions",
+  "cookingTime",
+  "difficulty",
+  "servings",
+  "cuisine",
+  "mealType",
+  "dietaryInfo",
+  "nutritionalInfo",
+  "tags",
+  "isPublic",
+];
+const NESTED_FIELDS = ["cookingTime", "dietaryInfo", "nutritionalInfo"];
+
+// Copy editable fields from a request body onto a recipe, numbering steps in
+// the order given. With replace (create and PUT) fields not sent go back to
+// their defaults and inputIngredients defaults to the ingredient names;
+// otherwise (PATCH) they are kept and nested objects are merged.
+const applyRecipeFields = (recipe, fields, { replace = false } = {}) => {
+  const defaults = replace ? new Recipe().toObject() : null;
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (fields[field] === undefined) {
+      if (replace) recipe.set(field, defaults[field]);
+    } else if (NESTED_FIELDS.includes(field) && !replace) {
+      Object.entries(fields[field]).forEach(([key, value]) => {
+        recipe.set(`${field}.${key}`, value);
+      });
+    } else if (NESTED_FIELDS.includes(field)) {
+      recipe.set(field, { ...defaults[field], ...fields[field] });
+    } else {
+      recipe.set(field, fields[field]);
+    }
+  });
+
+  // Make hand-written recipes findable by ingredient search
+  if (replace && !fields.inputIngredients) {
+    recipe.inputIngredients = recipe.ingredients.map((ingredient) =>
+      ingredient.name.toLowerCase()
+    );
+  }
+
+  if (fields.instructions) {
+    recipe.instructions.forEach((step, index) => {
+      step.stepNumber = index + 1;
+    });
+  }
+};
+
+// createdBy may be populated
+const isRecipeOwner = (recipe, user) =>
+  (recipe.createdBy._id || recipe.createdBy).toString() === user._id.toString();
+
+const canViewRecipe = (recipe, user) =>
+  recipe.isPublic || (!!user && isRecipeOwner(recipe, user));
+
+// Unit system to show recipes in: ?units= overrides the user's preference;
+// null keeps units as written
+const resolveUnitSystem = (req) => {
+  const unitSystem =
+    req.query.units ||
+    (req.user && req.user.preferences && req.user.preferences.unitSystem);
+  return UNIT_SYSTEMS.includes(unitSystem) ? unitSystem : null;
+};
+
+// Recipe as shown to the client: rescaled and/or converted when requested.
+// Returns { recipe, scaling, unitSystem }.
+const buildRecipeView = (recipe, { servings, unitSystem }) => {
+  let view = recipe;
+  let scaling;
+
+  if (servings) {
+    ({ recipe: view, scaling } = scaleRecipe(recipe, servings));
+    // Computed nutrition follows the scaled amounts
+    Object.assign(
+      view,
+      Recipe.resolveNutrition(view, view.nutrition && view.nutrition.ai)
+    );
+  }
+  if (unitSystem) {
+    view = convertRecipe(view, unitSystem);
+  }
+
+  return { recipe: view, scaling, unitSystem: unitSystem || undefined };
+};
+
+// Recipes created before revisions were tracked get their current content
+// recorded as the first revision before they are changed
+const ensureRevisionHistory = async (recipe) => {
+  if (recipe.currentRevision > 0) return;
+
+  await RecipeRevision.record(recipe, {
+    author: recipe.createdBy,
+    source: recipe.generatedBy === "user" ? "create" : "generate",
+  });
+};
+
+// @desc    Create a recipe by hand
+// @route   POST /api/recipes
+// @access  Private
+const createRecipe = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const recipe = new Recipe({
+    createdBy: req.user._id,
+    generatedBy: "user",
+  });
+  applyRecipeFields(recipe, req.body, { replace: true });
+
+  await recipe.save();
+  await RecipeRevision.record(recipe, {
+    author: req.user._id,
+    source: "create",
+  });
+  await recipe.populate("createdBy", "name email");
+
+  res.status(201).json({
+    success: true,
+    message: "Recipe created successfully",
+    data: {
+      recipe,
+    },
+  });
+});
+
+// @desc    Update own recipe (PUT replaces it, resetting fields not sent;
+//          PATCH updates the fields sent)
+// @route   PUT/PATCH /api/recipes/:id
+// @access  Private
+const updateRecipe = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
+
+  if (!isRecipeOwner(recipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to modify this recipe",
+    });
+  }
+
+  await ensureRevisionHistory(recipe);
+
+  applyRecipeFields(recipe, req.body, { replace: req.method === "PUT" });
+  const contentChanged = RecipeRevision.CONTENT_FIELDS.some((field) =>
+    recipe.isModified(field)
+  );
+  await recipe.save();
+
+  if (contentChanged) {
+    await RecipeRevision.record(recipe, {
+      author: req.user._id,
+      source: "update",
+    });
+
+    // Cached generations must not serve the edited recipe
+    await RecipeCache.deleteMany({ recipe: recipe._id });
+  }
+
+  await recipe.populate("createdBy", "name email");
+
+  res.json({
+    success: true,
+    message: "Recipe updated successfully",
+    data: {
+      recipe,
+    },
+  });
+});
+
+// @desc    Delete own recipe
+// @route   DELETE /api/recipes/:id
+// @access  Private
+const deleteRecipe = asyncHandler(async (req, res) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
+
+  if (!isRecipeOwner(recipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to delete this recipe",
+    });
+  }
+
+  // Ratings are embedded and go with the recipe; remove references held by
+  // other documents
+  await Promise.all([
+    User.updateMany(
+      { savedRecipes: recipe._id },
+      { $pull: { savedRecipes: recipe._id } }
+    ),
+    RecipeCache.deleteMany({ recipe: recipe._id }),
+    RecipeRevision.deleteMany({ recipe: recipe._id }),
+    MealPlan.updateMany(
+      { "days.meals.recipe": recipe._id },
+      { $pull: { "days.$[].meals": { recipe: recipe._id } } }
+    ),
+    RecipeSimilarity.deleteOne({ recipe: recipe._id }),
+    // Lists it appeared in are refilled by the next refresh
+    RecipeSimilarity.updateMany(
+      { "neighbors.recipe": recipe._id },
+      { $pull: { neighbors: { recipe: recipe._id } }, $set: { stale: true } }
+    ),
+  ]);
+  await recipe.deleteOne();
+
+  res.json({
+    success: true,
+    message: "Recipe deleted successfully",
+  });
+});
+
+// @desc    Create a variation of a recipe with the AI provider
+// @route   POST /api/recipes/:id/refine
+// @access  Private
+const refineRecipe = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { instruction, modifications = {}, saveToDatabase = true } = req.body;
+  const parentRecipe = await Recipe.findById(req.params.id);
+
+  if (!parentRecipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
+
+  if (!canViewRecipe(parentRecipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied to private recipe",
+    });
+  }
+
+  let refinedRecipe;
+  startAICall(req);
+  try {
+    refinedRecipe = await aiService.refineRecipe(parentRecipe, {
+      ...modifications,
+      instruction,
+      allergies: [...(req.user.preferences.allergies || [])],
+    });
+  } catch (error) {
+    await recordAIUsage(req, res, {
+      operation: "refine",
+      status: "failed",
+      usage: error.usage,
+    });
+    throw error;
+  }
+
+  const diff = diffRecipeContent(
+    RecipeRevision.snapshot(parentRecipe),
+    RecipeRevision.snapshot(refinedRecipe)
+  );
+  const summary = summarizeRecipeDiff(diff);
+
+  refinedRecipe.parentRecipe = parentRecipe._id;
+  refinedRecipe.refinement = { instruction, modifications, summary };
+
+  // Variations of a private recipe stay private
+  const savedRecipe = saveToDatabase
+    ? await persistGeneratedRecipe(refinedRecipe, req.user._id, {
+        source: "refine",
+        isPublic: parentRecipe.isPublic,
+      })
+    : null;
+
+  await recordAIUsage(req, res, {
+    operation: "refine",
+    recipe: savedRecipe ? savedRecipe._id : undefined,
+    usage: refinedRecipe.generationUsage,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Recipe refined successfully",
+    data: {
+      recipe: savedRecipe || refinedRecipe,
+      parentRecipeId: parentRecipe._id,
+      diff: { ...diff, summary },
+    },
+  });
+});
+
+// @desc    List the revisions of a recipe, newest first
+// @route   GET /api/recipes/:id/revisions
+// @access  Public (private recipes: owner only)
+const getRecipeRevisions = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
+
+  if (!canViewRecipe(recipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied to private recipe",
+    });
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [revisions, totalRevisions] = await Promise.all([
+    RecipeRevision.find({ recipe: recipe._id })
+      .select("-content")
+      .populate("author", "name")
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    RecipeRevision.countDocuments({ recipe: recipe._id }),
+  ]);
+  const totalPages = Math.ceil(totalRevisions / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      currentRevision: recipe.currentRevision,
+      revisions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRevisions,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    },
+  });
+});
+
+// @desc    Compare two revisions (defaults: previous vs. current)
+// @route   GET /api/recipes/:id/revisions/diff?from=&to=
+// @access  Public (private recipes: owner only)
+const diffRecipeRevisions = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
+
+  if (!canViewRecipe(recipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied to private recipe",
+    });
+  }
+
+  const to = parseInt(req.query.to) || recipe.currentRevision;
+  const from = parseInt(req.query.from) || to - 1;
+
+  if (from < 1 || to < 1) {
+    return res.status(400).json({
+      success: false,
+      message: "Recipe has no earlier revision to compare with",
+    });
+  }
+
+  const revisions = await RecipeRevision.find({
+    recipe: recipe._id,
+    revision: { $in: [from, to] },
+  }).lean();
+  const fromRevision = revisions.find((revision) => revision.revision === from);
+  const toRevision = revisions.find((revision) => revision.revision === to);
+
+  if (!fromRevision || !toRevision) {
+    return res.status(404).json({
+      success: false,
+      message: "Revision not found",
+    });
+  }
+
+  const diff = diffRecipeContent(fromRevision.content, toRevision.content);
+
+  res.json({
+    success: true,
+    data: {
+      from,
+      to,
+      ...diff,
+      summary: summarizeRecipeDiff(diff),
+    },
+  });
+});
+
+// @desc    Get one revision with its content
+// @route   GET /api/recipes/:id/revisions/:rev
+// @access  Public (private recipes: owner only)
+const getRecipeRevision = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
+
+  if (!canViewRecipe(recipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied to private recipe",
+    });
+  }
+
+  const revision = await RecipeRevision.findOne({
+    recipe: recipe._id,
+    revision: parseInt(req.params.rev),
+  }).populate("author", "name");
+
+  if (!revision) {
+    return res.status(404).json({
+      success: false,
+      message: "Revision not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      revision,
+    },
+  });
+});
+
+// @desc    Restore the content of an earlier revision as a new revision
+// @route   POST /api/recipes/:id/revisions/:rev/restore
+// @access  Private (owner)
+const restoreRecipeRevision = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const recipe = await Recipe.findById(req.params.id);
 
-  // Generate recipe using Azure OpenAI
-  const generatedRecipe = await azureOpenAIService.generateRecipe(ingredients, {
-    servings: servings || config.defaultRecipePortions,
-    dietaryRestrictions: dietaryRestrictions || [],
-    cuisine: cuisine || "",
-    mealType: mealType || "dinner",
-    difficulty: difficulty || "medium",
-    maxCookingTime,
-  });
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
 
-  let savedRecipe = null;
+  if (!isRecipeOwner(recipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to modify this recipe",
+    });
+  }
 
-  if (saveToDatabase) {
-    try {
-      // Create recipe in database with timeout handling
-      savedRecipe = await Recipe.create({
-        ...generatedRecipe,
-        createdBy: req.user._id,
-        isPublic: true,
-      });
+  const revision = await RecipeRevision.findOne({
+    recipe: recipe._id,
+    revision: parseInt(req.params.rev),
+  }).lean();
 
-      // Populate creator info
-      await savedRecipe.populate("createdBy", "name email");
-    } catch (dbError) {
-      // If database save fails, still return the generated recipe
-      console.log("📦 Database save failed - returning generated recipe only");
-      savedRecipe = null;
-    }
+  if (!revision) {
+    return res.status(404).json({
+      success: false,
+      message: "Revision not found",
+    });
   }
 
-  res.status(201).json({
+  RecipeRevision.restoreContent(recipe, revision.content);
+  await recipe.save();
+
+  await RecipeRevision.record(recipe, {
+    author: req.user._id,
+    source: "restore",
+    restoredFrom: revision.revision,
+  });
+  await RecipeCache.deleteMany({ recipe: recipe._id });
+  await recipe.populate("createdBy", "name email");
+
+  res.json({
     success: true,
-    message: "Recipe generated successfully",
+    message: `Recipe restored to revision ${revision.revision}`,
     data: {
-      recipe: savedRecipe || generatedRecipe,
+      recipe,
     },
   });
 });
@@ -98,6 +974,7 @@ const saveRecipe = asyncHandler(async (req, res) => {
   // Add user to recipe's savedByUsers
   if (!recipe.savedByUsers.includes(user._id)) {
     recipe.savedByUsers.push(user._id);
+    recipe.recordActivity("save");
     await recipe.save();
   }
 
@@ -140,13 +1017,97 @@ const unsaveRecipe = asyncHandler(async (req, res) => {
   });
 });
 
+// Fields of recipes in listings. Leaves out the generation prompt and usage,
+// who saved and rated each recipe, and the internal nutrition and dietary
+// check data.
+const LISTING_PROJECTION = Object.fromEntries(
+  [
+    "title",
+    "description",
+    "ingredients",
+    "instructions",
+    "cookingTime",
+    "difficulty",
+    "servings",
+    "cuisine",
+    "mealType",
+    "dietaryInfo",
+    "allergens",
+    "nutritionalInfo",
+    "tags",
+    "generatedBy",
+    "createdBy",
+    "isPublic",
+    "averageRating",
+    "totalRatings",
+    "views",
+    "saveCount",
+    "ratingScore",
+    "parentRecipe",
+    "createdAt",
+    "updatedAt",
+  ].map((field) => [field, 1])
+);
+
+// One page of recipes matching filter in the sortBy order. Sending a cursor
+// parameter (empty for the first page) switches to cursor pagination, which
+// stays consistent while recipes are added; otherwise pages are numbered and
+// counted. Returns { recipes, sortBy, pagination }.
+const findRecipePage = async (query, filter) => {
+  const { page = 1, limit = 10, cursor } = query;
+  const { sort, keys, textScore } = resolveRecipeSort(query.sortBy, {
+    textSearch: !!filter.$text,
+  });
+  const options = {
+    sort,
+    keys,
+    textScore,
+    limit: parseInt(limit),
+    project: LISTING_PROJECTION,
+    populate: { path: "createdBy", select: "name" },
+  };
+
+  if (cursor !== undefined) {
+    const { items, pagination } = await findCursorPage(Recipe, filter, {
+      ...options,
+      cursor: cursor ? decodeCursor(cursor, { sort, keys }) : null,
+    });
+    return { recipes: items, sortBy: sort, pagination };
+  }
+
+  const { items, total } = await findOffsetPage(Recipe, filter, {
+    ...options,
+    page: parseInt(page),
+  });
+  const totalPages = Math.ceil(total / parseInt(limit));
+
+  return {
+    recipes: items,
+    sortBy: sort,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalRecipes: total,
+      hasNextPage: parseInt(page) < totalPages,
+      hasPrevPage: parseInt(page) > 1,
+    },
+  };
+};
+
 // @desc    Get all recipes with filtering and pagination
 // @route   GET /api/recipes
-// @access  Public
+// @access  Public (leaves out the signed-in user's allergens)
 const getRecipes = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
   const {
-    page = 1,
-    limit = 10,
     ingredients,
     cuisine,
     mealType,
@@ -155,23 +1116,22 @@ const getRecipes = asyncHandler(async (req, res) => {
     isVegetarian,
     isVegan,
     isGlutenFree,
+    excludeAllergens,
     search,
-    sortBy = "createdAt",
-    sortOrder = "desc",
   } = req.query;
 
   // Build filter object
   const filter = { isPublic: true };
 
   if (ingredients) {
-    const ingredientList = ingredients.split(",").map((ing) => ing.trim());
-    filter.inputIngredients = {
-      $in: ingredientList.map((ing) => new RegExp(ing, "i")),
-    };
+    const ingredientIds = ingredientCatalog.toIngredientIds(
+      ingredients.split(",")
+    );
+    filter.ingredientIds = { $in: ingredientIds };
   }
 
   if (cuisine) {
-    filter.cuisine = new RegExp(cuisine, "i");
+    filter.cuisineKey = Recipe.toCuisineKey(cuisine);
   }
 
   if (mealType) {
@@ -202,31 +1162,89 @@ const getRecipes = asyncHandler(async (req, res) => {
     filter.$text = { $search: search };
   }
 
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+  // Leave out recipes with the signed-in user's allergens and any requested
+  const allergens = [
+    ...((req.user && req.user.preferences.allergies) || []),
+    ...(excludeAllergens ? excludeAllergens.split(",") : []),
+  ];
+  if (allergens.length > 0) {
+    filter.allergens = { $nin: allergens };
+  }
 
-  // Execute query
-  const recipes = await Recipe.find(filter)
-    .populate("createdBy", "name")
-    .sort(sortOptions)
-    .skip(skip)
-    .limit(parseInt(limit))
-    .lean();
+  const { recipes, sortBy, pagination } = await findRecipePage(
+    req.query,
+    filter
+  );
+
+  res.json({
+    success: true,
+    data: {
+      recipes,
+      sortBy,
+      pagination,
+    },
+  });
+});
 
-  // Get total count for pagination
-  const totalRecipes = await Recipe.countDocuments(filter);
-  const totalPages = Math.ceil(totalRecipes / parseInt(limit));
+// Comma separated query values as a list
+const splitList = (value) =>
+  value
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+// @desc    Full-text recipe search with facet counts and highlighted matches
+// @route   GET /api/recipes/search
+// @access  Public (leaves out the signed-in user's allergens)
+const searchRecipes = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { q, sort, page = 1, limit = 10 } = req.query;
+
+  const { recipes, total, facets, terms, correctedQuery } =
+    await recipeSearchService.search({
+      q,
+      filters: {
+        cuisine: splitList(req.query.cuisine),
+        difficulty: splitList(req.query.difficulty),
+        mealType: splitList(req.query.mealType),
+        time: splitList(req.query.time),
+        dietary: splitList(req.query.dietary),
+      },
+      excludeAllergens: [
+        ...((req.user && req.user.preferences.allergies) || []),
+        ...splitList(req.query.excludeAllergens),
+      ],
+      sort,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+  const totalPages = Math.ceil(total / parseInt(limit));
 
   res.json({
     success: true,
     data: {
       recipes,
+      facets,
+      query: {
+        q: q || "",
+        terms,
+        correctedQuery,
+      },
       pagination: {
         currentPage: parseInt(page),
         totalPages,
-        totalRecipes,
+        totalRecipes: total,
         hasNextPage: parseInt(page) < totalPages,
         hasPrevPage: parseInt(page) > 1,
       },
@@ -261,16 +1279,98 @@ const getRecipesByIngredients = asyncHandler(async (req, res) => {
       recipes,
       searchCriteria: {
         ingredients,
+        ingredientIds: ingredientCatalog.toIngredientIds(ingredients),
         minMatch: parseInt(minMatch),
       },
     },
   });
 });
 
-// @desc    Get single recipe by ID
+// @desc    Find recipes that can be cooked from a pantry, with what's missing
+// @route   POST /api/recipes/pantry-match
+// @access  Public (uses the signed-in user's pantry when no ingredients sent)
+const matchPantryRecipes = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const {
+    ingredients,
+    staples,
+    ignoreStaples = true,
+    maxMissing,
+    minCoverage = 0,
+    limit = 10,
+    skip = 0,
+  } = req.body;
+
+  const pantryIds = ingredients
+    ? ingredientCatalog.toIngredientIds(ingredients)
+    : req.user
+    ? req.user.getPantryIngredientIds()
+    : [];
+
+  if (pantryIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: req.user
+        ? "Your pantry is empty. Send ingredients or add items to your pantry"
+        : "Ingredients are required",
+    });
+  }
+
+  let stapleIds = [];
+  if (ignoreStaples) {
+    if (staples) {
+      stapleIds = ingredientCatalog.toIngredientIds(staples);
+    } else if (req.user) {
+      stapleIds = req.user.getPantryStapleIds();
+    } else {
+      stapleIds = ingredientCatalog.toIngredientIds(config.pantryStaples);
+    }
+  }
+
+  const recipes = await Recipe.findByPantry(pantryIds, {
+    staples: stapleIds,
+    maxMissing: maxMissing === undefined ? undefined : parseInt(maxMissing),
+    minCoverage: parseFloat(minCoverage),
+    limit: parseInt(limit),
+    skip: parseInt(skip),
+  });
+
+  res.json({
+    success: true,
+    data: {
+      recipes,
+      searchCriteria: {
+        pantry: ingredients ? "request" : "saved",
+        ingredientIds: pantryIds,
+        staples: stapleIds,
+        maxMissing: maxMissing === undefined ? null : parseInt(maxMissing),
+        minCoverage: parseFloat(minCoverage),
+      },
+    },
+  });
+});
+
+// @desc    Get single recipe by ID, optionally rescaled with ?servings=N
 // @route   GET /api/recipes/:id
 // @access  Public (with optional auth for user-specific data)
 const getRecipe = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
   const recipe = await Recipe.findById(req.params.id)
     .populate("createdBy", "name email")
     .populate("ratings.user", "name");
@@ -314,54 +1414,186 @@ const getRecipe = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      recipe,
+      ...buildRecipeView(recipe, {
+        servings: parseInt(req.query.servings) || null,
+        unitSystem: resolveUnitSystem(req),
+      }),
       userData,
     },
   });
 });
 
+// @desc    Get a recipe rescaled to a number of servings
+// @route   GET /api/recipes/:id/scaled?servings=N
+// @access  Public (private recipes: owner only)
+const getScaledRecipe = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const recipe = await Recipe.findById(req.params.id).populate(
+    "createdBy",
+    "name"
+  );
+
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
+
+  if (!canViewRecipe(recipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied to private recipe",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: buildRecipeView(recipe, {
+      servings: parseInt(req.query.servings),
+      unitSystem: resolveUnitSystem(req),
+    }),
+  });
+});
+
+// @desc    Recipes similar to a recipe ("more like this")
+// @route   GET /api/recipes/:id/similar
+// @access  Public (private recipes only for their creator; leaves out the
+//          signed-in user's allergens)
+const getSimilarRecipes = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const recipe = await Recipe.findById(req.params.id)
+    .select("isPublic createdBy ingredients.name ingredients.ingredientId")
+    .lean();
+
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      message: "Recipe not found",
+    });
+  }
+
+  if (!canViewRecipe(recipe, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied to private recipe",
+    });
+  }
+
+  const { limit = 10 } = req.query;
+  const entry = await similarRecipeService.getNeighbors(recipe._id);
+  const scores = new Map(
+    entry.neighbors.map((neighbor) => [
+      neighbor.recipe.toString(),
+      neighbor.score,
+    ])
+  );
+
+  // Neighbors may have turned private or been deleted since the list was
+  // computed
+  const filter = { _id: { $in: [...scores.keys()] }, isPublic: true };
+  const allergies = (req.user && req.user.preferences.allergies) || [];
+  if (allergies.length > 0) {
+    filter.allergens = { $nin: allergies };
+  }
+  const neighbors = await Recipe.find(filter)
+    .select(LISTING_PROJECTION)
+    .populate("createdBy", "name")
+    .lean();
+
+  const keys = new Set(similarRecipeService.ingredientKeys(recipe));
+  const recipes = neighbors
+    .map((neighbor) => ({
+      ...neighbor,
+      similarity: {
+        score: scores.get(neighbor._id.toString()),
+        sharedIngredients: neighbor.ingredients
+          .filter((ingredient) =>
+            keys.has(similarRecipeService.ingredientKey(ingredient))
+          )
+          .map((ingredient) => ingredient.name),
+      },
+    }))
+    .sort((a, b) => b.similarity.score - a.similarity.score)
+    .slice(0, parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      recipes,
+      computedAt: entry.computedAt,
+    },
+  });
+});
+
+// @desc    Recipes recommended from the user's preferences, saves and ratings
+// @route   GET /api/recipes/recommended
+// @access  Private
+const getRecommendedRecipes = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { limit = 10 } = req.query;
+  const { recipes, basedOn } = await recommendationService.recommend(
+    req.user,
+    { limit: parseInt(limit) }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      recipes,
+      basedOn,
+    },
+  });
+});
+
 // @desc    Get user's saved recipes
 // @route   GET /api/recipes/saved
 // @access  Private
 const getSavedRecipes = asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 10,
-    sortBy = "createdAt",
-    sortOrder = "desc",
-  } = req.query;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-  const user = await User.findById(req.user._id).populate({
-    path: "savedRecipes",
-    populate: {
-      path: "createdBy",
-      select: "name",
-    },
-    options: {
-      sort: sortOptions,
-      skip: skip,
-      limit: parseInt(limit),
-    },
+  // Counted from the recipes themselves, so deleted ones are left out
+  const { recipes, sortBy, pagination } = await findRecipePage(req.query, {
+    _id: { $in: req.user.savedRecipes },
   });
 
-  const totalSaved = user.savedRecipes.length;
-  const totalPages = Math.ceil(totalSaved / parseInt(limit));
-
   res.json({
     success: true,
     data: {
-      recipes: user.savedRecipes,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalRecipes: totalSaved,
-        hasNextPage: parseInt(page) < totalPages,
-        hasPrevPage: parseInt(page) > 1,
-      },
+      recipes,
+      sortBy,
+      pagination,
     },
   });
 });
@@ -410,6 +1642,7 @@ const rateRecipe = asyncHandler(async (req, res) => {
 
   // Update average rating
   recipe.updateAverageRating();
+  recipe.recordActivity("rating");
   await recipe.save();
 
   await recipe.populate("ratings.user", "name");
@@ -432,11 +1665,25 @@ const rateRecipe = asyncHandler(async (req, res) => {
 
 module.exports = {
   generateRecipe,
+  generateRecipeStream,
+  refineRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  getRecipeRevisions,
+  diffRecipeRevisions,
+  getRecipeRevision,
+  restoreRecipeRevision,
   saveRecipe,
   unsaveRecipe,
   getRecipes,
+  searchRecipes,
   getRecipesByIngredients,
+  matchPantryRecipes,
   getRecipe,
+  getScaledRecipe,
   getSavedRecipes,
+  getRecommendedRecipes,
+  getSimilarRecipes,
   rateRecipe,
 };
@@ -0,0 +1,448 @@
+const ShoppingList = require("../models/ShoppingList");
+const MealPlan = require("../models/MealPlan");
+const Recipe = require("../models/Recipe");
+const shoppingListService = require("../services/shoppingListService");
+const { UNIT_SYSTEMS } = require("../utils/unitConversion");
+const { validationResult } = require("express-validator");
+const config = require("../config/config");
+const asyncHandler = require("../utils/asyncHandler");
+
+const ITEM_FIELDS = ["name", "quantity", "unit", "category", "note", "checked"];
+
+// Item fields present in a request body
+const pickItemFields = (body) =>
+  ITEM_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+// List with its items grouped by aisle and checked counts
+const buildShoppingListView = (list) => {
+  const { items, ...view } = list.toObject();
+
+  return {
+    ...view,
+    groups: shoppingListService.groupItems(items),
+    summary: {
+      total: items.length,
+      checked: items.filter((item) => item.checked).length,
+    },
+  };
+};
+
+// Owner's list by id, or null after sending a 404
+const findOwnShoppingList = async (req, res) => {
+  const list = await ShoppingList.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!list) {
+    res.status(404).json({
+      success: false,
+      message: "Shopping list not found",
+    });
+  }
+  return list;
+};
+
+// @desc    Get current user's shopping lists
+// @route   GET /api/shopping-lists
+// @access  Private
+const getShoppingLists = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [lists, totalShoppingLists] = await Promise.all([
+    ShoppingList.find({ user: req.user._id })
+      .select("name mealPlan items.checked createdAt updatedAt")
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    ShoppingList.countDocuments({ user: req.user._id }),
+  ]);
+
+  const totalPages = Math.ceil(totalShoppingLists / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      shoppingLists: lists.map(({ items, ...list }) => ({
+        ...list,
+        summary: {
+          total: items.length,
+          checked: items.filter((item) => item.checked).length,
+        },
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalShoppingLists,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    },
+  });
+});
+
+// @desc    Get a shopping list grouped by aisle
+// @route   GET /api/shopping-lists/:id
+// @access  Private (owner)
+const getShoppingList = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const list = await findOwnShoppingList(req, res);
+  if (!list) return;
+
+  res.json({
+    success: true,
+    data: {
+      shoppingList: buildShoppingListView(list),
+    },
+  });
+});
+
+// @desc    Build a shopping list from recipes and/or a meal plan
+// @route   POST /api/shopping-lists/from-recipes
+// @access  Private
+const createShoppingListFromRecipes = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { name, usePantry = true } = req.body;
+  const requested = (req.body.recipes || []).map(({ recipe, servings }) => ({
+    recipe: String(recipe),
+    servings,
+  }));
+
+  let mealPlan = null;
+  let planned = [];
+  if (req.body.mealPlan) {
+    mealPlan = await MealPlan.findOne({
+      _id: req.body.mealPlan,
+      user: req.user._id,
+    });
+    if (!mealPlan) {
+      return res.status(404).json({
+        success: false,
+        message: "Meal plan not found",
+      });
+    }
+
+    planned = mealPlan.days.flatMap((day) =>
+      day.meals.map((meal) => ({
+        recipe: meal.recipe.toString(),
+        servings: meal.servings,
+      }))
+    );
+  }
+
+  const ids = [
+    ...new Set([...planned, ...requested].map((entry) => entry.recipe)),
+  ];
+  const recipes = await Recipe.find({
+    _id: { $in: ids },
+    $or: [{ isPublic: true }, { createdBy: req.user._id }],
+  })
+    .select("title servings ingredients")
+    .lean();
+  const recipesById = new Map(
+    recipes.map((recipe) => [recipe._id.toString(), recipe])
+  );
+
+  // Recipes asked for by id must be available; meal plan recipes that were
+  // since deleted or made private are skipped
+  const unavailable = [
+    ...new Set(
+      requested
+        .map((entry) => entry.recipe)
+        .filter((id) => !recipesById.has(id))
+    ),
+  ];
+  if (unavailable.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Some recipes were not found or are private",
+      recipeIds: unavailable,
+    });
+  }
+
+  // One entry per recipe with the servings of all its uses added up
+  const entries = new Map();
+  [...planned, ...requested].forEach((entry) => {
+    const recipe = recipesById.get(entry.recipe);
+    if (!recipe) return;
+
+    const servings = entry.servings || recipe.servings;
+    if (entries.has(entry.recipe)) {
+      entries.get(entry.recipe).servings += servings;
+    } else {
+      entries.set(entry.recipe, { recipe, servings });
+    }
+  });
+
+  if (entries.size === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "No recipes to build a shopping list from",
+    });
+  }
+
+  const preferredSystem = req.user.preferences.unitSystem;
+  const { items, fromPantry } = shoppingListService.buildItems(
+    [...entries.values()],
+    {
+      system:
+        req.body.unitSystem ||
+        (UNIT_SYSTEMS.includes(preferredSystem) ? preferredSystem : null),
+      pantryItems: usePantry ? req.user.getUsablePantryItems() : null,
+    }
+  );
+
+  const list = await ShoppingList.create({
+    user: req.user._id,
+    name,
+    mealPlan: mealPlan ? mealPlan._id : undefined,
+    recipes: [...entries.values()].map(({ recipe, servings }) => ({
+      recipe: recipe._id,
+      servings,
+    })),
+    items,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Shopping list created successfully",
+    data: {
+      shoppingList: buildShoppingListView(list),
+      fromPantry,
+    },
+  });
+});
+
+// @desc    Export a shopping list as plain text or Markdown
+// @route   GET /api/shopping-lists/:id/export
+// @access  Private (owner)
+const exportShoppingList = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const list = await findOwnShoppingList(req, res);
+  if (!list) return;
+
+  const format = req.query.format || "text";
+  res
+    .type(format === "markdown" ? "text/markdown" : "text/plain")
+    .send(shoppingListService.exportList(list, format));
+});
+
+// @desc    Rename a shopping list
+// @route   PATCH /api/shopping-lists/:id
+// @access  Private (owner)
+const updateShoppingList = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const list = await findOwnShoppingList(req, res);
+  if (!list) return;
+
+  list.name = req.body.name;
+  await list.save();
+
+  res.json({
+    success: true,
+    message: "Shopping list updated successfully",
+    data: {
+      shoppingList: buildShoppingListView(list),
+    },
+  });
+});
+
+// @desc    Delete a shopping list
+// @route   DELETE /api/shopping-lists/:id
+// @access  Private (owner)
+const deleteShoppingList = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const list = await findOwnShoppingList(req, res);
+  if (!list) return;
+
+  await list.deleteOne();
+
+  res.json({
+    success: true,
+    message: "Shopping list deleted successfully",
+  });
+});
+
+// @desc    Add items to a shopping list by hand
+// @route   POST /api/shopping-lists/:id/items
+// @access  Private (owner)
+const addShoppingListItems = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const list = await findOwnShoppingList(req, res);
+  if (!list) return;
+
+  const maxItems = config.shoppingListMaxItems;
+  if (list.items.length + req.body.items.length > maxItems) {
+    return res.status(400).json({
+      success: false,
+      message: `Shopping list can hold at most ${maxItems} items`,
+    });
+  }
+
+  const added = req.body.items.map((item) =>
+    list.items.create({ ...pickItemFields(item), manual: true })
+  );
+  list.items.push(...added);
+  await list.save();
+
+  res.status(201).json({
+    success: true,
+    message: `Added ${added.length} item(s) to shopping list`,
+    data: {
+      added,
+      shoppingList: buildShoppingListView(list),
+    },
+  });
+});
+
+// @desc    Check off or update a shopping list item (null clears quantity,
+//          unit or note)
+// @route   PATCH /api/shopping-lists/:id/items/:itemId
+// @access  Private (owner)
+const updateShoppingListItem = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const list = await findOwnShoppingList(req, res);
+  if (!list) return;
+
+  const item = list.items.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: "Shopping list item not found",
+    });
+  }
+
+  const fields = pickItemFields(req.body);
+  // A renamed item is mapped to its catalog ingredient again on save
+  if (fields.name !== undefined && fields.name !== item.name) {
+    item.ingredientId = undefined;
+    if (fields.category === undefined) item.category = undefined;
+  }
+  Object.entries(fields).forEach(([field, value]) => {
+    item[field] = value === null ? undefined : value;
+  });
+  await list.save();
+
+  res.json({
+    success: true,
+    message: "Shopping list item updated successfully",
+    data: {
+      item,
+    },
+  });
+});
+
+// @desc    Remove an item from a shopping list
+// @route   DELETE /api/shopping-lists/:id/items/:itemId
+// @access  Private (owner)
+const deleteShoppingListItem = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const list = await findOwnShoppingList(req, res);
+  if (!list) return;
+
+  const item = list.items.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: "Shopping list item not found",
+    });
+  }
+
+  item.deleteOne();
+  await list.save();
+
+  res.json({
+    success: true,
+    message: "Shopping list item removed successfully",
+  });
+});
+
+module.exports = {
+  getShoppingLists,
+  getShoppingList,
+  createShoppingListFromRecipes,
+  exportShoppingList,
+  updateShoppingList,
+  deleteShoppingList,
+  addShoppingListItems,
+  updateShoppingListItem,
+  deleteShoppingListItem,
+};
@@ -0,0 +1,248 @@
+const AIUsage = require("../models/AIUsage");
+const User = require("../models/User");
+const { validationResult } = require("express-validator");
+const asyncHandler = require("../utils/asyncHandler");
+const config = require("../config/config");
+const { getQuotaStatus } = require("../middleware/aiQuota");
+
+// @desc    Get current user's AI quota, daily totals and usage history
+// @route   GET /api/users/me/usage
+// @access  Private
+const getMyUsage = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { page = 1, limit = 20, days = 30 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [quota, daily, history, totalRecords] = await Promise.all([
+    getQuotaStatus(req.user),
+    AIUsage.getDailyTotals(req.user._id, parseInt(days)),
+    AIUsage.find({ user: req.user._id })
+      .populate("recipe", "title")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    AIUsage.countDocuments({ user: req.user._id }),
+  ]);
+
+  const totalPages = Math.ceil(totalRecords / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      quota,
+      daily,
+      history,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRecords,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    },
+  });
+});
+
+const PANTRY_FIELDS = ["name", "quantity", "unit", "purchasedAt", "expiresAt"];
+
+// Pantry fields present in a request body
+const pickPantryFields = (body) =>
+  PANTRY_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+// Pantry item with its expiry status
+const formatPantryItem = (item, now) => ({
+  ...item.toObject(),
+  status: User.getPantryItemStatus(item, now),
+});
+
+// Pantry ordered by expiry with counts per status, optionally limited to
+// one status
+const buildPantryView = (user, status) => {
+  const now = new Date();
+  const items = User.sortPantryItems(user.pantry).map((item) =>
+    formatPantryItem(item, now)
+  );
+
+  return {
+    pantry: status ? items.filter((item) => item.status === status) : items,
+    summary: {
+      total: items.length,
+      expiring: items.filter((item) => item.status === "expiring").length,
+      expired: items.filter((item) => item.status === "expired").length,
+    },
+    staples: user.getPantryStapleIds(),
+  };
+};
+
+// @desc    Get current user's pantry, soonest expiry first
+// @route   GET /api/users/me/pantry
+// @access  Private
+const getMyPantry = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  res.json({
+    success: true,
+    data: buildPantryView(req.user, req.query.status),
+  });
+});
+
+// @desc    Add one or more items to current user's pantry
+// @route   POST /api/users/me/pantry
+// @access  Private
+const addPantryItems = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  if (req.user.pantry.length + req.body.items.length > config.pantryMaxItems) {
+    return res.status(400).json({
+      success: false,
+      message: `Pantry can hold at most ${config.pantryMaxItems} items`,
+    });
+  }
+
+  const added = req.body.items.map((item) =>
+    req.user.pantry.create(pickPantryFields(item))
+  );
+  req.user.pantry.push(...added);
+  await req.user.save();
+
+  const now = new Date();
+  res.status(201).json({
+    success: true,
+    message: `Added ${added.length} item(s) to pantry`,
+    data: {
+      added: added.map((item) => formatPantryItem(item, now)),
+      ...buildPantryView(req.user),
+    },
+  });
+});
+
+// @desc    Replace current user's pantry
+// @route   PUT /api/users/me/pantry
+// @access  Private
+const replaceMyPantry = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  // Keep the original addedAt of items that are still in the pantry
+  const addedAt = new Map(
+    req.user.pantry.map((item) => [item.name.toLowerCase(), item.addedAt])
+  );
+
+  req.user.pantry = req.body.items.map((item) => ({
+    ...pickPantryFields(item),
+    addedAt: addedAt.get(item.name.toLowerCase()) || new Date(),
+  }));
+  await req.user.save();
+
+  res.json({
+    success: true,
+    message: "Pantry updated successfully",
+    data: buildPantryView(req.user),
+  });
+});
+
+// @desc    Update a pantry item (null clears quantity, unit or dates)
+// @route   PATCH /api/users/me/pantry/:itemId
+// @access  Private
+const updatePantryItem = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const item = req.user.pantry.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: "Pantry item not found",
+    });
+  }
+
+  Object.entries(pickPantryFields(req.body)).forEach(([field, value]) => {
+    item[field] = value === null ? undefined : value;
+  });
+  await req.user.save();
+
+  res.json({
+    success: true,
+    message: "Pantry item updated successfully",
+    data: {
+      item: formatPantryItem(item, new Date()),
+    },
+  });
+});
+
+// @desc    Remove an item from current user's pantry
+// @route   DELETE /api/users/me/pantry/:itemId
+// @access  Private
+const deletePantryItem = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const item = req.user.pantry.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: "Pantry item not found",
+    });
+  }
+
+  item.deleteOne();
+  await req.user.save();
+
+  res.json({
+    success: true,
+    message: "Pantry item removed successfully",
+  });
+});
+
+module.exports = {
+  getMyUsage,
+  getMyPantry,
+  addPantryItems,
+  replaceMyPantry,
+  updatePantryItem,
+  deletePantryItem,
+};
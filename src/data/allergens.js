@@ -0,0 +1,113 @@
+// Allergen and diet rules checked against recipe ingredients. A rule matches
+// an ingredient by its catalog id or category, or when one of its keywords
+// appears as whole words in the ingredient name, which also catches names
+// outside the catalog and hidden sources ("soy sauce" contains wheat, pesto
+// contains cheese and pine nuts). Names containing an exception never match
+// the rule ("rice noodles" for gluten, "peanut butter" for milk). Keywords
+// and exceptions are normalized like ingredient names, so plurals match.
+
+const rule = (
+  id,
+  name,
+  { ingredientIds = [], categories = [], keywords = [], except = [] }
+) => ({
+  id,
+  name,
+  ingredientIds,
+  categories,
+  keywords,
+  except,
+});
+
+// Major allergens users can declare (preferences.allergies)
+const ALLERGENS = [
+  rule("gluten", "Gluten", {
+    ingredientIds: ["flour", "pasta", "noodle", "bread", "breadcrumb", "tortilla", "couscous", "soy-sauce"],
+    keywords: ["wheat", "flour", "barley", "rye", "spelt", "semolina", "durum", "farro", "bulgur", "freekeh", "seitan", "malt", "beer", "stout", "panko", "breadcrumb", "crouton", "bread", "bun", "pita", "naan", "bagel", "croissant", "brioche", "cracker", "biscuit", "cake", "cookie", "pastry", "phyllo", "filo", "pie crust", "dough", "dumpling", "wonton", "pasta", "noodle", "spaghetti", "macaroni", "lasagna", "orzo", "gnocchi", "udon", "ramen", "couscous", "matzo", "roux", "soy sauce", "teriyaki", "hoisin"],
+    except: ["gluten free", "rice noodle", "glass noodle", "zucchini noodle", "kelp noodle", "shirataki", "rice paper", "rice cake", "rice flour", "almond flour", "coconut flour", "chickpea flour", "corn flour", "potato flour", "tapioca flour", "oat flour", "buckwheat", "corn tortilla", "tamari"],
+  }),
+  rule("milk", "Milk", {
+    ingredientIds: ["milk", "butter", "cream", "sour-cream", "yogurt", "cheese", "cheddar", "mozzarella", "parmesan", "feta", "cream-cheese"],
+    keywords: ["milk", "butter", "buttermilk", "cream", "cheese", "yogurt", "yoghurt", "ghee", "whey", "casein", "kefir", "ricotta", "mascarpone", "paneer", "parmesan", "parmigiano", "pecorino", "mozzarella", "burrata", "cheddar", "feta", "brie", "gouda", "gruyere", "halloumi", "queso", "creme fraiche", "half and half", "custard", "bechamel", "alfredo", "tzatziki", "pesto", "white chocolate"],
+    except: ["dairy free", "vegan", "plant based", "coconut milk", "coconut cream", "coconut yogurt", "almond milk", "oat milk", "soy milk", "rice milk", "cashew milk", "plant milk", "peanut butter", "almond butter", "cashew butter", "nut butter", "seed butter", "sunflower butter", "cocoa butter", "apple butter", "butter bean", "butter lettuce", "cream of tartar"],
+  }),
+  rule("egg", "Egg", {
+    ingredientIds: ["egg", "mayonnaise"],
+    keywords: ["egg", "mayonnaise", "mayo", "aioli", "meringue", "custard", "hollandaise", "bearnaise", "brioche"],
+    except: ["egg free", "eggless", "vegan", "flax egg", "chia egg", "egg replacer"],
+  }),
+  rule("fish", "Fish", {
+    ingredientIds: ["salmon", "tuna", "cod", "fish-sauce"],
+    keywords: ["fish", "anchovy", "salmon", "tuna", "cod", "sardine", "mackerel", "trout", "tilapia", "halibut", "haddock", "pollock", "snapper", "sea bass", "swordfish", "herring", "catfish", "bonito", "caviar", "roe", "surimi", "imitation crab", "dashi", "worcestershire", "caesar dressing"],
+    except: ["fish free", "vegan"],
+  }),
+  rule("shellfish", "Shellfish", {
+    ingredientIds: ["shrimp"],
+    keywords: ["shellfish", "shrimp", "prawn", "crab", "lobster", "crayfish", "crawfish", "langoustine", "scallop", "clam", "mussel", "oyster", "cockle", "squid", "calamari", "octopus"],
+    except: ["vegan", "oyster mushroom", "mushroom oyster sauce", "crab apple", "imitation crab"],
+  }),
+  rule("tree-nuts", "Tree nuts", {
+    ingredientIds: ["almond", "walnut", "cashew"],
+    keywords: ["nut", "almond", "walnut", "cashew", "pecan", "pistachio", "hazelnut", "filbert", "macadamia", "brazil nut", "pine nut", "pignoli", "chestnut", "marzipan", "praline", "frangipane", "gianduja", "nutella", "amaretto", "pesto"],
+    except: ["nut free", "water chestnut"],
+  }),
+  rule("peanuts", "Peanuts", {
+    ingredientIds: ["peanut", "peanut-butter"],
+    keywords: ["peanut", "groundnut", "monkey nut", "satay"],
+    except: ["peanut free"],
+  }),
+  rule("soy", "Soy", {
+    ingredientIds: ["soy-sauce", "tofu"],
+    keywords: ["soy", "soya", "soybean", "tofu", "tempeh", "edamame", "miso", "tamari", "shoyu", "teriyaki", "hoisin", "natto", "bean curd", "textured vegetable protein"],
+    except: ["soy free"],
+  }),
+  rule("sesame", "Sesame", {
+    ingredientIds: ["sesame-seed", "sesame-oil"],
+    keywords: ["sesame", "tahini", "hummus", "za'atar", "halva", "halvah", "gomasio", "furikake", "benne seed"],
+  }),
+];
+
+// Ingredients that aren't vegetarian besides fish and shellfish, and ones
+// that aren't vegan besides those, milk and egg
+const DIET_RULES = [
+  rule("meat", "Meat", {
+    ingredientIds: ["chicken-stock", "beef-stock"],
+    categories: ["meat"],
+    keywords: ["meat", "meatball", "chicken", "beef", "pork", "bacon", "ham", "lamb", "mutton", "veal", "turkey", "duck", "goose", "venison", "rabbit", "sausage", "chorizo", "salami", "pepperoni", "prosciutto", "pancetta", "guanciale", "pastrami", "brisket", "hot dog", "bone broth", "lard", "suet", "tallow", "gelatin", "gelatine", "rennet"],
+    except: ["vegetarian", "vegan", "plant based", "meatless", "meat free", "veggie", "lamb's lettuce"],
+  }),
+  rule("animal-product", "Animal product", {
+    ingredientIds: ["honey"],
+    keywords: ["honey", "royal jelly", "beeswax", "carmine", "cochineal", "isinglass"],
+    except: ["vegan"],
+  }),
+];
+
+// Rules that rule out each dietaryInfo flag. isLowCarb is checked against
+// the nutrition instead.
+const DIETARY_FLAG_RULES = {
+  isVegetarian: ["meat", "fish", "shellfish"],
+  isVegan: ["meat", "fish", "shellfish", "milk", "egg", "animal-product"],
+  isGlutenFree: ["gluten"],
+  isDairyFree: ["milk"],
+  isNutFree: ["tree-nuts", "peanuts"],
+};
+
+// dietaryInfo flag required by each User.preferences.dietaryRestrictions
+// value. Restrictions without a flag (keto, paleo) are only passed on to the
+// AI.
+const DIETARY_RESTRICTION_FLAGS = {
+  vegetarian: "isVegetarian",
+  vegan: "isVegan",
+  "gluten-free": "isGlutenFree",
+  "dairy-free": "isDairyFree",
+  "nut-free": "isNutFree",
+  "low-carb": "isLowCarb",
+};
+
+module.exports = {
+  ALLERGENS,
+  DIET_RULES,
+  DIETARY_FLAG_RULES,
+  DIETARY_RESTRICTION_FLAGS,
+};
@@ -0,0 +1,168 @@
+// Seed data for the Ingredient catalog. Ids are slugs of the canonical name;
+// aliases cover synonyms and common varieties (plurals are handled by the
+// normalizer). Longer names win over shorter ones when resolving, so
+// "peanut butter" needs its own entry to not resolve to butter.
+
+const entry = (id, name, category, aliases = []) => ({
+  _id: id,
+  name,
+  category,
+  aliases,
+});
+
+module.exports = [
+  // Produce
+  entry("tomato", "Tomato", "produce", ["roma tomato", "cherry tomato", "plum tomato", "grape tomato", "beefsteak tomato", "heirloom tomato"]),
+  entry("onion", "Onion", "produce", ["yellow onion", "white onion", "red onion", "brown onion", "sweet onion"]),
+  entry("green-onion", "Green onion", "produce", ["scallion", "spring onion", "salad onion"]),
+  entry("shallot", "Shallot", "produce"),
+  entry("garlic", "Garlic", "produce", ["garlic bulb"]),
+  entry("ginger", "Ginger", "produce", ["ginger root"]),
+  entry("potato", "Potato", "produce", ["russet potato", "yukon gold potato", "new potato", "baby potato", "red potato"]),
+  entry("sweet-potato", "Sweet potato", "produce", ["yam"]),
+  entry("carrot", "Carrot", "produce", ["baby carrot"]),
+  entry("celery", "Celery", "produce", ["celery stalk", "celery rib"]),
+  entry("bell-pepper", "Bell pepper", "produce", ["red bell pepper", "green bell pepper", "yellow bell pepper", "capsicum", "sweet pepper"]),
+  entry("chili-pepper", "Chili pepper", "produce", ["chili", "chile", "jalapeno", "serrano", "habanero", "bird's eye chili", "red chili", "green chili"]),
+  entry("broccoli", "Broccoli", "produce", ["broccoli floret"]),
+  entry("cauliflower", "Cauliflower", "produce", ["cauliflower floret"]),
+  entry("spinach", "Spinach", "produce", ["baby spinach"]),
+  entry("kale", "Kale", "produce", ["lacinato kale", "tuscan kale"]),
+  entry("lettuce", "Lettuce", "produce", ["romaine", "romaine lettuce", "iceberg lettuce", "butter lettuce"]),
+  entry("cabbage", "Cabbage", "produce", ["green cabbage", "red cabbage", "napa cabbage"]),
+  entry("zucchini", "Zucchini", "produce", ["courgette"]),
+  entry("eggplant", "Eggplant", "produce", ["aubergine"]),
+  entry("cucumber", "Cucumber", "produce", ["english cucumber"]),
+  entry("mushroom", "Mushroom", "produce", ["button mushroom", "cremini mushroom", "shiitake", "shiitake mushroom", "portobello", "portobello mushroom"]),
+  entry("corn", "Corn", "produce", ["sweet corn", "corn kernel", "corn on the cob"]),
+  entry("pea", "Peas", "produce", ["green pea", "garden pea", "snow pea", "sugar snap pea"]),
+  entry("green-bean", "Green beans", "produce", ["string bean", "french bean"]),
+  entry("asparagus", "Asparagus", "produce"),
+  entry("avocado", "Avocado", "produce"),
+  entry("lemon", "Lemon", "produce"),
+  entry("lime", "Lime", "produce"),
+  entry("orange", "Orange", "produce", ["navel orange", "blood orange"]),
+  entry("apple", "Apple", "produce", ["green apple", "granny smith apple"]),
+  entry("banana", "Banana", "produce"),
+  entry("strawberry", "Strawberry", "produce"),
+  entry("blueberry", "Blueberry", "produce"),
+  entry("raspberry", "Raspberry", "produce"),
+  entry("mango", "Mango", "produce"),
+  entry("pineapple", "Pineapple", "produce"),
+  entry("pumpkin", "Pumpkin", "produce", ["butternut squash", "squash"]),
+  entry("beet", "Beetroot", "produce", ["beetroot"]),
+  entry("leek", "Leek", "produce"),
+
+  // Herbs and spices
+  entry("basil", "Basil", "herb", ["thai basil", "sweet basil"]),
+  entry("parsley", "Parsley", "herb", ["flat leaf parsley", "italian parsley"]),
+  entry("cilantro", "Cilantro", "herb", ["coriander leaf", "coriander leave"]),
+  entry("mint", "Mint", "herb", ["mint leaf", "spearmint"]),
+  entry("rosemary", "Rosemary", "herb"),
+  entry("thyme", "Thyme", "herb"),
+  entry("oregano", "Oregano", "herb"),
+  entry("dill", "Dill", "herb"),
+  entry("bay-leaf", "Bay leaf", "herb", ["bay leave"]),
+  entry("salt", "Salt", "spice", ["sea salt", "kosher salt", "table salt"]),
+  entry("black-pepper", "Black pepper", "spice", ["pepper", "peppercorn", "black peppercorn"]),
+  entry("cumin", "Cumin", "spice", ["cumin seed"]),
+  entry("paprika", "Paprika", "spice", ["smoked paprika", "sweet paprika"]),
+  entry("chili-powder", "Chili powder", "spice", ["chilli powder", "cayenne", "cayenne pepper", "red pepper flake", "chili flake"]),
+  entry("turmeric", "Turmeric", "spice"),
+  entry("cinnamon", "Cinnamon", "spice", ["cinnamon stick"]),
+  entry("nutmeg", "Nutmeg", "spice"),
+  entry("coriander", "Coriander", "spice", ["coriander seed"]),
+  entry("curry-powder", "Curry powder", "spice", ["garam masala"]),
+  entry("vanilla", "Vanilla", "baking", ["vanilla extract", "vanilla bean", "vanilla essence"]),
+
+  // Meat and seafood
+  entry("chicken", "Chicken", "meat", ["chicken meat", "rotisserie chicken"]),
+  entry("beef", "Beef", "meat", ["ground beef", "minced beef", "beef mince", "steak", "sirloin", "chuck"]),
+  entry("pork", "Pork", "meat", ["ground pork", "pork chop", "pork loin", "pork shoulder"]),
+  entry("bacon", "Bacon", "meat", ["pancetta"]),
+  entry("sausage", "Sausage", "meat", ["chorizo", "italian sausage"]),
+  entry("ham", "Ham", "meat", ["prosciutto"]),
+  entry("lamb", "Lamb", "meat", ["ground lamb", "lamb chop"]),
+  entry("turkey", "Turkey", "meat", ["ground turkey"]),
+  entry("salmon", "Salmon", "seafood"),
+  entry("tuna", "Tuna", "seafood"),
+  entry("cod", "Cod", "seafood", ["white fish", "whitefish"]),
+  entry("shrimp", "Shrimp", "seafood", ["prawn", "king prawn"]),
+
+  // Dairy and eggs
+  entry("egg", "Egg", "dairy", ["egg yolk", "egg white"]),
+  entry("milk", "Milk", "dairy", ["whole milk", "skim milk", "semi skimmed milk"]),
+  entry("butter", "Butter", "dairy", ["unsalted butter", "salted butter"]),
+  entry("cream", "Cream", "dairy", ["heavy cream", "double cream", "whipping cream", "single cream", "light cream"]),
+  entry("sour-cream", "Sour cream", "dairy", ["creme fraiche"]),
+  entry("yogurt", "Yogurt", "dairy", ["greek yogurt", "yoghurt", "plain yogurt"]),
+  entry("cheese", "Cheese", "dairy"),
+  entry("cheddar", "Cheddar", "dairy", ["cheddar cheese"]),
+  entry("mozzarella", "Mozzarella", "dairy", ["mozzarella cheese"]),
+  entry("parmesan", "Parmesan", "dairy", ["parmesan cheese", "parmigiano reggiano", "pecorino"]),
+  entry("feta", "Feta", "dairy", ["feta cheese"]),
+  entry("cream-cheese", "Cream cheese", "dairy"),
+
+  // Grains, pasta and bread
+  entry("rice", "Rice", "grain", ["white rice", "brown rice", "basmati rice", "jasmine rice", "arborio rice"]),
+  entry("pasta", "Pasta", "grain", ["spaghetti", "penne", "fusilli", "linguine", "fettuccine", "macaroni", "rigatoni", "lasagna sheet"]),
+  entry("noodle", "Noodles", "grain", ["egg noodle", "rice noodle", "ramen noodle", "udon"]),
+  entry("bread", "Bread", "grain", ["sourdough", "baguette", "bread slice", "toast"]),
+  entry("breadcrumb", "Breadcrumbs", "grain", ["bread crumb", "panko"]),
+  entry("tortilla", "Tortilla", "grain", ["flour tortilla", "corn tortilla", "wrap"]),
+  entry("oat", "Oats", "grain", ["rolled oat", "oatmeal", "porridge oat"]),
+  entry("quinoa", "Quinoa", "grain"),
+  entry("couscous", "Couscous", "grain"),
+  entry("flour", "Flour", "baking", ["all purpose flour", "plain flour", "self raising flour", "bread flour", "whole wheat flour"]),
+
+  // Legumes, nuts and seeds
+  entry("chickpea", "Chickpeas", "legume", ["garbanzo bean", "garbanzo"]),
+  entry("black-bean", "Black beans", "legume"),
+  entry("kidney-bean", "Kidney beans", "legume", ["red kidney bean"]),
+  entry("lentil", "Lentils", "legume", ["red lentil", "green lentil", "brown lentil"]),
+  entry("tofu", "Tofu", "legume", ["firm tofu", "silken tofu"]),
+  entry("almond", "Almonds", "nut", ["sliced almond", "flaked almond"]),
+  entry("walnut", "Walnuts", "nut"),
+  entry("peanut", "Peanuts", "nut"),
+  entry("cashew", "Cashews", "nut"),
+  entry("peanut-butter", "Peanut butter", "nut"),
+  entry("sesame-seed", "Sesame seeds", "nut", ["sesame"]),
+
+  // Oils, condiments and sauces
+  entry("olive-oil", "Olive oil", "oil", ["extra virgin olive oil", "virgin olive oil"]),
+  entry("vegetable-oil", "Vegetable oil", "oil", ["oil", "canola oil", "sunflower oil", "rapeseed oil", "cooking oil"]),
+  entry("sesame-oil", "Sesame oil", "oil", ["toasted sesame oil"]),
+  entry("coconut-oil", "Coconut oil", "oil"),
+  entry("soy-sauce", "Soy sauce", "condiment", ["light soy sauce", "dark soy sauce", "tamari", "shoyu"]),
+  entry("fish-sauce", "Fish sauce", "condiment"),
+  entry("vinegar", "Vinegar", "condiment", ["white vinegar", "apple cider vinegar", "red wine vinegar", "balsamic vinegar", "rice vinegar"]),
+  entry("mustard", "Mustard", "condiment", ["dijon mustard", "dijon", "wholegrain mustard"]),
+  entry("ketchup", "Ketchup", "condiment", ["tomato ketchup"]),
+  entry("mayonnaise", "Mayonnaise", "condiment", ["mayo"]),
+  entry("tomato-paste", "Tomato paste", "condiment", ["tomato puree"]),
+  entry("tomato-sauce", "Tomato sauce", "condiment", ["passata", "marinara", "marinara sauce"]),
+  entry("honey", "Honey", "condiment"),
+  entry("maple-syrup", "Maple syrup", "condiment"),
+  entry("lemon-juice", "Lemon juice", "condiment"),
+  entry("lime-juice", "Lime juice", "condiment"),
+  entry("chicken-stock", "Chicken stock", "condiment", ["chicken broth"]),
+  entry("vegetable-stock", "Vegetable stock", "condiment", ["vegetable broth"]),
+  entry("beef-stock", "Beef stock", "condiment", ["beef broth"]),
+  entry("coconut-milk", "Coconut milk", "condiment", ["coconut cream"]),
+  entry("almond-milk", "Almond milk", "dairy", ["oat milk", "soy milk", "plant milk"]),
+
+  // Baking
+  entry("sugar", "Sugar", "baking", ["granulated sugar", "white sugar", "caster sugar"]),
+  entry("brown-sugar", "Brown sugar", "baking", ["light brown sugar", "dark brown sugar"]),
+  entry("powdered-sugar", "Powdered sugar", "baking", ["icing sugar", "confectioners sugar"]),
+  entry("baking-powder", "Baking powder", "baking"),
+  entry("baking-soda", "Baking soda", "baking", ["bicarbonate of soda", "bicarb"]),
+  entry("yeast", "Yeast", "baking", ["active dry yeast", "instant yeast"]),
+  entry("cornstarch", "Cornstarch", "baking", ["cornflour", "corn starch"]),
+  entry("cocoa-powder", "Cocoa powder", "baking", ["cocoa", "cacao powder"]),
+  entry("chocolate", "Chocolate", "baking", ["dark chocolate", "milk chocolate", "chocolate chip"]),
+
+  // Other
+  entry("water", "Water", "other", ["cold water", "warm water", "hot water", "boiling water"]),
+  entry("wine", "Wine", "other", ["white wine", "red wine", "dry white wine"]),
+];
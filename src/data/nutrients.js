@@ -0,0 +1,194 @@
+// Nutrients per 100 g of catalog ingredients, rounded from USDA FoodData
+// Central (SR Legacy). Ingredients are listed as usually bought: raw produce
+// and meat, dry grains and pasta, canned beans and stock.
+//
+// Values are [calories, protein, carbs, fat, fiber, sugar, saturatedFat,
+// sodium] with sodium in mg and the rest in grams. Weights are grams per US
+// cup (`cup`), per piece (`each`) and per package unit ("1 can", "2 cloves").
+
+const NUTRIENTS = [
+  "calories",
+  "protein",
+  "carbs",
+  "fat",
+  "fiber",
+  "sugar",
+  "saturatedFat",
+  "sodium",
+];
+
+const food = (ingredientId, values, weights = {}) => ({
+  ingredientId,
+  per100g: Object.fromEntries(
+    NUTRIENTS.map((nutrient, index) => [nutrient, values[index]])
+  ),
+  weights,
+});
+
+const FOODS = [
+  // Produce
+  food("tomato", [18, 0.9, 3.9, 0.2, 1.2, 2.6, 0, 5], { each: 123, cup: 180, can: 400 }),
+  food("onion", [40, 1.1, 9.3, 0.1, 1.7, 4.2, 0, 4], { each: 110, cup: 160 }),
+  food("green-onion", [32, 1.8, 7.3, 0.2, 2.6, 2.3, 0, 16], { each: 15, cup: 100, bunch: 100 }),
+  food("shallot", [72, 2.5, 16.8, 0.1, 3.2, 7.9, 0, 12], { each: 40, cup: 160 }),
+  food("garlic", [149, 6.4, 33.1, 0.5, 2.1, 1, 0.1, 17], { each: 3, clove: 3, head: 50, cup: 136 }),
+  food("ginger", [80, 1.8, 17.8, 0.8, 2, 1.7, 0.2, 13], { each: 15, piece: 15, cup: 96 }),
+  food("potato", [77, 2, 17.5, 0.1, 2.2, 0.8, 0, 6], { each: 213, cup: 150 }),
+  food("sweet-potato", [86, 1.6, 20.1, 0.1, 3, 4.2, 0, 55], { each: 130, cup: 133 }),
+  food("carrot", [41, 0.9, 9.6, 0.2, 2.8, 4.7, 0, 69], { each: 61, cup: 128 }),
+  food("celery", [16, 0.7, 3, 0.2, 1.6, 1.3, 0, 80], { each: 40, stalk: 40, rib: 40, cup: 101 }),
+  food("bell-pepper", [26, 1, 6, 0.3, 2.1, 4.2, 0, 4], { each: 120, cup: 150 }),
+  food("chili-pepper", [40, 1.9, 8.8, 0.4, 1.5, 5.3, 0, 9], { each: 15, cup: 150 }),
+  food("broccoli", [34, 2.8, 6.6, 0.4, 2.6, 1.7, 0, 33], { each: 600, head: 600, cup: 91 }),
+  food("cauliflower", [25, 1.9, 5, 0.3, 2, 1.9, 0.1, 30], { each: 575, head: 575, cup: 107 }),
+  food("spinach", [23, 2.9, 3.6, 0.4, 2.2, 0.4, 0.1, 79], { bunch: 340, bag: 280, cup: 30 }),
+  food("kale", [35, 2.9, 4.4, 1.5, 4.1, 1, 0.2, 53], { bunch: 200, cup: 21 }),
+  food("lettuce", [15, 1.4, 2.9, 0.2, 1.3, 0.8, 0, 28], { each: 500, head: 500, cup: 47 }),
+  food("cabbage", [25, 1.3, 5.8, 0.1, 2.5, 3.2, 0, 18], { each: 900, head: 900, cup: 89 }),
+  food("zucchini", [17, 1.2, 3.1, 0.3, 1, 2.5, 0.1, 8], { each: 200, cup: 124 }),
+  food("eggplant", [25, 1, 5.9, 0.2, 3, 3.5, 0, 2], { each: 460, cup: 82 }),
+  food("cucumber", [15, 0.7, 3.6, 0.1, 0.5, 1.7, 0, 2], { each: 300, cup: 119 }),
+  food("mushroom", [22, 3.1, 3.3, 0.3, 1, 2, 0, 5], { each: 18, cup: 70 }),
+  food("corn", [86, 3.3, 19, 1.4, 2, 6.3, 0.3, 15], { each: 100, ear: 100, cup: 150 }),
+  food("pea", [81, 5.4, 14.5, 0.4, 5.1, 5.7, 0.1, 5], { cup: 145 }),
+  food("green-bean", [31, 1.8, 7, 0.2, 2.7, 3.3, 0, 6], { cup: 110 }),
+  food("asparagus", [20, 2.2, 3.9, 0.1, 2.1, 1.9, 0, 2], { each: 16, bunch: 450, cup: 134 }),
+  food("avocado", [160, 2, 8.5, 14.7, 6.7, 0.7, 2.1, 7], { each: 150, cup: 150 }),
+  food("lemon", [29, 1.1, 9.3, 0.3, 2.8, 2.5, 0, 2], { each: 84 }),
+  food("lime", [30, 0.7, 10.5, 0.2, 2.8, 1.7, 0, 2], { each: 67 }),
+  food("orange", [47, 0.9, 11.8, 0.1, 2.4, 9.4, 0, 0], { each: 131, cup: 180 }),
+  food("apple", [52, 0.3, 13.8, 0.2, 2.4, 10.4, 0, 1], { each: 182, cup: 125 }),
+  food("banana", [89, 1.1, 22.8, 0.3, 2.6, 12.2, 0.1, 1], { each: 118, cup: 150 }),
+  food("strawberry", [32, 0.7, 7.7, 0.3, 2, 4.9, 0, 1], { each: 12, cup: 152 }),
+  food("blueberry", [57, 0.7, 14.5, 0.3, 2.4, 10, 0, 1], { cup: 148 }),
+  food("raspberry", [52, 1.2, 11.9, 0.7, 6.5, 4.4, 0, 1], { cup: 123 }),
+  food("mango", [60, 0.8, 15, 0.4, 1.6, 13.7, 0.1, 1], { each: 200, cup: 165 }),
+  food("pineapple", [50, 0.5, 13.1, 0.1, 1.4, 9.9, 0, 1], { each: 900, cup: 165 }),
+  food("pumpkin", [26, 1, 6.5, 0.1, 0.5, 2.8, 0.1, 1], { cup: 116 }),
+  food("beet", [43, 1.6, 9.6, 0.2, 2.8, 6.8, 0, 78], { each: 82, cup: 136 }),
+  food("leek", [61, 1.5, 14.2, 0.3, 1.8, 3.9, 0, 20], { each: 89, cup: 89 }),
+
+  // Herbs (fresh, apart from oregano and bay leaves)
+  food("basil", [23, 3.2, 2.7, 0.6, 1.6, 0.3, 0, 4], { bunch: 30, sprig: 1, cup: 24 }),
+  food("parsley", [36, 3, 6.3, 0.8, 3.3, 0.9, 0.1, 56], { bunch: 60, sprig: 1, cup: 60 }),
+  food("cilantro", [23, 2.1, 3.7, 0.5, 2.8, 0.9, 0, 46], { bunch: 50, sprig: 1, cup: 16 }),
+  food("mint", [70, 3.8, 14.9, 0.9, 8, 0, 0.2, 31], { bunch: 30, sprig: 1, cup: 45 }),
+  food("rosemary", [131, 3.3, 20.7, 5.9, 14.1, 0, 2.8, 26], { sprig: 1, cup: 27 }),
+  food("thyme", [101, 5.6, 24.5, 1.7, 14, 0, 0.5, 9], { sprig: 0.8, cup: 38 }),
+  food("oregano", [265, 9, 68.9, 4.3, 42.5, 4.1, 1.6, 25], { cup: 48 }),
+  food("dill", [43, 3.5, 7, 1.1, 2.1, 0, 0.1, 61], { sprig: 1, cup: 9 }),
+  food("bay-leaf", [313, 7.6, 75, 8.4, 26.3, 0, 2.3, 23], { each: 0.2 }),
+
+  // Spices
+  food("salt", [0, 0, 0, 0, 0, 0, 0, 38758], { cup: 288 }),
+  food("black-pepper", [251, 10.4, 64, 3.3, 25.3, 0.6, 1.4, 20], { cup: 110 }),
+  food("cumin", [375, 17.8, 44.2, 22.3, 10.5, 2.3, 1.5, 168], { cup: 101 }),
+  food("paprika", [282, 14.1, 54, 12.9, 34.9, 10.3, 2.1, 68], { cup: 110 }),
+  food("chili-powder", [282, 13.5, 49.7, 14.3, 34.8, 7.2, 2.5, 2867], { cup: 130 }),
+  food("turmeric", [312, 9.7, 67.1, 3.3, 22.7, 3.2, 1.8, 27], { cup: 144 }),
+  food("cinnamon", [247, 4, 80.6, 1.2, 53.1, 2.2, 0.3, 10], { cup: 125 }),
+  food("nutmeg", [525, 5.8, 49.3, 36.3, 20.8, 3, 25.9, 16], { cup: 106 }),
+  food("coriander", [298, 12.4, 55, 17.8, 41.9, 0, 1, 35], { cup: 86 }),
+  food("curry-powder", [325, 14.3, 55.8, 14, 53.2, 2.8, 2.3, 52], { cup: 96 }),
+  food("vanilla", [288, 0.1, 12.7, 0.1, 0, 12.7, 0, 9], { cup: 208 }),
+
+  // Meat and seafood (raw)
+  food("chicken", [120, 22.5, 0, 2.6, 0, 0, 0.6, 45], { each: 174, cup: 140 }),
+  food("beef", [215, 18.6, 0, 15, 0, 0, 5.7, 66], { cup: 225 }),
+  food("pork", [190, 19.5, 0, 12, 0, 0, 4.3, 56], { each: 150, cup: 140 }),
+  food("bacon", [417, 13, 1.4, 40, 0, 0, 13.3, 833], { each: 25, slice: 25, strip: 25 }),
+  food("sausage", [301, 14.3, 0.8, 26.6, 0, 0.6, 8.7, 731], { each: 75, link: 75 }),
+  food("ham", [145, 21, 1.5, 5.5, 0, 1.3, 1.8, 1200], { slice: 28, cup: 140 }),
+  food("lamb", [282, 16.6, 0, 23.4, 0, 0, 10.2, 59], { cup: 140 }),
+  food("turkey", [148, 19.7, 0, 7.7, 0, 0, 2, 69], { cup: 140 }),
+  food("salmon", [208, 20.4, 0, 13.4, 0, 0, 3.1, 59], { each: 170, fillet: 170 }),
+  food("tuna", [116, 25.5, 0, 0.8, 0, 0, 0.2, 247], { each: 150, can: 140, cup: 150 }),
+  food("cod", [82, 17.8, 0, 0.7, 0, 0, 0.1, 54], { each: 180, fillet: 180 }),
+  food("shrimp", [85, 20.1, 0, 0.5, 0, 0, 0.1, 119], { each: 12, cup: 145 }),
+
+  // Dairy and eggs
+  food("egg", [143, 12.6, 0.7, 9.5, 0, 0.4, 3.1, 142], { each: 50, cup: 243 }),
+  food("milk", [61, 3.2, 4.8, 3.3, 0, 5.1, 1.9, 43], { cup: 244 }),
+  food("butter", [717, 0.9, 0.1, 81.1, 0, 0.1, 51.4, 643], { stick: 113, cup: 227 }),
+  food("cream", [340, 2.8, 2.7, 36.1, 0, 2.9, 23, 27], { cup: 238 }),
+  food("sour-cream", [198, 2.4, 4.6, 19.4, 0, 3.4, 10.1, 31], { cup: 230 }),
+  food("yogurt", [61, 3.5, 4.7, 3.3, 0, 4.7, 2.1, 46], { cup: 245 }),
+  food("cheese", [380, 24, 2, 31, 0, 0.5, 19, 620], { slice: 28, cup: 113 }),
+  food("cheddar", [403, 24.9, 1.3, 33.1, 0, 0.5, 21.1, 621], { slice: 28, cup: 113 }),
+  food("mozzarella", [300, 22.2, 2.2, 22.4, 0, 1, 13.2, 627], { each: 125, ball: 125, cup: 113 }),
+  food("parmesan", [392, 35.8, 3.2, 25.8, 0, 0.8, 16.4, 1376], { cup: 100 }),
+  food("feta", [264, 14.2, 4.1, 21.3, 0, 4.1, 14.9, 1116], { block: 200, cup: 150 }),
+  food("cream-cheese", [342, 5.9, 4.1, 34.2, 0, 3.2, 19.3, 321], { package: 227, block: 227, cup: 232 }),
+  food("almond-milk", [15, 0.6, 0.3, 1.2, 0.2, 0, 0.1, 72], { cup: 240 }),
+
+  // Grains (dry)
+  food("rice", [365, 7.1, 80, 0.7, 1.3, 0.1, 0.2, 5], { cup: 185 }),
+  food("pasta", [371, 13, 74.7, 1.5, 3.2, 2.7, 0.3, 6], { sheet: 20, box: 454, package: 454, cup: 105 }),
+  food("noodle", [384, 14.2, 71.3, 4.4, 3.3, 1.9, 0.9, 21], { each: 20, sheet: 20, package: 340, cup: 38 }),
+  food("bread", [265, 9, 49, 3.2, 2.7, 5, 0.7, 491], { each: 30, slice: 30, loaf: 450, cup: 45 }),
+  food("breadcrumb", [395, 13.4, 71.9, 5.3, 4.5, 6.2, 1.2, 732], { cup: 108 }),
+  food("tortilla", [306, 8.2, 50.4, 8, 3.5, 2.5, 3, 736], { each: 45 }),
+  food("oat", [389, 16.9, 66.3, 6.9, 10.6, 0, 1.2, 2], { cup: 90 }),
+  food("quinoa", [368, 14.1, 64.2, 6.1, 7, 0, 0.7, 5], { cup: 170 }),
+  food("couscous", [376, 12.8, 77.4, 0.6, 5, 0, 0.1, 10], { cup: 173 }),
+  food("flour", [364, 10.3, 76.3, 1, 2.7, 0.3, 0.2, 2], { cup: 125 }),
+
+  // Legumes (beans canned and drained, lentils dry)
+  food("chickpea", [139, 7, 22.5, 2.8, 7.6, 3.3, 0.3, 241], { can: 240, cup: 164 }),
+  food("black-bean", [91, 6, 16.6, 0.3, 6.9, 0.3, 0.1, 384], { can: 240, cup: 172 }),
+  food("kidney-bean", [84, 5.2, 15.5, 0.4, 5.4, 1.9, 0.1, 256], { can: 240, cup: 180 }),
+  food("lentil", [352, 24.6, 63.4, 1.1, 10.7, 2, 0.2, 6], { cup: 190 }),
+  food("tofu", [144, 17.3, 2.8, 8.7, 2.3, 0.6, 1.3, 14], { block: 400, package: 400, cup: 250 }),
+
+  // Nuts and seeds
+  food("almond", [579, 21.2, 21.6, 49.9, 12.5, 4.4, 3.8, 1], { each: 1.2, cup: 143 }),
+  food("walnut", [654, 15.2, 13.7, 65.2, 6.7, 2.6, 6.1, 2], { cup: 120 }),
+  food("peanut", [567, 25.8, 16.1, 49.2, 8.5, 4.7, 6.3, 18], { cup: 146 }),
+  food("cashew", [553, 18.2, 30.2, 43.9, 3.3, 5.9, 7.8, 12], { cup: 137 }),
+  food("peanut-butter", [588, 25.1, 20, 50.4, 6, 9.2, 10.3, 459], { cup: 258 }),
+  food("sesame-seed", [573, 17.7, 23.5, 49.7, 11.8, 0.3, 7, 11], { cup: 144 }),
+
+  // Oils
+  food("olive-oil", [884, 0, 0, 100, 0, 0, 13.8, 2], { cup: 216 }),
+  food("vegetable-oil", [884, 0, 0, 100, 0, 0, 10, 0], { cup: 218 }),
+  food("sesame-oil", [884, 0, 0, 100, 0, 0, 14.2, 0], { cup: 218 }),
+  food("coconut-oil", [892, 0, 0, 99.1, 0, 0, 82.5, 0], { cup: 218 }),
+
+  // Condiments, sauces and stock
+  food("soy-sauce", [53, 8.1, 4.9, 0.6, 0.8, 0.4, 0.1, 5493], { cup: 255 }),
+  food("fish-sauce", [35, 5.1, 3.6, 0, 0, 3.6, 0, 7851], { cup: 288 }),
+  food("vinegar", [21, 0, 0.9, 0, 0, 0.4, 0, 5], { cup: 239 }),
+  food("mustard", [60, 3.7, 5.8, 3.3, 4, 0.9, 0.2, 1104], { cup: 250 }),
+  food("ketchup", [101, 1, 27.4, 0.1, 0.3, 22.8, 0, 907], { cup: 240 }),
+  food("mayonnaise", [680, 1, 0.6, 74.9, 0, 0.6, 11.7, 635], { cup: 220 }),
+  food("tomato-paste", [82, 4.3, 18.9, 0.5, 4.1, 12.2, 0.1, 59], { can: 170, cup: 262 }),
+  food("tomato-sauce", [24, 1.2, 5.3, 0.3, 1.5, 3.6, 0, 474], { can: 425, jar: 680, cup: 245 }),
+  food("honey", [304, 0.3, 82.4, 0, 0.2, 82.1, 0, 4], { cup: 340 }),
+  food("maple-syrup", [260, 0, 67, 0.1, 0, 60.5, 0, 12], { cup: 315 }),
+  food("lemon-juice", [22, 0.4, 6.9, 0.2, 0.3, 2.5, 0, 1], { cup: 244 }),
+  food("lime-juice", [25, 0.4, 8.4, 0.1, 0.4, 1.7, 0, 2], { cup: 242 }),
+  food("chicken-stock", [7, 1, 0.4, 0.2, 0, 0.3, 0.1, 343], { carton: 950, can: 400, cup: 240 }),
+  food("vegetable-stock", [5, 0.2, 0.9, 0.1, 0, 0.4, 0, 300], { carton: 950, can: 400, cup: 240 }),
+  food("beef-stock", [7, 1.1, 0.4, 0.2, 0, 0.2, 0.1, 372], { carton: 950, can: 400, cup: 240 }),
+  food("coconut-milk", [197, 2, 2.8, 21.3, 0, 3.3, 18.9, 13], { can: 400, cup: 226 }),
+
+  // Baking
+  food("sugar", [387, 0, 100, 0, 0, 99.8, 0, 1], { cup: 200 }),
+  food("brown-sugar", [380, 0.1, 98.1, 0, 0, 97, 0, 28], { cup: 220 }),
+  food("powdered-sugar", [389, 0, 99.8, 0, 0, 97.8, 0, 2], { cup: 120 }),
+  food("baking-powder", [53, 0, 27.7, 0, 0.2, 0, 0, 10600], { cup: 230 }),
+  food("baking-soda", [0, 0, 0, 0, 0, 0, 0, 27360], { cup: 220 }),
+  food("yeast", [325, 40.4, 41.2, 7.6, 26.9, 0, 1, 51], { packet: 7, package: 7, cup: 144 }),
+  food("cornstarch", [381, 0.3, 91.3, 0.1, 0.9, 0, 0, 9], { cup: 128 }),
+  food("cocoa-powder", [228, 19.6, 57.9, 13.7, 37, 1.8, 8.1, 21], { cup: 85 }),
+  food("chocolate", [598, 7.8, 45.9, 42.6, 10.9, 24, 24.5, 20], { bar: 100, cup: 170 }),
+
+  // Other
+  food("water", [0, 0, 0, 0, 0, 0, 0, 0], { cup: 237 }),
+  food("wine", [83, 0.1, 2.6, 0, 0, 0.6, 0, 5], { bottle: 750, cup: 235 }),
+];
+
+module.exports = {
+  NUTRIENTS,
+  FOODS,
+};
@@ -0,0 +1,65 @@
+// Orders recipe listings can be sorted in (sortBy on GET /api/recipes and
+// /api/recipes/saved). Keys are applied in order and followed by _id in the
+// direction of the last key, so every order is total. Recipe declares an
+// index per order for public listings.
+//
+// textScore orders need a text search and fall back to newest without one.
+
+const RECIPE_SORTS = {
+  newest: {
+    label: "Newest first",
+    keys: { createdAt: -1 },
+  },
+  "top-rated": {
+    // Bayesian average, so a single 5-star rating doesn't top the list
+    label: "Top rated",
+    keys: { ratingScore: -1, totalRatings: -1 },
+  },
+  "most-saved": {
+    label: "Most saved",
+    keys: { saveCount: -1, ratingScore: -1 },
+  },
+  "most-viewed": {
+    label: "Most viewed",
+    keys: { views: -1, ratingScore: -1 },
+  },
+  quickest: {
+    label: "Quickest to make",
+    keys: { "cookingTime.total": 1, ratingScore: -1 },
+  },
+  trending: {
+    // Recent views, saves and ratings (see Recipe.recordActivity)
+    label: "Trending",
+    keys: { trendingScore: -1, createdAt: -1 },
+  },
+  "best-match": {
+    label: "Best match",
+    keys: { score: -1, ratingScore: -1 },
+    textScore: true,
+  },
+};
+
+const DEFAULT_RECIPE_SORT = "newest";
+
+// Order of text searches without a sortBy
+const DEFAULT_SEARCH_SORT = "best-match";
+
+// { sort, keys, textScore } for a sort name. textScore orders fall back to
+// the default without a text search.
+const resolveRecipeSort = (name, { textSearch = false } = {}) => {
+  const requested =
+    name || (textSearch ? DEFAULT_SEARCH_SORT : DEFAULT_RECIPE_SORT);
+  const sort =
+    RECIPE_SORTS[requested].textScore && !textSearch
+      ? DEFAULT_RECIPE_SORT
+      : requested;
+  const { keys, textScore = false } = RECIPE_SORTS[sort];
+  return { sort, keys, textScore };
+};
+
+module.exports = {
+  RECIPE_SORTS,
+  DEFAULT_RECIPE_SORT,
+  DEFAULT_SEARCH_SORT,
+  resolveRecipeSort,
+};
@@ -0,0 +1,299 @@
+const { validationResult } = require("express-validator");
+const AIUsage = require("../models/AIUsage");
+const AIQuotaWindow = require("../models/AIQuotaWindow");
+const config = require("../config/config");
+
+const QUOTA_WINDOWS = ["daily", "monthly"];
+
+const startOfUtcDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const startOfUtcMonth = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+// Remaining allowance in a window; null means unlimited
+const getRemaining = (limit, used) =>
+  limit === null || limit === undefined ? null : Math.max(0, limit - used);
+
+const buildWindow = (limit, used, resetsAt) => ({
+  limit,
+  used,
+  remaining: {
+    generations: getRemaining(limit.generations, used.generations),
+    tokens: getRemaining(limit.tokens, used.tokens),
+  },
+  resetsAt,
+});
+
+// { window, start, end } of the current daily and monthly windows
+const getWindowBounds = (now = new Date()) => {
+  const dayStart = startOfUtcDay(now);
+  const monthStart = startOfUtcMonth(now);
+  return {
+    daily: {
+      window: "daily",
+      start: dayStart,
+      end: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+    },
+    monthly: {
+      window: "monthly",
+      start: monthStart,
+      end: new Date(
+        Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1)
+      ),
+    },
+  };
+};
+
+const getTierLimits = (user) => {
+  const tier = config.aiQuotas[user.tier] ? user.tier : "free";
+  return { tier, limits: config.aiQuotas[tier] };
+};
+
+// Current quota status of a user for the daily and monthly windows.
+// Generations in progress count as used.
+const getQuotaStatus = async (user, bounds = getWindowBounds()) => {
+  const { tier, limits } = getTierLimits(user);
+
+  const [daily, monthly] = await Promise.all(
+    QUOTA_WINDOWS.map((window) =>
+      AIQuotaWindow.ensure(user._id, bounds[window])
+    )
+  );
+  const used = ({ generations, tokens }) => ({ generations, tokens });
+
+  return {
+    tier,
+    daily: buildWindow(limits.daily, used(daily), bounds.daily.end),
+    monthly: buildWindow(limits.monthly, used(monthly), bounds.monthly.end),
+  };
+};
+
+const formatRemaining = (value) => (value === null ? "unlimited" : String(value));
+
+const setQuotaHeaders = (res, status) => {
+  res.set({
+    "X-AI-Quota-Tier": status.tier,
+    "X-AI-Quota-Daily-Remaining": formatRemaining(
+      status.daily.remaining.generations
+    ),
+    "X-AI-Quota-Daily-Tokens-Remaining": formatRemaining(
+      status.daily.remaining.tokens
+    ),
+    "X-AI-Quota-Monthly-Remaining": formatRemaining(
+      status.monthly.remaining.generations
+    ),
+    "X-AI-Quota-Monthly-Tokens-Remaining": formatRemaining(
+      status.monthly.remaining.tokens
+    ),
+    "X-AI-Quota-Reset": status.daily.resetsAt.toISOString(),
+  });
+};
+
+// Add generations and tokens to the user's current windows and to the quota
+// status sent in the headers
+const addToWindows = async (req, res, { generations = 0, tokens = 0 }) => {
+  const quota = req.aiQuota;
+  await Promise.all(
+    QUOTA_WINDOWS.map((window) =>
+      AIQuotaWindow.add(req.user._id, quota.bounds[window], {
+        generations,
+        tokens,
+      })
+    )
+  );
+
+  QUOTA_WINDOWS.forEach((window) => {
+    const used = {
+      generations: quota[window].used.generations + generations,
+      tokens: quota[window].used.tokens + tokens,
+    };
+    quota[window] = buildWindow(
+      quota[window].limit,
+      used,
+      quota[window].resetsAt
+    );
+  });
+  if (!res.headersSent) setQuotaHeaders(res, quota);
+};
+
+// Reserve one generation in both windows before an AI call, so concurrent
+// requests can't together go over a limit. Requests hold one reservation
+// from aiQuota; calls beyond that (meal plans) reserve another first.
+// Returns false when a quota is used up, leaving the window in
+// req.aiQuota.exceeded; true when reserved or quotas aren't enforced for the
+// request.
+const reserveAIGeneration = async (req, res) => {
+  const quota = req.aiQuota;
+  if (!quota) return true;
+
+  const { limits } = getTierLimits(req.user);
+  const reserved = [];
+  for (const window of QUOTA_WINDOWS) {
+    const ok = await AIQuotaWindow.reserve(
+      req.user._id,
+      quota.bounds[window],
+      limits[window]
+    );
+    if (!ok) {
+      quota.exceeded = window;
+      // Give back what the other window reserved
+      await Promise.all(
+        reserved.map((done) =>
+          AIQuotaWindow.add(req.user._id, quota.bounds[done], {
+            generations: -1,
+          })
+        )
+      );
+      return false;
+    }
+    reserved.push(window);
+  }
+
+  quota.reserved++;
+  QUOTA_WINDOWS.forEach((window) => {
+    quota[window] = buildWindow(
+      quota[window].limit,
+      {
+        ...quota[window].used,
+        generations: quota[window].used.generations + 1,
+      },
+      quota[window].resetsAt
+    );
+  });
+  if (!res.headersSent) setQuotaHeaders(res, quota);
+  return true;
+};
+
+// Mark a reservation as taken by an AI call about to start. It is then kept
+// until recordAIUsage settles it, even when the response is done first
+// (timeouts, disconnected clients).
+const startAICall = (req) => {
+  const quota = req.aiQuota;
+  if (quota && quota.inFlight < quota.reserved) quota.inFlight++;
+};
+
+// Give back reservations no AI call took (cache hits, empty pantries, meal
+// plans that didn't need the AI)
+const releaseReservations = async (req, res) => {
+  const quota = req.aiQuota;
+  if (!quota || quota.reserved === quota.inFlight) return;
+
+  const generations = quota.inFlight - quota.reserved;
+  quota.reserved = quota.inFlight;
+  try {
+    await addToWindows(req, res, { generations });
+  } catch (error) {
+    console.error("❌ Failed to release AI quota:", error.message);
+  }
+};
+
+// Enforce per-user AI quotas (use after auth and the request validators) by
+// reserving a generation for the request; reservations no AI call took by the
+// time the response is done are given back. Invalid requests are left to the
+// handler's 400 without reserving. Remaining quota is returned in X-AI-Quota-*
+// response headers.
+const aiQuota = async (req, res, next) => {
+  if (!validationResult(req).isEmpty()) return next();
+
+  const bounds = getWindowBounds();
+  let status;
+  let reserved;
+  try {
+    status = {
+      ...(await getQuotaStatus(req.user, bounds)),
+      bounds,
+      reserved: 0,
+      inFlight: 0,
+    };
+    req.aiQuota = status;
+    reserved = await reserveAIGeneration(req, res);
+  } catch (error) {
+    // Don't block generation because usage can't be read
+    console.error("AI quota middleware error:", error.message);
+    delete req.aiQuota;
+    return next();
+  }
+
+  res.on("close", () => releaseReservations(req, res));
+
+  if (!reserved) {
+    // Concurrent requests may have used the quota since it was read
+    const exceededWindow = status.exceeded;
+    try {
+      Object.assign(status, await getQuotaStatus(req.user, bounds));
+    } catch (error) {
+      console.error("AI quota middleware error:", error.message);
+    }
+    setQuotaHeaders(res, status);
+    const { resetsAt } = status[exceededWindow];
+    res.set(
+      "Retry-After",
+      String(Math.ceil((resetsAt.getTime() - Date.now()) / 1000))
+    );
+
+    return res.status(429).json({
+      success: false,
+      message: `${
+        exceededWindow === "daily" ? "Daily" : "Monthly"
+      } AI generation quota reached for the ${status.tier} plan`,
+      error: {
+        type: "QuotaExceededError",
+        window: exceededWindow,
+        resetsAt: resetsAt.toISOString(),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+
+  next();
+};
+
+// Record the token usage of an AI call, settling its reservation: kept when
+// the call succeeded, given back when it failed. Updates the quota headers
+// if the response hasn't been sent yet. Never throws.
+const recordAIUsage = async (
+  req,
+  res,
+  { operation, recipe, usage, status = "succeeded" }
+) => {
+  const quota = req.aiQuota;
+  const settles = !!quota && quota.reserved > 0;
+  if (settles) {
+    quota.reserved--;
+    quota.inFlight = Math.max(0, quota.inFlight - 1);
+  }
+
+  if (quota && (usage || (settles && status !== "succeeded"))) {
+    try {
+      await addToWindows(req, res, {
+        generations: settles && status !== "succeeded" ? -1 : 0,
+        tokens: (usage && usage.totalTokens) || 0,
+      });
+    } catch (error) {
+      console.error("❌ Failed to update AI quota:", error.message);
+    }
+  }
+
+  if (!usage) return;
+
+  try {
+    await AIUsage.record({
+      user: req.user._id,
+      recipe,
+      operation,
+      status,
+      usage,
+    });
+  } catch (error) {
+    console.error("❌ Failed to record AI usage:", error.message);
+  }
+};
+
+module.exports = {
+  aiQuota,
+  getQuotaStatus,
+  reserveAIGeneration,
+  startAICall,
+  recordAIUsage,
+};
@@ -1,7 +1,16 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
 const config = require("../config/config");
 
+// Check that the session an access token was issued for is still active
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const session = await Session.findById(sessionId);
+  return !!session && session.isActive();
+};
+
 const auth = async (req, res, next) => {
   try {
     let token;
@@ -21,36 +30,46 @@ const auth = async (req, res, next) => {
       });
     }
 
+    let decoded;
     try {
       // Verify token
-      const decoded = jwt.verify(token, config.jwtSecret);
+      decoded = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token",
+      });
+    }
 
-      // Get user from database
-      const user = await User.findById(decoded.id).select("-password");
+    // Reject tokens whose session was logged out or revoked
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired or been revoked. Please log in again.",
+      });
+    }
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: "Token is valid but user not found",
-        });
-      }
+    // Get user from database
+    const user = await User.findById(decoded.id).select("-password");
 
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: "User account is deactivated",
-        });
-      }
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Token is valid but user not found",
+      });
+    }
 
-      // Add user to request object
-      req.user = user;
-      next();
-    } catch (error) {
+    if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: "Invalid token",
+        message: "User account is deactivated",
       });
     }
+
+    // Add user and session to request object
+    req.user = user;
+    req.sessionId = decoded.sid;
+    next();
   } catch (error) {
     console.error("Auth middleware error:", error);
     return res.status(500).json({
@@ -75,10 +94,16 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, config.jwtSecret);
-        const user = await User.findById(decoded.id).select("-password");
 
-        if (user && user.isActive) {
-          req.user = user;
+        if (await isSessionActive(decoded.sid)) {
+          const user = await User.findById(decoded.id).select("-password");
+
+          if (user && user.isActive) {
+            req.user = user;
+            req.sessionId = decoded.sid;
+          }
+        } else {
+          console.log("Optional auth: Revoked session token provided");
         }
       } catch (error) {
         // Token invalid, but continue without user
@@ -93,4 +118,16 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
+// Require a verified email when enabled in config (use after auth)
+const requireVerifiedEmail = (req, res, next) => {
+  if (config.requireVerifiedEmailForGeneration && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address to use this feature",
+    });
+  }
+
+  next();
+};
+
+module.exports = { auth, optionalAuth, requireVerifiedEmail };
@@ -64,15 +64,21 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
-  // Azure OpenAI errors
+  // AI provider errors
   if (
-    err.message &&
-    (err.message.includes("Azure OpenAI") || err.message.includes("OpenAI"))
+    err.name === "AIServiceError" ||
+    (err.message &&
+      (err.message.includes("Azure OpenAI") || err.message.includes("OpenAI")))
   ) {
-    error = {
-      message: "AI service is temporarily unavailable. Please try again later.",
-      statusCode: 503,
-    };
+    error =
+      err.statusCode === 502
+        ? // Provider answered, but not with a usable recipe
+          { message: err.message, statusCode: 502 }
+        : {
+            message:
+              "AI service is temporarily unavailable. Please try again later.",
+            statusCode: 503,
+          };
   }
 
   // Rate limiting errors
@@ -203,6 +209,11 @@ const errorHandler = (err, req, res, next) => {
     errorResponse.error.requestId = req.id;
   }
 
+  // Tell clients when a failing dependency is expected to recover
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+
   // Send error response
   res.status(statusCode).json(errorResponse);
 };
@@ -24,6 +24,8 @@ const requestLogger = (req, res, next) => {
       if (safeBody.password) safeBody.password = "[HIDDEN]";
       if (safeBody.currentPassword) safeBody.currentPassword = "[HIDDEN]";
       if (safeBody.newPassword) safeBody.newPassword = "[HIDDEN]";
+      if (safeBody.refreshToken) safeBody.refreshToken = "[HIDDEN]";
+      if (safeBody.token) safeBody.token = "[HIDDEN]";
       console.log(`📋 [${req.id}] Body:`, JSON.stringify(safeBody, null, 2));
     }
   }
@@ -1,6 +1,9 @@
-// Request timeout middleware to prevent hanging requests
+// Request timeout middleware to prevent hanging requests. A route's own
+// timeout replaces the global one installed before it.
 const timeout = (duration = 30000) => {
   return (req, res, next) => {
+    if (res.locals.clearRequestTimeout) res.locals.clearRequestTimeout();
+
     // Set timeout for the request
     const timeoutId = setTimeout(() => {
       if (!res.headersSent) {
@@ -22,6 +25,7 @@ const timeout = (duration = 30000) => {
         });
       }
     }, duration);
+    res.locals.clearRequestTimeout = () => clearTimeout(timeoutId);
 
     // Clear timeout when response finishes
     const originalSend = res.send;
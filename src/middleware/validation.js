@@ -111,6 +111,14 @@ const authRateLimit = createRateLimit(
   "Too many authentication attempts. Please try again later."
 );
 
+// Looser than authRateLimit since clients refresh on their own, often from
+// several devices behind one IP
+const refreshRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  30, // 30 refreshes
+  "Too many token refresh attempts. Please try again later."
+);
+
 const apiRateLimit = createRateLimit(
   15 * 60 * 1000, // 15 minutes
   100, // 100 requests
@@ -127,6 +135,7 @@ module.exports = {
   sanitizeInputs,
   validateContentType,
   authRateLimit,
+  refreshRateLimit,
   apiRateLimit,
   aiRateLimit,
 };
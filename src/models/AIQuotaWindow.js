@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const AIUsage = require("./AIUsage");
+
+// Running totals of a user's AI use in one quota window (a UTC day or
+// calendar month). Generations are reserved here before an AI call, so
+// concurrent requests can't together go over the limit, and given back when
+// the call fails. AIUsage keeps the per-call history.
+const aiQuotaWindowSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    window: {
+      type: String,
+      enum: ["daily", "monthly"],
+      required: true,
+    },
+    start: {
+      type: Date,
+      required: true,
+    },
+    // Successful and in-flight generations
+    generations: {
+      type: Number,
+      default: 0,
+    },
+    tokens: {
+      type: Number,
+      default: 0,
+    },
+    // Removed once the window is over
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+aiQuotaWindowSchema.index({ user: 1, window: 1, start: 1 }, { unique: true });
+aiQuotaWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Totals of a window, creating it from the recorded AIUsage the first time
+aiQuotaWindowSchema.statics.ensure = async function (
+  user,
+  { window, start, end }
+) {
+  const key = { user, window, start };
+  const existing = await this.findOne(key).lean();
+  if (existing) return existing;
+
+  const totals = await AIUsage.getTotalsSince(user, start);
+  try {
+    const created = await this.create({ ...key, ...totals, expiresAt: end });
+    return created.toObject();
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) return this.findOne(key).lean();
+    throw error;
+  }
+};
+
+// Reserve one generation if the window has generations and tokens left
+// ({ generations, tokens } limits, null meaning unlimited). Returns whether
+// it was reserved.
+aiQuotaWindowSchema.statics.reserve = async function (
+  user,
+  { window, start, end },
+  limit
+) {
+  await this.ensure(user, { window, start, end });
+
+  const filter = { user, window, start };
+  if (limit.generations !== null && limit.generations !== undefined) {
+    filter.generations = { $lt: limit.generations };
+  }
+  if (limit.tokens !== null && limit.tokens !== undefined) {
+    filter.tokens = { $lt: limit.tokens };
+  }
+
+  const result = await this.updateOne(filter, { $inc: { generations: 1 } });
+  return result.modifiedCount === 1;
+};
+
+// Add to a window's totals, e.g. tokens spent or a released generation (-1)
+aiQuotaWindowSchema.statics.add = async function (
+  user,
+  { window, start, end },
+  { generations = 0, tokens = 0 }
+) {
+  await this.ensure(user, { window, start, end });
+  await this.updateOne(
+    { user, window, start },
+    { $inc: { generations, tokens } }
+  );
+};
+
+module.exports = mongoose.model("AIQuotaWindow", aiQuotaWindowSchema);
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+
+// One record per AI call made on behalf of a user, used for quotas and
+// usage reporting. Failed calls are recorded too since they still cost tokens.
+const aiUsageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recipe",
+    },
+    operation: {
+      type: String,
+      enum: ["generate", "generate-stream", "refine", "meal-plan"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+      default: "succeeded",
+    },
+    provider: String,
+    model: String,
+    promptTokens: {
+      type: Number,
+      default: 0,
+    },
+    completionTokens: {
+      type: Number,
+      default: 0,
+    },
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+    estimated: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for quota windows and usage history
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+aiUsageSchema.index({ recipe: 1 });
+
+// Record the usage of one AI call
+aiUsageSchema.statics.record = function ({
+  user,
+  recipe,
+  operation,
+  status = "succeeded",
+  usage = {},
+}) {
+  return this.create({
+    user,
+    recipe,
+    operation,
+    status,
+    provider: usage.provider,
+    model: usage.model,
+    promptTokens: usage.promptTokens || 0,
+    completionTokens: usage.completionTokens || 0,
+    totalTokens: usage.totalTokens || 0,
+    estimated: !!usage.estimated,
+  });
+};
+
+// Successful generations and tokens spent by a user since a point in time
+aiUsageSchema.statics.getTotalsSince = async function (userId, since) {
+  const [totals] = await this.aggregate([
+    { $match: { user: userId, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: null,
+        generations: {
+          $sum: { $cond: [{ $eq: ["$status", "succeeded"] }, 1, 0] },
+        },
+        tokens: { $sum: "$totalTokens" },
+      },
+    },
+  ]);
+
+  return {
+    generations: totals ? totals.generations : 0,
+    tokens: totals ? totals.tokens : 0,
+  };
+};
+
+// Per-day totals for the last `days` days (UTC)
+aiUsageSchema.statics.getDailyTotals = function (userId, days = 30) {
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  return this.aggregate([
+    { $match: { user: userId, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+        generations: {
+          $sum: { $cond: [{ $eq: ["$status", "succeeded"] }, 1, 0] },
+        },
+        failed: {
+          $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] },
+        },
+        promptTokens: { $sum: "$promptTokens" },
+        completionTokens: { $sum: "$completionTokens" },
+        totalTokens: { $sum: "$totalTokens" },
+      },
+    },
+    { $sort: { _id: -1 } },
+    {
+      $project: {
+        _id: 0,
+        date: "$_id",
+        generations: 1,
+        failed: 1,
+        promptTokens: 1,
+        completionTokens: 1,
+        totalTokens: 1,
+      },
+    },
+  ]);
+};
+
+module.exports = mongoose.model("AIUsage", aiUsageSchema);
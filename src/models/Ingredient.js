@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const INGREDIENT_CATEGORIES = [
+  "produce",
+  "meat",
+  "seafood",
+  "dairy",
+  "grain",
+  "legume",
+  "nut",
+  "spice",
+  "herb",
+  "oil",
+  "condiment",
+  "baking",
+  "beverage",
+  "other",
+];
+
+// Canonical ingredients. The id is a slug of the canonical name ("olive-oil")
+// and is what recipes store in ingredients[].ingredientId and ingredientIds.
+const ingredientSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z]+(-[a-z]+)*$/, "Ingredient id must be a lowercase slug"],
+    },
+    name: {
+      type: String,
+      required: [true, "Ingredient name is required"],
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: INGREDIENT_CATEGORIES,
+      default: "other",
+    },
+    // Synonyms and varieties that resolve to this ingredient. Plurals and
+    // preparation words ("diced", "fresh") are handled by the normalizer.
+    aliases: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ingredientSchema.index({ category: 1 });
+ingredientSchema.index({ aliases: 1 });
+
+ingredientSchema.statics.CATEGORIES = INGREDIENT_CATEGORIES;
+
+module.exports = mongoose.model("Ingredient", ingredientSchema);
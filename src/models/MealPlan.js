@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+const MEAL_SLOTS = ["breakfast", "lunch", "dinner", "snack"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight UTC of a date, so plan days line up regardless of time zone
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  return new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+  );
+};
+
+const mealSchema = new mongoose.Schema({
+  slot: {
+    type: String,
+    enum: MEAL_SLOTS,
+    required: true,
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Recipe",
+    required: true,
+  },
+  // Servings to cook, overriding the recipe's own servings
+  servings: {
+    type: Number,
+    min: [1, "Servings must be at least 1"],
+    max: [20, "Servings cannot exceed 20"],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Notes cannot exceed 200 characters"],
+  },
+  // How the meal got into the plan
+  source: {
+    type: String,
+    enum: ["manual", "saved", "own", "public", "ai"],
+    default: "manual",
+  },
+});
+
+// A plan of consecutive days, each with at most one meal per slot
+const mealPlanSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+      default: "Meal plan",
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+      set: startOfUtcDay,
+    },
+    days: [
+      {
+        date: {
+          type: Date,
+          required: true,
+        },
+        meals: [mealSchema],
+      },
+    ],
+    // Inputs used by POST /api/meal-plans/generate
+    settings: {
+      slots: [
+        {
+          type: String,
+          enum: MEAL_SLOTS,
+        },
+      ],
+      servings: Number,
+      dailyCalorieTarget: Number,
+      dietaryRestrictions: [String],
+      excludedIngredients: [String],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mealPlanSchema.index({ user: 1, startDate: -1 });
+// Plans to remove a deleted recipe from
+mealPlanSchema.index({ "days.meals.recipe": 1 });
+
+// Keep day dates consecutive from startDate and meals in slot order
+mealPlanSchema.pre("validate", function (next) {
+  this.days.forEach((day, index) => {
+    day.date = new Date(this.startDate.getTime() + index * DAY_MS);
+    day.meals.sort(
+      (a, b) => MEAL_SLOTS.indexOf(a.slot) - MEAL_SLOTS.indexOf(b.slot)
+    );
+  });
+  next();
+});
+
+// Ids of all recipes in the plan
+mealPlanSchema.methods.getRecipeIds = function () {
+  return [
+    ...new Set(
+      this.days.flatMap((day) =>
+        day.meals.map((meal) => (meal.recipe._id || meal.recipe).toString())
+      )
+    ),
+  ];
+};
+
+mealPlanSchema.statics.MEAL_SLOTS = MEAL_SLOTS;
+mealPlanSchema.statics.startOfUtcDay = startOfUtcDay;
+
+module.exports = mongoose.model("MealPlan", mealPlanSchema);
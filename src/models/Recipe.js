@@ -1,4 +1,48 @@
 const mongoose = require("mongoose");
+const { canonicalizeIngredientUnit } = require("../utils/unitConversion");
+const ingredientCatalog = require("../services/ingredientCatalog");
+const nutritionCalculator = require("../services/nutritionCalculator");
+const dietaryRules = require("../services/dietaryRules");
+const { ALLERGENS } = require("../data/allergens");
+const { RECIPE_SORTS } = require("../data/recipeSorts");
+const { withTiebreak } = require("../utils/cursorPagination");
+const config = require("../config/config");
+const RecipeRevision = require("./RecipeRevision");
+const RecipeSimilarity = require("./RecipeSimilarity");
+
+// Weight of each interaction in trendingScore, counted from TRENDING_EPOCH
+const TRENDING_WEIGHTS = { view: 1, rating: 3, save: 5 };
+const TRENDING_EPOCH = Date.UTC(2024, 0, 1);
+
+// Fields similar recipes are computed from
+const SIMILARITY_FIELDS = [
+  "ingredients",
+  "cuisine",
+  "mealType",
+  "difficulty",
+  "cookingTime",
+  "isPublic",
+];
+
+// Average rating pulled towards config.recipeSorting.ratingPriorMean as if
+// the recipe also had ratingPriorCount ratings of that value
+const bayesianRating = (sum, count) => {
+  const { ratingPriorMean, ratingPriorCount } = config.recipeSorting;
+  return (
+    (ratingPriorMean * ratingPriorCount + sum) / (ratingPriorCount + count)
+  );
+};
+
+const nutrientValuesSchema = {
+  calories: Number,
+  protein: Number,
+  carbs: Number,
+  fat: Number,
+  fiber: Number,
+  sugar: Number,
+  saturatedFat: Number,
+  sodium: Number,
+};
 
 const recipeSchema = new mongoose.Schema(
   {
@@ -29,6 +73,10 @@ const recipeSchema = new mongoose.Schema(
           type: String,
           trim: true,
         },
+        // Canonical Ingredient id, set from the name on save
+        ingredientId: {
+          type: String,
+        },
       },
     ],
     inputIngredients: [
@@ -38,6 +86,13 @@ const recipeSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Canonical ids of ingredients and inputIngredients, used for ingredient
+    // search and filters
+    ingredientIds: [
+      {
+        type: String,
+      },
+    ],
     instructions: [
       {
         stepNumber: {
@@ -84,6 +139,8 @@ const recipeSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Lowercase cuisine, set on save for exact cuisine filters
+    cuisineKey: String,
     mealType: [
       {
         type: String,
@@ -117,12 +174,66 @@ const recipeSchema = new mongoose.Schema(
         default: false,
       },
     },
+    // How dietaryInfo was checked against the ingredients
+    dietaryCheck: {
+      // Flags as given by the AI or author
+      claimed: {
+        isVegetarian: Boolean,
+        isVegan: Boolean,
+        isGlutenFree: Boolean,
+        isDairyFree: Boolean,
+        isNutFree: Boolean,
+        isLowCarb: Boolean,
+      },
+      // dietaryInfo flags that differ from the claimed ones
+      corrected: [String],
+      // Allergen and diet rules matched, with the ingredients matching them
+      sources: [
+        {
+          _id: false,
+          rule: String,
+          ingredients: [String],
+        },
+      ],
+      // Ingredients unknown to the rules and the catalog
+      unrecognized: [String],
+    },
+    // Major allergens found in the ingredients
+    allergens: [
+      {
+        type: String,
+        enum: ALLERGENS.map((allergen) => allergen.id),
+      },
+    ],
+    // Whole-recipe values: computed from the ingredients when the nutrient
+    // table covers enough of them, otherwise as given by the AI or author
     nutritionalInfo: {
       calories: Number,
       protein: Number, // in grams
       carbs: Number, // in grams
       fat: Number, // in grams
       fiber: Number, // in grams
+      sugar: Number, // in grams
+      saturatedFat: Number, // in grams
+      sodium: Number, // in mg
+    },
+    nutrition: {
+      // Values given by the AI (or the author of a hand-written recipe)
+      ai: nutrientValuesSchema,
+      // Values computed from ingredient amounts
+      computed: nutrientValuesSchema,
+      confidence: {
+        type: String,
+        enum: ["high", "medium", "low"],
+      },
+      // Share of measured ingredients found in the nutrient table
+      coverage: Number,
+      unmatched: [String],
+      // Which values nutritionalInfo holds
+      source: {
+        type: String,
+        enum: ["computed", "ai"],
+      },
     },
     tags: [
       {
@@ -133,13 +244,24 @@ const recipeSchema = new mongoose.Schema(
     ],
     generatedBy: {
       type: String,
-      enum: ["azure-openai", "user", "admin"],
+      enum: ["azure-openai", "openai-compatible", "mock", "user", "admin"],
       default: "azure-openai",
     },
     generationPrompt: {
       type: String,
       select: false, // Don't include in queries by default
     },
+    generationUsage: {
+      type: {
+        promptTokens: Number,
+        completionTokens: Number,
+        totalTokens: Number,
+        estimated: Boolean,
+        provider: String,
+        model: String,
+      },
+      select: false,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -187,6 +309,31 @@ const recipeSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Sort keys of recipe listings (src/data/recipeSorts.js)
+    saveCount: {
+      type: Number,
+      default: 0,
+    },
+    ratingScore: {
+      type: Number,
+      default: () => bayesianRating(0, 0),
+    },
+    trendingScore: Number, // see recordActivity
+    // Recipe this one was refined from (POST /api/recipes/:id/refine)
+    parentRecipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recipe",
+    },
+    refinement: {
+      instruction: String,
+      modifications: mongoose.Schema.Types.Mixed,
+      summary: [String], // changes compared to the parent recipe
+    },
+    // Number of the latest RecipeRevision (0 = no revisions recorded yet)
+    currentRevision: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -196,14 +343,32 @@ const recipeSchema = new mongoose.Schema(
 // Indexes for better query performance
 recipeSchema.index({ createdBy: 1 });
 recipeSchema.index({ inputIngredients: 1 });
+recipeSchema.index({ ingredientIds: 1 });
+recipeSchema.index({ allergens: 1 });
+recipeSchema.index({ cuisineKey: 1 });
+recipeSchema.index({ "ratings.user": 1 });
 recipeSchema.index({ tags: 1 });
 recipeSchema.index({ averageRating: -1 });
 recipeSchema.index({ createdAt: -1 });
-recipeSchema.index({
-  "ingredients.name": "text",
-  title: "text",
-  description: "text",
-});
+// Public listings in each order
+Object.values(RECIPE_SORTS)
+  .filter((sort) => !sort.textScore)
+  .forEach((sort) =>
+    recipeSchema.index({ isPublic: 1, ...withTiebreak(sort.keys) })
+  );
+// Text search ranks title matches above ingredient, tag and description ones
+recipeSchema.index(
+  {
+    title: "text",
+    "ingredients.name": "text",
+    tags: "text",
+    description: "text",
+  },
+  {
+    name: "recipe_text_search",
+    weights: { title: 10, "ingredients.name": 5, tags: 3, description: 1 },
+  }
+);
 
 // Calculate total cooking time before saving
 recipeSchema.pre("save", function (next) {
@@ -216,25 +381,233 @@ recipeSchema.pre("save", function (next) {
   next();
 });
 
+// Store ingredient units in canonical form ("Tablespoons" -> "tbsp")
+recipeSchema.pre("save", function (next) {
+  if (this.isModified("ingredients")) {
+    this.ingredients.forEach((ingredient) => {
+      const { amount, unit } = canonicalizeIngredientUnit(ingredient);
+      ingredient.amount = amount;
+      ingredient.unit = unit;
+    });
+  }
+  next();
+});
+
+recipeSchema.pre("save", function (next) {
+  if (this.isModified("cuisine")) {
+    this.cuisineKey = this.constructor.toCuisineKey(this.cuisine) || undefined;
+  }
+  next();
+});
+
+// Map ingredient names to canonical catalog ids
+recipeSchema.pre("save", function (next) {
+  if (this.isModified("ingredients") || this.isModified("inputIngredients")) {
+    this.ingredients.forEach((ingredient) => {
+      ingredient.ingredientId = ingredientCatalog.toIngredientId(
+        ingredient.name
+      );
+    });
+    this.ingredientIds = this.constructor.buildIngredientIds(this);
+  }
+  next();
+});
+
+// Recompute nutrition when ingredients or the AI values change. New
+// nutritionalInfo values (from the AI or an edit) are kept as the AI values.
+recipeSchema.pre("save", function (next) {
+  if (this.isModified("nutritionalInfo")) {
+    this.set("nutrition.ai", this.toObject().nutritionalInfo);
+  }
+  if (
+    this.isNew ||
+    this.isModified("ingredients") ||
+    this.isModified("nutritionalInfo") ||
+    this.isModified("nutrition.ai")
+  ) {
+    const { nutritionalInfo, nutrition } = this.constructor.resolveNutrition(
+      this,
+      this.toObject().nutrition?.ai
+    );
+    this.nutritionalInfo = nutritionalInfo;
+    this.nutrition = nutrition;
+  }
+  next();
+});
+
+// Check dietary flags against the ingredients and detect allergens. New
+// dietaryInfo values (from the AI or an edit) are kept as the claimed flags;
+// runs after the nutrition hook since isLowCarb depends on nutritionalInfo.
+recipeSchema.pre("save", function (next) {
+  if (this.isModified("dietaryInfo")) {
+    this.set("dietaryCheck.claimed", this.toObject().dietaryInfo);
+  }
+  if (
+    this.isNew ||
+    this.isModified("ingredients") ||
+    this.isModified("dietaryInfo") ||
+    this.isModified("dietaryCheck.claimed") ||
+    this.isModified("nutritionalInfo") ||
+    this.isModified("servings")
+  ) {
+    const { dietaryInfo, allergens, dietaryCheck } = dietaryRules.checkRecipe(
+      this,
+      this.toObject().dietaryCheck?.claimed
+    );
+    this.dietaryInfo = dietaryInfo;
+    this.allergens = allergens;
+    this.dietaryCheck = dietaryCheck;
+  }
+  next();
+});
+
+// Have the recipe's similar recipes recomputed in the background when the
+// fields they're based on change (see similarRecipeService)
+recipeSchema.pre("save", function (next) {
+  this.$locals.similarityChanged =
+    this.isNew || SIMILARITY_FIELDS.some((field) => this.isModified(field));
+  next();
+});
+
+recipeSchema.post("save", async function () {
+  if (!this.$locals.similarityChanged) return;
+  try {
+    await Promise.all([
+      RecipeSimilarity.updateOne(
+        { recipe: this._id },
+        { $set: { stale: true } },
+        { upsert: true }
+      ),
+      // Lists it is in hold a score for its old content
+      RecipeSimilarity.updateMany(
+        { "neighbors.recipe": this._id },
+        { $set: { stale: true } }
+      ),
+    ]);
+  } catch (error) {
+    console.error("❌ Failed to mark similar recipes stale:", error.message);
+  }
+});
+
+// Keep saveCount in step with savedByUsers
+recipeSchema.pre("save", function (next) {
+  if (this.isModified("savedByUsers")) {
+    this.saveCount = this.savedByUsers.length;
+  }
+  next();
+});
+
 // Update average rating when ratings change
 recipeSchema.methods.updateAverageRating = function () {
   if (this.ratings.length === 0) {
     this.averageRating = 0;
     this.totalRatings = 0;
+    this.ratingScore = bayesianRating(0, 0);
   } else {
     const sum = this.ratings.reduce((acc, rating) => acc + rating.rating, 0);
     this.averageRating = sum / this.ratings.length;
     this.totalRatings = this.ratings.length;
+    this.ratingScore = bayesianRating(sum, this.ratings.length);
+  }
+};
+
+// Count an interaction ("view", "rating" or "save") towards trendingScore.
+// The score is log2 of the recipe's activity with each event weighing half
+// as much every config.recipeSorting.trendingHalfLifeHours. Instead of old
+// events losing weight, new ones gain it, so stored scores stay comparable
+// without being recomputed.
+recipeSchema.methods.recordActivity = function (type, at = new Date()) {
+  const halfLife =
+    config.recipeSorting.trendingHalfLifeHours * 60 * 60 * 1000;
+  const score =
+    Math.log2(TRENDING_WEIGHTS[type]) + (at - TRENDING_EPOCH) / halfLife;
+
+  if (typeof this.trendingScore !== "number") {
+    this.trendingScore = score;
+    return;
   }
+  // log2(2^a + 2^b) without overflowing
+  const high = Math.max(this.trendingScore, score);
+  const low = Math.min(this.trendingScore, score);
+  this.trendingScore = high + Math.log2(1 + 2 ** (low - high));
 };
 
 // Increment view count
 recipeSchema.methods.incrementViews = function () {
   this.views += 1;
+  this.recordActivity("view");
   return this.save();
 };
 
-// Static method to find recipes by ingredients
+// Save an AI generated recipe and keep its content as the first revision
+recipeSchema.statics.createGenerated = async function (
+  generatedRecipe,
+  userId,
+  { source = "generate", isPublic = true } = {}
+) {
+  const recipe = await this.create({
+    ...generatedRecipe,
+    createdBy: userId,
+    isPublic,
+  });
+
+  await RecipeRevision.record(recipe, {
+    author: userId,
+    source,
+  });
+  return recipe;
+};
+
+// Nutrition of a recipe (document or plain object) computed from its
+// ingredients, with the AI values kept alongside. nutritionalInfo gets the
+// computed values unless confidence is low and AI values exist.
+// Returns { nutritionalInfo, nutrition }.
+recipeSchema.statics.resolveNutrition = function (recipe, aiValues) {
+  const { values, confidence, coverage, unmatched } =
+    nutritionCalculator.computeRecipe(recipe);
+  const ai =
+    aiValues && Object.values(aiValues).some((value) => value !== undefined)
+      ? aiValues
+      : undefined;
+  const source = confidence === "low" && ai ? "ai" : "computed";
+
+  return {
+    nutritionalInfo: source === "ai" ? ai : values,
+    nutrition: {
+      ai,
+      computed: values,
+      confidence,
+      coverage,
+      unmatched,
+      source,
+    },
+  };
+};
+
+// Key cuisines are matched on: "Italian " and "italian" are the same
+recipeSchema.statics.toCuisineKey = function (cuisine) {
+  return (cuisine || "").trim().toLowerCase();
+};
+
+// Canonical ids for a recipe's ingredients and input ingredients
+recipeSchema.statics.buildIngredientIds = function (recipe) {
+  return ingredientCatalog.toIngredientIds([
+    ...(recipe.ingredients || []).map((ingredient) => ingredient.name),
+    ...(recipe.inputIngredients || []),
+  ]);
+};
+
+// Fields the matching aggregations leave out: the generation data (select:
+// false, which aggregation ignores) and who saved and rated each recipe
+const MATCH_HIDDEN_FIELDS = {
+  generationPrompt: 0,
+  generationUsage: 0,
+  savedByUsers: 0,
+  ratings: 0,
+};
+
+// Static method to find recipes by ingredients. Names are resolved to
+// canonical ids, so "Roma tomatoes" matches recipes using "tomato".
 recipeSchema.statics.findByIngredients = function (ingredients, options = {}) {
   const {
     limit = 10,
@@ -243,27 +616,19 @@ recipeSchema.statics.findByIngredients = function (ingredients, options = {}) {
     sortOrder = -1,
     minMatch = 1,
   } = options;
+  const ingredientIds = ingredientCatalog.toIngredientIds(ingredients);
 
   return this.aggregate([
     {
       $match: {
-        inputIngredients: {
-          $in: ingredients.map((ing) => new RegExp(ing, "i")),
-        },
+        ingredientIds: { $in: ingredientIds },
         isPublic: true,
       },
     },
     {
       $addFields: {
         matchCount: {
-          $size: {
-            $filter: {
-              input: "$inputIngredients",
-              cond: {
-                $in: ["$$this", ingredients.map((ing) => new RegExp(ing, "i"))],
-              },
-            },
-          },
+          $size: { $setIntersection: ["$ingredientIds", ingredientIds] },
         },
       },
     },
@@ -284,6 +649,104 @@ recipeSchema.statics.findByIngredients = function (ingredients, options = {}) {
     {
       $limit: limit,
     },
+    {
+      $project: MATCH_HIDDEN_FIELDS,
+    },
+  ]);
+};
+
+// Static method to match recipes against a pantry. Scores each recipe by the
+// share of its full ingredient list (ignoring staples) covered by the
+// pantry and lists the ingredients that are missing.
+recipeSchema.statics.findByPantry = function (pantryIds, options = {}) {
+  const {
+    staples = [],
+    maxMissing,
+    minCoverage = 0,
+    limit = 10,
+    skip = 0,
+  } = options;
+
+  const resultFilter = {
+    "match.matchedCount": { $gte: 1 },
+    "match.coverage": { $gte: minCoverage },
+  };
+  if (maxMissing !== undefined) {
+    resultFilter["match.missingCount"] = { $lte: maxMissing };
+  }
+
+  return this.aggregate([
+    {
+      $match: {
+        ingredientIds: { $in: pantryIds },
+        isPublic: true,
+      },
+    },
+    {
+      $addFields: {
+        requiredIds: {
+          $setDifference: [
+            { $ifNull: ["$ingredients.ingredientId", []] },
+            [...staples, null],
+          ],
+        },
+      },
+    },
+    {
+      $addFields: {
+        matchedIds: { $setIntersection: ["$requiredIds", pantryIds] },
+        missingIds: { $setDifference: ["$requiredIds", pantryIds] },
+      },
+    },
+    {
+      $addFields: {
+        match: {
+          matchedCount: { $size: "$matchedIds" },
+          missingCount: { $size: "$missingIds" },
+          requiredCount: { $size: "$requiredIds" },
+          coverage: {
+            $cond: [
+              { $eq: [{ $size: "$requiredIds" }, 0] },
+              1,
+              {
+                $divide: [{ $size: "$matchedIds" }, { $size: "$requiredIds" }],
+              },
+            ],
+          },
+        },
+        missingIngredients: {
+          $filter: {
+            input: "$ingredients",
+            cond: { $in: ["$$this.ingredientId", "$missingIds"] },
+          },
+        },
+      },
+    },
+    {
+      $match: resultFilter,
+    },
+    {
+      $sort: {
+        "match.coverage": -1,
+        "match.missingCount": 1,
+        averageRating: -1,
+        createdAt: -1,
+      },
+    },
+    {
+      $skip: skip,
+    },
+    {
+      $limit: limit,
+    },
+    {
+      $project: {
+        requiredIds: 0,
+        matchedIds: 0,
+        missingIds: 0,
+        ...MATCH_HIDDEN_FIELDS,
+      },
+    },
   ]);
 };
 
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const { ingredientSimilarity } = require("../utils/ingredientNormalizer");
+
+// Cached recipe generations. Each entry is keyed on a hash of the exact
+// generation options plus the canonical ingredient ids, and points at a
+// public recipe or, when the generation wasn't saved, holds the recipe itself.
+const recipeCacheSchema = new mongoose.Schema(
+  {
+    paramsKey: {
+      type: String,
+      required: true,
+    },
+    ingredients: [
+      {
+        type: String,
+        required: true,
+      },
+    ],
+    ingredientsKey: {
+      type: String,
+      required: true,
+    },
+    recipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recipe",
+    },
+    generatedRecipe: mongoose.Schema.Types.Mixed,
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    lastHitAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for lookups, de-duplication and expiry
+recipeCacheSchema.index({ paramsKey: 1, ingredientsKey: 1 }, { unique: true });
+recipeCacheSchema.index({ paramsKey: 1, ingredients: 1 });
+recipeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Entries for the same options sharing at least one ingredient, ordered by
+// ingredient similarity (best first) and limited to those at or above the
+// threshold
+recipeCacheSchema.statics.findCandidates = async function (
+  paramsKey,
+  ingredients,
+  threshold
+) {
+  const entries = await this.find({
+    paramsKey,
+    ingredients: { $in: ingredients },
+    expiresAt: { $gt: new Date() },
+  }).limit(50);
+
+  return entries
+    .map((entry) => ({
+      entry,
+      similarity: ingredientSimilarity(entry.ingredients, ingredients),
+    }))
+    .filter((candidate) => candidate.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+// Create or refresh the entry for a set of options and ingredients
+recipeCacheSchema.statics.store = function (
+  paramsKey,
+  ingredients,
+  { recipe, generatedRecipe, ttlHours }
+) {
+  const fields = {
+    ingredients,
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+  };
+
+  // An entry holds either a recipe reference or an unsaved generation
+  const update = recipe
+    ? { $set: { ...fields, recipe }, $unset: { generatedRecipe: 1 } }
+    : { $set: { ...fields, generatedRecipe }, $unset: { recipe: 1 } };
+
+  return this.findOneAndUpdate(
+    { paramsKey, ingredientsKey: ingredients.join("|") },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Count a cache hit on this entry
+recipeCacheSchema.methods.recordHit = function () {
+  return this.updateOne({ $inc: { hits: 1 }, $set: { lastHitAt: new Date() } });
+};
+
+// Point an entry holding an unsaved generation at the recipe it was saved as
+recipeCacheSchema.methods.linkRecipe = function (recipeId) {
+  return this.updateOne({
+    $set: { recipe: recipeId },
+    $unset: { generatedRecipe: 1 },
+  });
+};
+
+module.exports = mongoose.model("RecipeCache", recipeCacheSchema);
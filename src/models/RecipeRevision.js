@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+
+// Recipe fields captured in each revision
+const CONTENT_FIELDS = [
+  "title",
+  "description",
+  "ingredients",
+  "inputIngredients",
+  "instructions",
+  "cookingTime",
+  "servings",
+  "difficulty",
+  "cuisine",
+  "mealType",
+  "dietaryInfo",
+  "nutritionalInfo",
+  "tags",
+];
+
+// Content fields the Recipe save hooks compute from the ingredients and the
+// AI values below, so restores leave them to the hooks
+const COMPUTED_FIELDS = ["nutritionalInfo", "dietaryInfo"];
+
+// Immutable snapshot of a recipe's content. Revisions are numbered per recipe
+// starting at 1 and are never modified once written.
+const recipeRevisionSchema = new mongoose.Schema(
+  {
+    recipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recipe",
+      required: true,
+      immutable: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+    source: {
+      type: String,
+      enum: ["generate", "refine", "create", "update", "restore"],
+      required: true,
+      immutable: true,
+    },
+    // Revision number this one was restored from
+    restoredFrom: {
+      type: Number,
+      immutable: true,
+    },
+    content: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+recipeRevisionSchema.index({ recipe: 1, revision: -1 }, { unique: true });
+
+// Plain copy of the revisioned fields of a recipe
+recipeRevisionSchema.statics.snapshot = function (recipe) {
+  const source = recipe.toObject ? recipe.toObject() : recipe;
+  const content = {};
+
+  CONTENT_FIELDS.forEach((field) => {
+    content[field] = source[field] === undefined ? null : source[field];
+  });
+
+  // Subdocument ids change on every edit and would show up in diffs
+  content.ingredients = (content.ingredients || []).map(
+    ({ name, amount, unit }) => ({ name, amount, unit })
+  );
+  content.instructions = (content.instructions || []).map(
+    ({ stepNumber, description, duration }) => ({
+      stepNumber,
+      description,
+      duration,
+    })
+  );
+
+  // AI values the computed fields were derived from. Not part of diffs.
+  content.aiNutrition = (source.nutrition && source.nutrition.ai) || null;
+  content.claimedDietaryInfo =
+    (source.dietaryCheck && source.dietaryCheck.claimed) || null;
+
+  return JSON.parse(JSON.stringify(content));
+};
+
+// Set a recipe's content back to a revision's. Nutrition and dietary flags
+// are recomputed on save from the restored ingredients and AI values;
+// revisions recorded before those were kept use the recipe's current ones.
+recipeRevisionSchema.statics.restoreContent = function (recipe, content) {
+  CONTENT_FIELDS.filter((field) => !COMPUTED_FIELDS.includes(field)).forEach(
+    (field) => {
+      recipe.set(field, content[field] ?? undefined);
+    }
+  );
+  if (content.aiNutrition) {
+    recipe.set("nutrition.ai", content.aiNutrition);
+  }
+  if (content.claimedDietaryInfo) {
+    recipe.set("dietaryCheck.claimed", content.claimedDietaryInfo);
+  }
+};
+
+// Record the current content of a saved recipe as its next revision
+recipeRevisionSchema.statics.record = async function (
+  recipe,
+  { author, source, restoredFrom }
+) {
+  const { currentRevision } = await mongoose
+    .model("Recipe")
+    .findByIdAndUpdate(
+      recipe._id,
+      { $inc: { currentRevision: 1 } },
+      { new: true, projection: { currentRevision: 1 } }
+    );
+  recipe.currentRevision = currentRevision;
+
+  return this.create({
+    recipe: recipe._id,
+    revision: currentRevision,
+    author,
+    source,
+    restoredFrom,
+    content: this.snapshot(recipe),
+  });
+};
+
+recipeRevisionSchema.statics.CONTENT_FIELDS = CONTENT_FIELDS;
+
+module.exports = mongoose.model("RecipeRevision", recipeRevisionSchema);
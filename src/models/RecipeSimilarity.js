@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Most similar public recipes of a recipe, precomputed for
+// GET /api/recipes/:id/similar. Entries are marked stale when the recipe's
+// ingredients or attributes change and recomputed in the background by
+// similarRecipeService, which also refreshes entries older than
+// config.similarRecipes.maxAgeHours so new recipes show up as neighbors.
+const recipeSimilaritySchema = new mongoose.Schema(
+  {
+    recipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recipe",
+      required: true,
+    },
+    neighbors: [
+      {
+        _id: false,
+        recipe: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Recipe",
+          required: true,
+        },
+        score: {
+          type: Number,
+          min: 0,
+          max: 1,
+        },
+      },
+    ],
+    // Unset until the neighbors are computed for the first time
+    computedAt: Date,
+    stale: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recipeSimilaritySchema.index({ recipe: 1 }, { unique: true });
+// Refresh order: stale entries first, then the oldest
+recipeSimilaritySchema.index({ stale: -1, computedAt: 1 });
+recipeSimilaritySchema.index({ "neighbors.recipe": 1 });
+
+module.exports = mongoose.model("RecipeSimilarity", recipeSimilaritySchema);
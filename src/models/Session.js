@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const config = require("../config/config");
+
+// A session is one refresh token family: it is created on login and every
+// refresh rotates its token. Hashes of rotated tokens are kept so that a
+// replayed (already used) refresh token can be detected.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "token_reuse",
+        "password_change",
+        "password_reset",
+      ],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    createdByIp: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for token lookups and automatic cleanup of expired sessions
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Rotated token hashes kept per session for reuse detection. Replays are
+// almost always of recently rotated tokens; older ones are still rejected as
+// invalid, only without revoking the session.
+const PREVIOUS_TOKEN_HASH_LIMIT = 20;
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const getRefreshExpiry = () =>
+  new Date(Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000);
+
+// Hash a refresh token for storage and lookup
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Start a new session and return it together with its raw refresh token
+sessionSchema.statics.start = async function (userId, meta = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent,
+  });
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Returns { session, refreshToken }
+// on success, or { error } with "invalid", "revoked" or "reused".
+sessionSchema.statics.rotate = async function (refreshToken) {
+  const tokenHash = this.hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Atomically swap the current token so concurrent refreshes can't both win
+  const session = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: this.hashToken(newRefreshToken),
+        expiresAt: getRefreshExpiry(),
+        lastUsedAt: now,
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -PREVIOUS_TOKEN_HASH_LIMIT,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  // A token that was already rotated is being replayed: kill the whole family
+  const reusedSession = await this.findOne({ previousTokenHashes: tokenHash });
+  if (reusedSession) {
+    if (!reusedSession.revokedAt) {
+      await reusedSession.revoke("token_reuse");
+    }
+    return { error: "reused", session: reusedSession };
+  }
+
+  const existingSession = await this.findOne({ tokenHash });
+  if (existingSession) {
+    return { error: "revoked", session: existingSession };
+  }
+
+  return { error: "invalid" };
+};
+
+// Revoke every active session of a user, optionally keeping one alive
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason = "logout_all",
+  exceptSessionId = null
+) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = function (reason = "logout") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
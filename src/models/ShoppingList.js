@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const Ingredient = require("./Ingredient");
+const ingredientCatalog = require("../services/ingredientCatalog");
+const { resolveUnit } = require("../utils/units");
+
+const NOTE_MAX_LENGTH = 100;
+
+const shoppingItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Item name is required"],
+    trim: true,
+    maxlength: [100, "Item name cannot exceed 100 characters"],
+  },
+  // Canonical Ingredient id, set from the name on save
+  ingredientId: String,
+  // Store aisle the item is listed under
+  category: {
+    type: String,
+    enum: Ingredient.CATEGORIES,
+  },
+  // Amount to buy; unset for amounts like "to taste"
+  quantity: {
+    type: Number,
+    min: [0, "Quantity cannot be negative"],
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [
+      NOTE_MAX_LENGTH,
+      `Note cannot exceed ${NOTE_MAX_LENGTH} characters`,
+    ],
+  },
+  checked: {
+    type: Boolean,
+    default: false,
+  },
+  // Added by the user rather than from a recipe
+  manual: {
+    type: Boolean,
+    default: false,
+  },
+  // Recipes that need the item
+  recipes: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recipe",
+    },
+  ],
+});
+
+const shoppingListSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+      default: "Shopping list",
+    },
+    // Where the list was built from
+    mealPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MealPlan",
+    },
+    recipes: [
+      {
+        recipe: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Recipe",
+        },
+        servings: Number,
+      },
+    ],
+    items: [shoppingItemSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shoppingListSchema.index({ user: 1, updatedAt: -1 });
+
+// Map item names to catalog ids and aisles, and units to canonical form
+shoppingListSchema.pre("save", function (next) {
+  if (this.isModified("items")) {
+    this.items.forEach((item) => {
+      if (!item.ingredientId) {
+        item.ingredientId = ingredientCatalog.toIngredientId(item.name);
+      }
+      if (!item.category) {
+        const entry = ingredientCatalog.get(item.ingredientId);
+        item.category = entry ? entry.category : "other";
+      }
+      if (item.unit) item.unit = resolveUnit(item.unit) || item.unit;
+    });
+  }
+  next();
+});
+
+shoppingListSchema.statics.NOTE_MAX_LENGTH = NOTE_MAX_LENGTH;
+
+module.exports = mongoose.model("ShoppingList", shoppingListSchema);
@@ -1,5 +1,12 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const config = require("../config/config");
+const ingredientCatalog = require("../services/ingredientCatalog");
+const { resolveUnit } = require("../utils/units");
+const { ALLERGENS } = require("../data/allergens");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const userSchema = new mongoose.Schema(
   {
@@ -26,6 +33,27 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // Don't include password in queries by default
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
     avatar: {
       type: String,
       default: null,
@@ -48,12 +76,66 @@ const userSchema = new mongoose.Schema(
       ],
       favoriteIngredients: [String],
       dislikedIngredients: [String],
+      // Recipes containing these allergens are left out of listings and
+      // generation
+      allergies: [
+        {
+          type: String,
+          enum: ALLERGENS.map((allergen) => allergen.id),
+        },
+      ],
       defaultPortions: {
         type: Number,
         default: 4,
         min: 1,
         max: 12,
       },
+      // Units recipes are shown in; "original" shows them as written
+      unitSystem: {
+        type: String,
+        enum: ["original", "metric", "imperial"],
+        default: "original",
+      },
+      // Calories per day aimed for by meal plan generation
+      dailyCalorieTarget: {
+        type: Number,
+        min: [800, "Daily calorie target must be at least 800"],
+        max: [6000, "Daily calorie target cannot exceed 6000"],
+      },
+      // Ingredients treated as always available when matching recipes
+      // against the pantry; falls back to config.pantryStaples when empty
+      pantryStaples: [String],
+    },
+    // Ingredients the user has at home
+    pantry: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        // Canonical Ingredient id, set from the name on save
+        ingredientId: String,
+        quantity: {
+          type: Number,
+          min: [0, "Quantity cannot be negative"],
+        },
+        unit: {
+          type: String,
+          trim: true,
+        },
+        purchasedAt: Date,
+        expiresAt: Date,
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    tier: {
+      type: String,
+      enum: ["free", "pro", "unlimited"],
+      default: "free",
     },
     savedRecipes: [
       {
@@ -94,15 +176,112 @@ userSchema.pre("save", async function (next) {
   }
 });
 
+// Map pantry item names to canonical catalog ids and units to canonical
+// form ("Tablespoons" -> "tbsp")
+userSchema.pre("save", function (next) {
+  if (this.isModified("pantry")) {
+    this.pantry.forEach((item) => {
+      item.ingredientId = ingredientCatalog.toIngredientId(item.name);
+      if (item.unit) item.unit = resolveUnit(item.unit) || item.unit;
+    });
+  }
+  next();
+});
+
+// Expiry status of a pantry item: "expired", "expiring" (within
+// config.pantryExpiringSoonDays) or "fresh"
+userSchema.statics.getPantryItemStatus = function (item, now = new Date()) {
+  if (!item.expiresAt) return "fresh";
+  if (item.expiresAt <= now) return "expired";
+  return item.expiresAt - now <= config.pantryExpiringSoonDays * DAY_MS
+    ? "expiring"
+    : "fresh";
+};
+
+// Pantry items ordered by expiry, soonest first; items without an expiry
+// date come last, oldest first
+userSchema.statics.sortPantryItems = function (items) {
+  return [...items].sort((a, b) => {
+    if (a.expiresAt && b.expiresAt) return a.expiresAt - b.expiresAt;
+    if (a.expiresAt || b.expiresAt) return a.expiresAt ? -1 : 1;
+    return a.addedAt - b.addedAt;
+  });
+};
+
+// Pantry items that haven't expired, soonest expiry first
+userSchema.methods.getUsablePantryItems = function (now = new Date()) {
+  return this.constructor.sortPantryItems(
+    this.pantry.filter(
+      (item) => this.constructor.getPantryItemStatus(item, now) !== "expired"
+    )
+  );
+};
+
+// Canonical ids of the user's pantry items that haven't expired
+userSchema.methods.getPantryIngredientIds = function () {
+  return [
+    ...new Set(
+      this.getUsablePantryItems()
+        .map((item) => item.ingredientId)
+        .filter(Boolean)
+    ),
+  ];
+};
+
+// Ids of the ingredients assumed to be at hand when matching recipes
+userSchema.methods.getPantryStapleIds = function () {
+  const staples = this.preferences?.pantryStaples?.length
+    ? this.preferences.pantryStaples
+    : config.pantryStaples;
+  return ingredientCatalog.toIngredientIds(staples);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Indexes for single-use token lookups
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
+// Hash a one-time token for storage and lookup
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Create an email verification token, storing only its hash
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationTokenHash = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + config.emailVerificationExpireHours * 60 * 60 * 1000
+  );
+
+  return token;
+};
+
+// Create a password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetTokenHash = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(
+    Date.now() + config.passwordResetExpireMinutes * 60 * 1000
+  );
+
+  return token;
+};
+
 // Get user's public profile
 userSchema.methods.getPublicProfile = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerificationTokenHash;
+  delete userObject.emailVerificationExpires;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpires;
   return userObject;
 };
 
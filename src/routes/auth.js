@@ -6,12 +6,25 @@ const {
   getMe,
   updateProfile,
   changePassword,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 } = require("../controllers/authController");
 const { auth } = require("../middleware/auth");
-const { authRateLimit } = require("../middleware/validation");
+const {
+  authRateLimit,
+  refreshRateLimit,
+} = require("../middleware/validation");
+const { ALLERGENS } = require("../data/allergens");
 
 const router = express.Router();
 
+const ALLERGEN_IDS = ALLERGENS.map((allergen) => allergen.id);
+
 // Validation rules
 const registerValidation = [
   body("name")
@@ -45,6 +58,10 @@ const updateProfileValidation = [
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage("Name must be between 2 and 50 characters"),
+  body("preferences")
+    .optional()
+    .isObject()
+    .withMessage("Preferences must be an object"),
   body("preferences.dietaryRestrictions")
     .optional()
     .isArray()
@@ -57,10 +74,34 @@ const updateProfileValidation = [
     .optional()
     .isArray()
     .withMessage("Disliked ingredients must be an array"),
+  body("preferences.allergies")
+    .optional()
+    .isArray()
+    .withMessage("Allergies must be an array"),
+  body("preferences.allergies.*")
+    .isIn(ALLERGEN_IDS)
+    .withMessage(`Allergies must be any of: ${ALLERGEN_IDS.join(", ")}`),
   body("preferences.defaultPortions")
     .optional()
     .isInt({ min: 1, max: 12 })
     .withMessage("Default portions must be between 1 and 12"),
+  body("preferences.unitSystem")
+    .optional()
+    .isIn(["original", "metric", "imperial"])
+    .withMessage("Unit system must be original, metric or imperial"),
+  body("preferences.dailyCalorieTarget")
+    .optional()
+    .isInt({ min: 800, max: 6000 })
+    .withMessage("Daily calorie target must be between 800 and 6000"),
+  body("preferences.pantryStaples")
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage("Pantry staples must be an array with at most 30 items"),
+  body("preferences.pantryStaples.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Each pantry staple must be a string between 1-50 characters"),
 ];
 
 const changePasswordValidation = [
@@ -76,9 +117,59 @@ const changePasswordValidation = [
     ),
 ];
 
+const refreshTokenValidation = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+];
+
+const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please enter a valid email"),
+];
+
+const resetPasswordValidation = [
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+  body("password")
+    .isLength({ min: 5 })
+    .withMessage("Password must be at least 5 characters long"),
+];
+
+const verifyEmailValidation = [
+  body("token")
+    .isString()
+    .notEmpty()
+    .withMessage("Verification token is required"),
+];
+
 // Routes with rate limiting for auth endpoints
 router.post("/register", authRateLimit, registerValidation, register);
 router.post("/login", authRateLimit, loginValidation, login);
+router.post("/refresh", refreshRateLimit, refreshTokenValidation, refresh);
+router.post("/logout", auth, logout);
+router.post("/logout-all", auth, logoutAll);
+router.post(
+  "/forgot-password",
+  authRateLimit,
+  forgotPasswordValidation,
+  forgotPassword
+);
+router.post(
+  "/reset-password",
+  authRateLimit,
+  resetPasswordValidation,
+  resetPassword
+);
+router.post("/verify-email", verifyEmailValidation, verifyEmail);
+router.post(
+  "/resend-verification",
+  authRateLimit,
+  auth,
+  resendVerification
+);
 router.get("/me", auth, getMe);
 router.put("/profile", auth, updateProfileValidation, updateProfile);
 router.put("/change-password", auth, changePasswordValidation, changePassword);
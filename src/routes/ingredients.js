@@ -0,0 +1,46 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const {
+  getIngredients,
+  resolveIngredients,
+} = require("../controllers/ingredientController");
+const Ingredient = require("../models/Ingredient");
+const config = require("../config/config");
+
+const router = express.Router();
+
+const getIngredientsValidation = [
+  query("search")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Search must be at most 50 characters"),
+  query("category")
+    .optional()
+    .isIn(Ingredient.CATEGORIES)
+    .withMessage(`Category must be one of: ${Ingredient.CATEGORIES.join(", ")}`),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const resolveIngredientsValidation = [
+  body("ingredients")
+    .isArray({ min: 1, max: config.maxIngredients })
+    .withMessage(
+      `Ingredients must be an array with 1-${config.maxIngredients} items`
+    ),
+  body("ingredients.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Each ingredient must be a string between 1-50 characters"),
+];
+
+// Routes
+router.get("/", getIngredientsValidation, getIngredients);
+router.post("/resolve", resolveIngredientsValidation, resolveIngredients);
+
+module.exports = router;
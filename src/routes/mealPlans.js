@@ -0,0 +1,201 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const {
+  getMealPlans,
+  getMealPlan,
+  createMealPlan,
+  updateMealPlan,
+  setMeal,
+  removeMeal,
+  deleteMealPlan,
+  generateMealPlan,
+} = require("../controllers/mealPlanController");
+const MealPlan = require("../models/MealPlan");
+const { auth, requireVerifiedEmail } = require("../middleware/auth");
+const { aiRateLimit } = require("../middleware/validation");
+const { aiQuota } = require("../middleware/aiQuota");
+const timeout = require("../middleware/timeout");
+
+const router = express.Router();
+
+const MAX_PLAN_DAYS = 14;
+
+// AI checks only apply when the request may call the AI
+const whenUsingAI = (middleware) => (req, res, next) =>
+  req.body.useAI === false ? next() : middleware(req, res, next);
+
+const mealPlanIdValidation = param("id")
+  .isMongoId()
+  .withMessage("Invalid meal plan ID");
+
+const mealSlotParamsValidation = [
+  mealPlanIdValidation,
+  param("day")
+    .isInt({ min: 0, max: MAX_PLAN_DAYS - 1 })
+    .withMessage(`Day must be between 0 and ${MAX_PLAN_DAYS - 1}`),
+  param("slot")
+    .isIn(MealPlan.MEAL_SLOTS)
+    .withMessage(`Slot must be one of: ${MealPlan.MEAL_SLOTS.join(", ")}`),
+];
+
+// Fields of a single meal under a prefix ("days.*.meals.*." for lists)
+const mealValidation = (prefix = "") => [
+  body(`${prefix}recipe`).isMongoId().withMessage("Invalid recipe ID"),
+  body(`${prefix}servings`)
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage("Servings must be between 1 and 20")
+    .toInt(),
+  body(`${prefix}notes`)
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Notes must be a string with max 200 characters"),
+];
+
+// Meal plan body. Start date and days are optional for updates.
+const mealPlanValidation = ({ partial }) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    body("name")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be a string between 1-100 characters"),
+    field("startDate")
+      .isISO8601()
+      .withMessage("Start date must be a valid date")
+      .toDate(),
+    field("days")
+      .isArray({ min: 1, max: MAX_PLAN_DAYS })
+      .withMessage(`Days must be an array with 1-${MAX_PLAN_DAYS} items`),
+    body("days.*.meals")
+      .optional()
+      .isArray({ max: MealPlan.MEAL_SLOTS.length })
+      .withMessage(
+        `Each day can have at most ${MealPlan.MEAL_SLOTS.length} meals`
+      )
+      .custom((meals) => {
+        const slots = meals.map((meal) => meal && meal.slot);
+        return new Set(slots).size === slots.length;
+      })
+      .withMessage("Each slot can only be used once per day"),
+    body("days.*.meals.*.slot")
+      .isIn(MealPlan.MEAL_SLOTS)
+      .withMessage(`Slot must be one of: ${MealPlan.MEAL_SLOTS.join(", ")}`),
+    ...mealValidation("days.*.meals.*."),
+  ];
+};
+
+const listMealPlansValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+const generateMealPlanValidation = [
+  body("name")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be a string between 1-100 characters"),
+  body("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid date")
+    .toDate(),
+  body("days")
+    .optional()
+    .isInt({ min: 1, max: MAX_PLAN_DAYS })
+    .withMessage(`Days must be between 1 and ${MAX_PLAN_DAYS}`),
+  body("slots")
+    .optional()
+    .isArray({ min: 1, max: MealPlan.MEAL_SLOTS.length })
+    .withMessage("Slots must be a non-empty array"),
+  body("slots.*")
+    .isIn(MealPlan.MEAL_SLOTS)
+    .withMessage(`Slot must be one of: ${MealPlan.MEAL_SLOTS.join(", ")}`),
+  body("servings")
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage("Servings must be between 1 and 20"),
+  body("dailyCalorieTarget")
+    .optional()
+    .isInt({ min: 800, max: 6000 })
+    .withMessage("Daily calorie target must be between 800 and 6000"),
+  body("dietaryRestrictions")
+    .optional()
+    .isArray()
+    .withMessage("Dietary restrictions must be an array"),
+  body("excludeIngredients")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage(
+      "Excluded ingredients must be an array with at most 20 items"
+    ),
+  body("excludeIngredients.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage(
+      "Each excluded ingredient must be a string between 1-50 characters"
+    ),
+  body("useAI")
+    .optional()
+    .isBoolean()
+    .withMessage("useAI must be a boolean"),
+  body("maxAIRecipes")
+    .optional()
+    .isInt({ min: 0, max: 21 })
+    .withMessage("Max AI recipes must be between 0 and 21"),
+];
+
+// Routes
+// Generation may call the AI once per empty slot, so it gets AI rate
+// limiting, quota checks and a longer timeout (3 minutes)
+router.post(
+  "/generate",
+  whenUsingAI(aiRateLimit),
+  timeout(180000),
+  auth,
+  whenUsingAI(requireVerifiedEmail),
+  generateMealPlanValidation,
+  whenUsingAI(aiQuota),
+  generateMealPlan
+);
+
+router.get("/", auth, listMealPlansValidation, getMealPlans);
+router.post("/", auth, mealPlanValidation({ partial: false }), createMealPlan);
+router.get("/:id", auth, mealPlanIdValidation, getMealPlan);
+router.put(
+  "/:id",
+  auth,
+  mealPlanIdValidation,
+  mealPlanValidation({ partial: true }),
+  updateMealPlan
+);
+router.delete("/:id", auth, mealPlanIdValidation, deleteMealPlan);
+router.put(
+  "/:id/days/:day/meals/:slot",
+  auth,
+  mealSlotParamsValidation,
+  mealValidation(),
+  setMeal
+);
+router.delete(
+  "/:id/days/:day/meals/:slot",
+  auth,
+  mealSlotParamsValidation,
+  removeMeal
+);
+
+module.exports = router;
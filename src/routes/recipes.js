@@ -1,25 +1,50 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const {
   generateRecipe,
+  generateRecipeStream,
+  refineRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  getRecipeRevisions,
+  diffRecipeRevisions,
+  getRecipeRevision,
+  restoreRecipeRevision,
   saveRecipe,
   unsaveRecipe,
   getRecipes,
+  searchRecipes,
   getRecipesByIngredients,
+  matchPantryRecipes,
   getRecipe,
+  getScaledRecipe,
   getSavedRecipes,
+  getRecommendedRecipes,
+  getSimilarRecipes,
   rateRecipe,
 } = require("../controllers/recipeController");
-const { auth, optionalAuth } = require("../middleware/auth");
+const {
+  auth,
+  optionalAuth,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
 const { aiRateLimit } = require("../middleware/validation");
+const { aiQuota } = require("../middleware/aiQuota");
 const timeout = require("../middleware/timeout");
 const config = require("../config/config");
+const recipeSearchService = require("../services/recipeSearchService");
+const { ALLERGENS } = require("../data/allergens");
+const { RECIPE_SORTS, resolveRecipeSort } = require("../data/recipeSorts");
+const { decodeCursor } = require("../utils/cursorPagination");
 
 const router = express.Router();
 
 // Validation rules
 const generateRecipeValidation = [
+  // Optional in use-it-up mode, which takes ingredients from the pantry
   body("ingredients")
+    .if((value, { req }) => value !== undefined || !req.body.useItUp)
     .isArray({ min: 1, max: config.maxIngredients })
     .withMessage(
       `Ingredients must be an array with 1-${config.maxIngredients} items`
@@ -55,6 +80,92 @@ const generateRecipeValidation = [
     .optional()
     .isInt({ min: 1, max: 480 })
     .withMessage("Max cooking time must be between 1-480 minutes"),
+  body("forceNew")
+    .optional()
+    .isBoolean()
+    .withMessage("forceNew must be a boolean"),
+  body("useItUp")
+    .optional()
+    .isBoolean()
+    .withMessage("useItUp must be a boolean"),
+];
+
+const refineRecipeValidation = [
+  body("instruction")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Instruction must be a string between 1-500 characters"),
+  body("modifications")
+    .optional()
+    .isObject()
+    .withMessage("Modifications must be an object"),
+  body("modifications.dietaryRestrictions")
+    .optional()
+    .isArray()
+    .withMessage("Dietary restrictions must be an array"),
+  body("modifications.dietaryRestrictions.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Each dietary restriction must be a string between 1-50 characters"),
+  body("modifications.maxCookingTime")
+    .optional()
+    .isInt({ min: 1, max: 480 })
+    .withMessage("Max cooking time must be between 1-480 minutes")
+    .toInt(),
+  body("modifications.servings")
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage("Servings must be between 1 and 20")
+    .toInt(),
+  body("modifications.difficulty")
+    .optional()
+    .isIn(["easy", "medium", "hard"])
+    .withMessage("Difficulty must be easy, medium, or hard"),
+  body("modifications.cuisine")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Cuisine must be a string with max 50 characters"),
+  body("modifications.substitutions")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Substitutions must be an array with at most 10 items"),
+  body("modifications.substitutions.*.from")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Each substitution needs a from ingredient of 1-50 characters"),
+  body("modifications.substitutions.*.to")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Substitution targets must be strings between 1-50 characters"),
+  body("modifications.exclude")
+    .optional()
+    .isArray({ max: config.maxIngredients })
+    .withMessage(
+      `Excluded ingredients must be an array with at most ${config.maxIngredients} items`
+    ),
+  body("modifications.exclude.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Each excluded ingredient must be a string between 1-50 characters"),
+  body("saveToDatabase")
+    .optional()
+    .isBoolean()
+    .withMessage("saveToDatabase must be a boolean"),
+  body()
+    .custom(
+      ({ instruction, modifications }) =>
+        !!instruction || Object.keys(modifications || {}).length > 0
+    )
+    .withMessage("Provide an instruction or at least one modification"),
 ];
 
 const searchByIngredientsValidation = [
@@ -82,6 +193,47 @@ const searchByIngredientsValidation = [
     .withMessage("Min match must be at least 1"),
 ];
 
+const pantryMatchValidation = [
+  body("ingredients")
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Ingredients must be an array with 1-100 items"),
+  body("ingredients.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Each ingredient must be a string between 1-50 characters"),
+  body("staples")
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage("Staples must be an array with at most 30 items"),
+  body("staples.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Each staple must be a string between 1-50 characters"),
+  body("ignoreStaples")
+    .optional()
+    .isBoolean()
+    .withMessage("ignoreStaples must be a boolean"),
+  body("maxMissing")
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage("Max missing must be between 0 and 50"),
+  body("minCoverage")
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage("Min coverage must be between 0 and 1"),
+  body("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+  body("skip")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Skip must be a non-negative integer"),
+];
+
 const rateRecipeValidation = [
   body("rating")
     .isInt({ min: 1, max: 5 })
@@ -94,6 +246,262 @@ const rateRecipeValidation = [
     .withMessage("Comment must be a string with max 500 characters"),
 ];
 
+// Fields of a user-authored recipe. Required fields are only optional for
+// partial (PATCH) updates.
+const recipeValidation = ({ partial }) => {
+  const field = (path) => (partial ? body(path).optional() : body(path));
+
+  return [
+    field("title")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Title is required and cannot exceed 200 characters"),
+    body("description")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Description cannot exceed 1000 characters"),
+    field("ingredients")
+      .isArray({ min: 1, max: 100 })
+      .withMessage("Ingredients must be an array with 1-100 items"),
+    body("ingredients.*.name")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Each ingredient needs a name of 1-100 characters"),
+    body("ingredients.*.amount")
+      .exists({ checkFalsy: true })
+      .withMessage("Each ingredient needs an amount")
+      .bail()
+      .customSanitizer((amount) => String(amount).trim()),
+    body("ingredients.*.unit")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage("Unit must be a string with max 30 characters"),
+    body("inputIngredients")
+      .optional()
+      .isArray({ max: config.maxIngredients })
+      .withMessage(
+        `Input ingredients must be an array with at most ${config.maxIngredients} items`
+      ),
+    body("inputIngredients.*")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Each input ingredient must be a string between 1-50 characters"),
+    field("instructions")
+      .isArray({ min: 1, max: 100 })
+      .withMessage("Instructions must be an array with 1-100 steps"),
+    body("instructions.*.description")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage("Each step needs a description of 1-2000 characters"),
+    body("instructions.*.duration")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Step duration must be a string with max 50 characters"),
+    body(["cookingTime", "dietaryInfo", "nutritionalInfo"])
+      .optional()
+      .isObject()
+      .withMessage("cookingTime, dietaryInfo and nutritionalInfo must be objects"),
+    body(["cookingTime.prep", "cookingTime.cook"])
+      .optional()
+      .isInt({ min: 0, max: 1440 })
+      .withMessage("Cooking times must be between 0 and 1440 minutes")
+      .toInt(),
+    field("servings")
+      .isInt({ min: 1, max: 20 })
+      .withMessage("Servings must be between 1 and 20")
+      .toInt(),
+    body("difficulty")
+      .optional()
+      .isIn(["easy", "medium", "hard"])
+      .withMessage("Difficulty must be easy, medium, or hard"),
+    body("cuisine")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Cuisine must be a string with max 50 characters"),
+    body("mealType")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Meal type must be a non-empty array"),
+    body("mealType.*")
+      .isIn(["breakfast", "lunch", "dinner", "snack", "dessert", "appetizer"])
+      .withMessage("Invalid meal type"),
+    body("dietaryInfo.*")
+      .isBoolean()
+      .withMessage("Dietary info flags must be booleans")
+      .toBoolean(),
+    body("nutritionalInfo.*")
+      .isFloat({ min: 0 })
+      .withMessage("Nutritional values must be non-negative numbers")
+      .toFloat(),
+    body("tags")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("Tags must be an array with at most 20 items"),
+    body("tags.*")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage("Each tag must be a string between 1-30 characters"),
+    body("isPublic")
+      .optional()
+      .isBoolean()
+      .withMessage("isPublic must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+// Comma separated query values that must all be allowed
+const listQuery = (field, allowed, label) =>
+  query(field)
+    .optional()
+    .isString()
+    .custom((value) =>
+      value.split(",").every((item) => allowed.includes(item.trim()))
+    )
+    .withMessage(
+      `${label} must be a comma separated list of: ${allowed.join(", ")}`
+    );
+
+const searchValidation = [
+  query("q")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Search query must be a string with max 200 characters"),
+  query("cuisine")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Cuisine must be a string with max 200 characters"),
+  listQuery("difficulty", ["easy", "medium", "hard"], "Difficulty"),
+  listQuery(
+    "mealType",
+    ["breakfast", "lunch", "dinner", "snack", "dessert", "appetizer"],
+    "Meal type"
+  ),
+  listQuery("time", recipeSearchService.timeBuckets, "Time"),
+  listQuery("dietary", recipeSearchService.dietaryFlags, "Dietary"),
+  listQuery(
+    "excludeAllergens",
+    ALLERGENS.map((allergen) => allergen.id),
+    "Excluded allergens"
+  ),
+  query("sort")
+    .optional()
+    .isIn(recipeSearchService.sortOptions)
+    .withMessage(
+      `Sort must be one of: ${recipeSearchService.sortOptions.join(", ")}`
+    ),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+// Recipe listings, paginated by page number or by cursor. textSearch tells
+// whether the listing's search parameter applies, which changes the sort of
+// its cursors.
+const listValidation = ({ textSearch }) => [
+  query("sortBy")
+    .optional()
+    .isIn(Object.keys(RECIPE_SORTS))
+    .withMessage(
+      `Sort by must be one of: ${Object.keys(RECIPE_SORTS).join(", ")}`
+    ),
+  query("cursor")
+    .optional()
+    .isString()
+    .custom((value, { req }) => {
+      if (value === "") return true;
+      const sortBy = RECIPE_SORTS[req.query.sortBy]
+        ? req.query.sortBy
+        : undefined;
+      return (
+        decodeCursor(
+          value,
+          resolveRecipeSort(sortBy, {
+            textSearch: textSearch && !!req.query.search,
+          })
+        ) !== null
+      );
+    })
+    .withMessage("Cursor is invalid or belongs to another sort order"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+const recommendedValidation = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+const similarValidation = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: config.similarRecipes.neighbors })
+    .withMessage(
+      `Limit must be between 1 and ${config.similarRecipes.neighbors}`
+    ),
+];
+
+const servingsQuery = () =>
+  query("servings")
+    .isInt({ min: 1, max: 20 })
+    .withMessage("Servings must be between 1 and 20");
+
+const unitsQuery = query("units")
+  .optional()
+  .isIn(["original", "metric", "imperial"])
+  .withMessage("Units must be original, metric or imperial");
+
+const revisionListValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const revisionDiffValidation = [
+  query(["from", "to"])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Revision numbers must be positive integers"),
+];
+
+const revisionParamValidation = [
+  param("rev")
+    .isInt({ min: 1 })
+    .withMessage("Revision number must be a positive integer"),
+];
+
 // Routes with appropriate timeouts and rate limiting
 // Handle preflight requests for recipe generation
 router.options("/generate", (req, res) => {
@@ -112,18 +520,104 @@ router.post(
   aiRateLimit,
   timeout(60000),
   auth,
+  requireVerifiedEmail,
   generateRecipeValidation,
+  aiQuota,
   generateRecipe
 );
 
+// Streaming variant: progress and partial recipe are sent as Server-Sent
+// Events, so no request timeout is applied once the stream has started
+router.post(
+  "/generate/stream",
+  aiRateLimit,
+  auth,
+  requireVerifiedEmail,
+  generateRecipeValidation,
+  aiQuota,
+  generateRecipeStream
+);
+
+// Refinement creates a new linked recipe and counts against AI quotas
+router.post(
+  "/:id/refine",
+  aiRateLimit,
+  timeout(60000),
+  auth,
+  requireVerifiedEmail,
+  refineRecipeValidation,
+  aiQuota,
+  refineRecipe
+);
+
 router.post(
   "/search-by-ingredients",
   searchByIngredientsValidation,
   getRecipesByIngredients
 );
-router.get("/saved", auth, getSavedRecipes);
-router.get("/", getRecipes);
-router.get("/:id", optionalAuth, getRecipe);
+router.post(
+  "/pantry-match",
+  optionalAuth,
+  pantryMatchValidation,
+  matchPantryRecipes
+);
+router.get(
+  "/saved",
+  auth,
+  listValidation({ textSearch: false }),
+  getSavedRecipes
+);
+router.get("/recommended", auth, recommendedValidation, getRecommendedRecipes);
+router.get("/search", optionalAuth, searchValidation, searchRecipes);
+router.get(
+  "/",
+  optionalAuth,
+  listValidation({ textSearch: true }),
+  getRecipes
+);
+router.post("/", auth, recipeValidation({ partial: false }), createRecipe);
+router.get(
+  "/:id",
+  optionalAuth,
+  servingsQuery().optional(),
+  unitsQuery,
+  getRecipe
+);
+router.get(
+  "/:id/scaled",
+  optionalAuth,
+  servingsQuery(),
+  unitsQuery,
+  getScaledRecipe
+);
+router.get("/:id/similar", optionalAuth, similarValidation, getSimilarRecipes);
+router.put("/:id", auth, recipeValidation({ partial: false }), updateRecipe);
+router.patch("/:id", auth, recipeValidation({ partial: true }), updateRecipe);
+router.delete("/:id", auth, deleteRecipe);
+router.get(
+  "/:id/revisions",
+  optionalAuth,
+  revisionListValidation,
+  getRecipeRevisions
+);
+router.get(
+  "/:id/revisions/diff",
+  optionalAuth,
+  revisionDiffValidation,
+  diffRecipeRevisions
+);
+router.get(
+  "/:id/revisions/:rev",
+  optionalAuth,
+  revisionParamValidation,
+  getRecipeRevision
+);
+router.post(
+  "/:id/revisions/:rev/restore",
+  auth,
+  revisionParamValidation,
+  restoreRecipeRevision
+);
 router.post("/:id/save", auth, saveRecipe);
 router.delete("/:id/save", auth, unsaveRecipe);
 router.post("/:id/rate", auth, rateRecipeValidation, rateRecipe);
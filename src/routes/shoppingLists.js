@@ -0,0 +1,174 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const {
+  getShoppingLists,
+  getShoppingList,
+  createShoppingListFromRecipes,
+  exportShoppingList,
+  updateShoppingList,
+  deleteShoppingList,
+  addShoppingListItems,
+  updateShoppingListItem,
+  deleteShoppingListItem,
+} = require("../controllers/shoppingListController");
+const Ingredient = require("../models/Ingredient");
+const { UNIT_SYSTEMS } = require("../utils/unitConversion");
+const { auth } = require("../middleware/auth");
+
+const router = express.Router();
+
+const MAX_RECIPES = 30;
+const MAX_ITEMS_PER_REQUEST = 50;
+
+const shoppingListIdValidation = param("id")
+  .isMongoId()
+  .withMessage("Invalid shopping list ID");
+
+const shoppingListItemIdValidation = [
+  shoppingListIdValidation,
+  param("itemId").isMongoId().withMessage("Invalid shopping list item ID"),
+];
+
+// A factory since chains are mutable and name is optional on creation
+const nameValidation = () =>
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be a string between 1-100 characters");
+
+// Validation for item fields under a prefix ("items.*." for lists).
+// Partial updates make name optional and accept null to clear a field.
+const itemValidation = (prefix = "", { partial = false } = {}) => {
+  const name = body(`${prefix}name`);
+  return [
+    (partial ? name.optional() : name)
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Item name must be a string between 1-100 characters"),
+    body(`${prefix}quantity`)
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Quantity must be a non-negative number")
+      .toFloat(),
+    body(`${prefix}unit`)
+      .optional({ values: "null" })
+      .isString()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage("Unit must be a string with max 20 characters"),
+    body(`${prefix}category`)
+      .optional()
+      .isIn(Ingredient.CATEGORIES)
+      .withMessage(
+        `Category must be one of: ${Ingredient.CATEGORIES.join(", ")}`
+      ),
+    body(`${prefix}note`)
+      .optional({ values: "null" })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Note must be a string with max 100 characters"),
+    body(`${prefix}checked`)
+      .optional()
+      .isBoolean()
+      .withMessage("Checked must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+const fromRecipesValidation = [
+  body("recipes")
+    .optional()
+    .isArray({ min: 1, max: MAX_RECIPES })
+    .withMessage(`Recipes must be an array with 1-${MAX_RECIPES} items`),
+  body("recipes.*.recipe").isMongoId().withMessage("Invalid recipe ID"),
+  body("recipes.*.servings")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Servings must be between 1 and 100")
+    .toInt(),
+  body("mealPlan")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid meal plan ID"),
+  body("recipes")
+    .if(body("mealPlan").not().exists())
+    .exists()
+    .withMessage("Recipes or a meal plan are required"),
+  nameValidation().optional(),
+  body("usePantry")
+    .optional()
+    .isBoolean()
+    .withMessage("usePantry must be a boolean")
+    .toBoolean(),
+  body("unitSystem")
+    .optional()
+    .isIn(UNIT_SYSTEMS)
+    .withMessage(`Unit system must be one of: ${UNIT_SYSTEMS.join(", ")}`),
+];
+
+const itemsValidation = [
+  shoppingListIdValidation,
+  body("items")
+    .isArray({ min: 1, max: MAX_ITEMS_PER_REQUEST })
+    .withMessage(
+      `Items must be an array with 1-${MAX_ITEMS_PER_REQUEST} items`
+    ),
+  ...itemValidation("items.*."),
+];
+
+const listShoppingListsValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+const exportValidation = [
+  shoppingListIdValidation,
+  query("format")
+    .optional()
+    .isIn(["text", "markdown"])
+    .withMessage("Format must be text or markdown"),
+];
+
+// Routes
+router.get("/", auth, listShoppingListsValidation, getShoppingLists);
+router.post(
+  "/from-recipes",
+  auth,
+  fromRecipesValidation,
+  createShoppingListFromRecipes
+);
+router.get("/:id", auth, shoppingListIdValidation, getShoppingList);
+router.get("/:id/export", auth, exportValidation, exportShoppingList);
+router.patch(
+  "/:id",
+  auth,
+  shoppingListIdValidation,
+  nameValidation(),
+  updateShoppingList
+);
+router.delete("/:id", auth, shoppingListIdValidation, deleteShoppingList);
+router.post("/:id/items", auth, itemsValidation, addShoppingListItems);
+router.patch(
+  "/:id/items/:itemId",
+  auth,
+  shoppingListItemIdValidation,
+  itemValidation("", { partial: true }),
+  updateShoppingListItem
+);
+router.delete(
+  "/:id/items/:itemId",
+  auth,
+  shoppingListItemIdValidation,
+  deleteShoppingListItem
+);
+
+module.exports = router;
@@ -1,7 +1,17 @@
 const express = require("express");
+const { body, param, query } = require("express-validator");
 const { validate, schemas } = require("../utils/validation");
 const User = require("../models/User");
 const { auth, optionalAuth } = require("../middleware/auth");
+const {
+  getMyUsage,
+  getMyPantry,
+  addPantryItems,
+  replaceMyPantry,
+  updatePantryItem,
+  deletePantryItem,
+} = require("../controllers/userController");
+const config = require("../config/config");
 
 const router = express.Router();
 
@@ -50,7 +60,93 @@ const getUserProfile = async (req, res) => {
   }
 };
 
+const usageValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 366 })
+    .withMessage("Days must be between 1 and 366"),
+];
+
+// Validation for pantry item fields under a prefix ("items.*." for lists).
+// Partial updates make name optional and accept null to clear a field.
+const pantryItemValidation = (prefix = "", { partial = false } = {}) => {
+  const name = body(`${prefix}name`);
+  return [
+    (partial ? name.optional() : name)
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Item name must be a string between 1-50 characters"),
+    body(`${prefix}quantity`)
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Quantity must be a non-negative number")
+      .toFloat(),
+    body(`${prefix}unit`)
+      .optional({ values: "null" })
+      .isString()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage("Unit must be a string with max 20 characters"),
+    body(`${prefix}purchasedAt`)
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Purchase date must be a valid date")
+      .toDate(),
+    body(`${prefix}expiresAt`)
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Expiry date must be a valid date")
+      .toDate(),
+  ];
+};
+
+const pantryItemsValidation = (min) => [
+  body("items")
+    .isArray({ min, max: config.pantryMaxItems })
+    .withMessage(
+      `Items must be an array with ${min}-${config.pantryMaxItems} items`
+    ),
+  ...pantryItemValidation("items.*."),
+];
+
+const pantryItemIdValidation = param("itemId")
+  .isMongoId()
+  .withMessage("Invalid pantry item ID");
+
+const pantryQueryValidation = [
+  query("status")
+    .optional()
+    .isIn(["fresh", "expiring", "expired"])
+    .withMessage("Status must be fresh, expiring or expired"),
+];
+
 // Routes
+router.get("/me/usage", auth, usageValidation, getMyUsage);
+router.get("/me/pantry", auth, pantryQueryValidation, getMyPantry);
+router.post("/me/pantry", auth, pantryItemsValidation(1), addPantryItems);
+router.put("/me/pantry", auth, pantryItemsValidation(0), replaceMyPantry);
+router.patch(
+  "/me/pantry/:itemId",
+  auth,
+  pantryItemIdValidation,
+  pantryItemValidation("", { partial: true }),
+  updatePantryItem
+);
+router.delete(
+  "/me/pantry/:itemId",
+  auth,
+  pantryItemIdValidation,
+  deletePantryItem
+);
 router.get("/:id", optionalAuth, getUserProfile);
 
 module.exports = router;
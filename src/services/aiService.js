@@ -0,0 +1,644 @@
+const config = require("../config/config");
+const { createProvider, AIServiceError } = require("./llm");
+const {
+  recipeJsonSchema,
+  validateGeneratedRecipe,
+} = require("../utils/recipeSchema");
+const dietaryRules = require("./dietaryRules");
+
+// Rough token estimate for providers that don't report usage
+const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+
+const EMPTY_USAGE = {
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  estimated: false,
+};
+
+class AIService {
+  constructor() {
+    this.provider = null;
+    this.initialize();
+  }
+
+  initialize() {
+    try {
+      this.provider = createProvider(config);
+
+      if (this.provider.isConfigured()) {
+        console.log(`✅ AI service initialized (provider: ${this.provider.name})`);
+      }
+    } catch (error) {
+      console.error("❌ Failed to initialize AI service:", error.message);
+    }
+  }
+
+  // Swap the active provider, e.g. a MockProvider in tests
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  ensureProvider() {
+    if (!this.provider || !this.provider.isConfigured()) {
+      throw new AIServiceError(
+        `AI provider "${config.aiProvider}" is not configured`,
+        { provider: config.aiProvider }
+      );
+    }
+  }
+
+  // Active provider details for /health and /test
+  getStatus() {
+    if (!this.provider) {
+      return { provider: config.aiProvider, configured: false };
+    }
+
+    return {
+      ...this.provider.describe(),
+      configured: this.provider.isConfigured(),
+    };
+  }
+
+  async generateRecipe(ingredients, options = {}) {
+    try {
+      this.ensureProvider();
+
+      const { servings, allergies, prompt } = this.buildGenerationPrompt(
+        ingredients,
+        options
+      );
+
+      console.log(`🤖 Generating recipe with ${this.provider.name}...`);
+
+      const request = this.buildCompletionRequest(prompt);
+      const response = await this.provider.complete(request);
+      const usage = this.addUsage(EMPTY_USAGE, response, request.messages);
+
+      const recipe = await this.resolveRecipe(request, response.text, usage, {
+        allergies,
+      });
+      this.addGenerationMetadata(recipe, ingredients, { servings, prompt });
+
+      console.log("✅ Recipe generated successfully");
+      return recipe;
+    } catch (error) {
+      console.error("❌ Error generating recipe:", error.message);
+      if (error instanceof AIServiceError) throw error;
+      throw new AIServiceError(`Failed to generate recipe: ${error.message}`, {
+        provider: this.provider && this.provider.name,
+        cause: error,
+      });
+    }
+  }
+
+  // Stream a recipe generation. onText is called with the accumulated
+  // response text after every chunk; passing an AbortSignal cancels the
+  // upstream request.
+  async streamRecipe(ingredients, options = {}, { signal, onText } = {}) {
+    try {
+      this.ensureProvider();
+
+      const { servings, allergies, prompt } = this.buildGenerationPrompt(
+        ingredients,
+        options
+      );
+
+      console.log(`🤖 Streaming recipe with ${this.provider.name}...`);
+
+      const request = { ...this.buildCompletionRequest(prompt), signal };
+
+      let generatedText = "";
+      let streamUsage = null;
+      for await (const chunk of this.provider.stream(request)) {
+        if (chunk.usage) streamUsage = chunk.usage;
+        if (chunk.text) {
+          generatedText += chunk.text;
+          if (onText) onText(generatedText);
+        }
+      }
+
+      if (!generatedText) {
+        throw new Error(`No response received from ${this.provider.name}`);
+      }
+
+      const usage = this.addUsage(
+        EMPTY_USAGE,
+        { text: generatedText, usage: streamUsage },
+        request.messages
+      );
+
+      const recipe = await this.resolveRecipe(request, generatedText, usage, {
+        allergies,
+      });
+      this.addGenerationMetadata(recipe, ingredients, { servings, prompt });
+
+      console.log("✅ Recipe streamed successfully");
+      return recipe;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        console.log("🛑 Recipe stream aborted by client");
+        throw error;
+      }
+      console.error("❌ Error streaming recipe:", error.message);
+      if (error instanceof AIServiceError) throw error;
+      throw new AIServiceError(`Failed to generate recipe: ${error.message}`, {
+        provider: this.provider && this.provider.name,
+        cause: error,
+      });
+    }
+  }
+
+  // Modify an existing recipe. changes may hold a free-text instruction and
+  // structured modifications (dietaryRestrictions, maxCookingTime, servings,
+  // difficulty, cuisine, substitutions, exclude) and the user's allergies.
+  async refineRecipe(recipe, changes = {}) {
+    try {
+      this.ensureProvider();
+
+      const prompt = this.buildRefinePrompt(recipe, changes);
+
+      console.log(`🤖 Refining recipe with ${this.provider.name}...`);
+
+      const request = this.buildCompletionRequest(prompt);
+      const response = await this.provider.complete(request);
+      const usage = this.addUsage(EMPTY_USAGE, response, request.messages);
+
+      const refinedRecipe = await this.resolveRecipe(
+        request,
+        response.text,
+        usage,
+        { allergies: changes.allergies }
+      );
+      this.addGenerationMetadata(refinedRecipe, recipe.inputIngredients, {
+        servings: changes.servings || recipe.servings,
+        prompt,
+      });
+
+      console.log("✅ Recipe refined successfully");
+      return refinedRecipe;
+    } catch (error) {
+      console.error("❌ Error refining recipe:", error.message);
+      if (error instanceof AIServiceError) throw error;
+      throw new AIServiceError(`Failed to refine recipe: ${error.message}`, {
+        provider: this.provider && this.provider.name,
+        cause: error,
+      });
+    }
+  }
+
+  buildCompletionRequest(prompt) {
+    return {
+      messages: [
+        {
+          role: "system",
+          content:
+            "You are a professional chef and recipe creator. Generate detailed, practical recipes based on the given ingredients and requirements. Always respond with valid JSON format.",
+        },
+        {
+          role: "user",
+          content: prompt,
+        },
+      ],
+      maxTokens: 2000,
+      temperature: 0.7,
+      topP: 0.95,
+      responseFormat: this.getResponseFormat(),
+    };
+  }
+
+  // Structured output mode requested from the provider (AI_RESPONSE_FORMAT)
+  getResponseFormat() {
+    switch (config.aiResponseFormat) {
+      case "json_schema":
+        return {
+          type: "json_schema",
+          json_schema: { name: "recipe", schema: recipeJsonSchema, strict: true },
+        };
+      case "json_object":
+        return { type: "json_object" };
+      default:
+        return undefined;
+    }
+  }
+
+  // Add the token usage of one completion to a running total, estimating it
+  // when the provider doesn't report usage
+  addUsage(total, { text, usage }, messages) {
+    const counted = usage || {
+      promptTokens: estimateTokens(
+        messages.map((message) => message.content).join("\n")
+      ),
+      completionTokens: estimateTokens(text),
+      estimated: true,
+    };
+
+    const promptTokens = total.promptTokens + counted.promptTokens;
+    const completionTokens = total.completionTokens + counted.completionTokens;
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: total.estimated || !!counted.estimated,
+    };
+  }
+
+  // Validate the model output, feeding validation errors back to the model
+  // for a bounded number of repair attempts. Never falls back to a stub.
+  // Recipes containing one of the allergies count as invalid. The usage of
+  // all attempts is stored on recipe.generationUsage.
+  async resolveRecipe(
+    request,
+    responseText,
+    usage = EMPTY_USAGE,
+    { allergies = [] } = {}
+  ) {
+    let messages = request.messages;
+    let text = responseText;
+    let result = this.parseRecipeResponse(text, { allergies });
+
+    for (
+      let attempt = 1;
+      result.errors && attempt <= config.aiMaxRepairAttempts;
+      attempt++
+    ) {
+      console.warn(
+        `⚠️ Invalid recipe from ${this.provider.name} (repair attempt ${attempt}/${config.aiMaxRepairAttempts}):`,
+        result.errors
+      );
+
+      messages = [
+        ...messages,
+        { role: "assistant", content: text },
+        { role: "user", content: this.buildRepairPrompt(result.errors) },
+      ];
+
+      const response = await this.provider.complete({
+        ...request,
+        messages,
+        temperature: 0.2,
+      });
+      usage = this.addUsage(usage, response, messages);
+      text = response.text;
+      result = this.parseRecipeResponse(text, { allergies });
+    }
+
+    if (result.errors) {
+      console.error("❌ AI returned an invalid recipe:", result.errors);
+      const error = new AIServiceError(
+        "The AI service returned an invalid recipe. Please try again.",
+        {
+          statusCode: 502,
+          provider: this.provider.name,
+          details: result.errors,
+        }
+      );
+      // Tokens were spent even though the output was unusable
+      error.usage = {
+        ...usage,
+        provider: this.provider.name,
+        model: this.provider.model,
+      };
+      throw error;
+    }
+
+    result.recipe.generationUsage = {
+      ...usage,
+      provider: this.provider.name,
+      model: this.provider.model,
+    };
+    return result.recipe;
+  }
+
+  buildRepairPrompt(errors) {
+    return `Your previous response is not a valid recipe. Fix these problems:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Respond again with the complete corrected recipe as a single JSON object in the same format, with no extra text.`;
+  }
+
+  // Attach generation metadata to a validated recipe
+  addGenerationMetadata(recipe, ingredients, { servings, prompt }) {
+    recipe.inputIngredients = ingredients;
+    recipe.servings = servings;
+    recipe.generatedBy = this.provider.name;
+    recipe.generationPrompt = prompt;
+
+    return recipe;
+  }
+
+  // Generation options with their defaults applied, and the prompt built
+  // from them. Returns { servings, allergies, prompt }.
+  buildGenerationPrompt(ingredients, options = {}) {
+    const {
+      servings = config.defaultRecipePortions,
+      dietaryRestrictions = [],
+      cuisine = "",
+      mealType = "dinner",
+      difficulty = "medium",
+      maxCookingTime = null,
+      priorityIngredients = [],
+      excludeIngredients = [],
+      calorieTarget = null,
+      allergies = [],
+    } = options;
+
+    const prompt = this.buildRecipePrompt(ingredients, {
+      servings,
+      dietaryRestrictions,
+      cuisine,
+      mealType,
+      difficulty,
+      maxCookingTime,
+      priorityIngredients,
+      excludeIngredients,
+      calorieTarget,
+      allergies,
+    });
+
+    return { servings, allergies, prompt };
+  }
+
+  buildRecipePrompt(ingredients, options) {
+    const {
+      servings,
+      dietaryRestrictions,
+      cuisine,
+      mealType,
+      difficulty,
+      maxCookingTime,
+      priorityIngredients = [],
+      excludeIngredients = [],
+      calorieTarget = null,
+      allergies = [],
+    } = options;
+
+    let prompt = `Create a detailed recipe using these ingredients: ${ingredients.join(
+      ", "
+    )}.
+
+Requirements:
+- Servings: ${servings}
+- Meal type: ${mealType}
+- Difficulty: ${difficulty}`;
+
+    if (dietaryRestrictions.length > 0) {
+      prompt += `\n- Dietary restrictions: ${dietaryRestrictions.join(", ")}`;
+    }
+
+    if (cuisine) {
+      prompt += `\n- Cuisine style: ${cuisine}`;
+    }
+
+    if (maxCookingTime) {
+      prompt += `\n- Maximum cooking time: ${maxCookingTime} minutes`;
+    }
+
+    if (priorityIngredients.length > 0) {
+      prompt += `\n- Use up these ingredients first, they expire soon: ${priorityIngredients.join(
+        ", "
+      )}`;
+    }
+
+    if (excludeIngredients.length > 0) {
+      prompt += `\n- Do not use: ${excludeIngredients.join(", ")}`;
+    }
+
+    if (calorieTarget) {
+      prompt += `\n- Aim for about ${calorieTarget} calories per serving`;
+    }
+
+    if (allergies.length > 0) {
+      prompt += `\n- ${this.buildAllergyRequirement(allergies)}`;
+    }
+
+    prompt += `
+
+${this.getRecipeFormatInstructions()}
+
+Make sure the recipe is practical, delicious, and uses the provided ingredients as the main components. Add additional common ingredients as needed to create a complete recipe.`;
+
+    return prompt;
+  }
+
+  buildRefinePrompt(recipe, changes) {
+    const {
+      instruction,
+      dietaryRestrictions = [],
+      maxCookingTime,
+      servings,
+      difficulty,
+      cuisine,
+      substitutions = [],
+      exclude = [],
+      allergies = [],
+    } = changes;
+
+    const original = {
+      title: recipe.title,
+      description: recipe.description,
+      servings: recipe.servings,
+      ingredients: recipe.ingredients.map(({ name, amount, unit }) => ({
+        name,
+        amount,
+        unit,
+      })),
+      instructions: recipe.instructions.map(
+        ({ stepNumber, description, duration }) => ({
+          stepNumber,
+          description,
+          duration,
+        })
+      ),
+      cookingTime: recipe.cookingTime,
+      difficulty: recipe.difficulty,
+      cuisine: recipe.cuisine,
+      mealType: recipe.mealType,
+      dietaryInfo: recipe.dietaryInfo,
+      nutritionalInfo: recipe.nutritionalInfo,
+      tags: recipe.tags,
+    };
+
+    const requested = [];
+    if (instruction) requested.push(instruction);
+    if (dietaryRestrictions.length > 0) {
+      requested.push(
+        `Make it suitable for these dietary restrictions: ${dietaryRestrictions.join(
+          ", "
+        )}`
+      );
+    }
+    if (maxCookingTime) {
+      requested.push(
+        `Reduce the total cooking time to at most ${maxCookingTime} minutes`
+      );
+    }
+    if (servings) {
+      requested.push(
+        `Adjust it to ${servings} servings, scaling the ingredient amounts`
+      );
+    }
+    if (difficulty) requested.push(`Make the difficulty ${difficulty}`);
+    if (cuisine) requested.push(`Adapt it to ${cuisine} cuisine`);
+    substitutions.forEach(({ from, to }) => {
+      requested.push(
+        to
+          ? `Replace ${from} with ${to}`
+          : `Replace ${from} with a suitable alternative`
+      );
+    });
+    if (exclude.length > 0) {
+      requested.push(`Do not use: ${exclude.join(", ")}`);
+    }
+    if (allergies.length > 0) {
+      requested.push(this.buildAllergyRequirement(allergies));
+    }
+
+    return `Here is an existing recipe:
+${JSON.stringify(original, null, 2)}
+
+Modify the recipe as follows:
+${requested.map((change) => `- ${change}`).join("\n")}
+
+Keep the dish as close to the original as possible apart from these changes, and update the cooking times, dietary info, nutritional info and tags to match the modified recipe.
+
+${this.getRecipeFormatInstructions()}`;
+  }
+
+  // Prompt line asking for a recipe free of the given allergen ids
+  buildAllergyRequirement(allergies) {
+    return `It must be safe for someone allergic to: ${dietaryRules
+      .describeAllergens(allergies)
+      .join(", ")}. Avoid hidden sources too, such as sauces and stocks`;
+  }
+
+  // Response format shared by all recipe prompts
+  getRecipeFormatInstructions() {
+    return `Please respond with a JSON object in this exact format:
+{
+  "title": "Recipe Name",
+  "description": "Brief description of the dish",
+  "ingredients": [
+    {
+      "name": "ingredient name",
+      "amount": "quantity",
+      "unit": "unit of measurement"
+    }
+  ],
+  "instructions": [
+    {
+      "stepNumber": 1,
+      "description": "Step description",
+      "duration": "time estimate"
+    }
+  ],
+  "cookingTime": {
+    "prep": 15,
+    "cook": 30,
+    "total": 45
+  },
+  "difficulty": "easy|medium|hard",
+  "cuisine": "cuisine type",
+  "mealType": ["breakfast|lunch|dinner|snack|dessert|appetizer"],
+  "dietaryInfo": {
+    "isVegetarian": false,
+    "isVegan": false,
+    "isGlutenFree": false,
+    "isDairyFree": false,
+    "isNutFree": false,
+    "isLowCarb": false
+  },
+  "nutritionalInfo": {
+    "calories": 400,
+    "protein": 25,
+    "carbs": 45,
+    "fat": 15,
+    "fiber": 8
+  },
+  "tags": ["tag1", "tag2"]
+}
+
+nutritionalInfo values are totals for the whole recipe (all servings), with protein, carbs, fat and fiber in grams.`;
+  }
+
+  // Parse and validate model output, rejecting recipes that contain one of
+  // the allergies. Returns { recipe } or { errors }.
+  parseRecipeResponse(responseText, { allergies = [] } = {}) {
+    // Clean up the response text
+    let cleanedResponse = (responseText || "").trim();
+
+    // Remove any markdown code blocks
+    cleanedResponse = cleanedResponse.replace(/```json\s*/g, "");
+    cleanedResponse = cleanedResponse.replace(/```\s*/g, "");
+
+    let parsed;
+    try {
+      parsed = JSON.parse(cleanedResponse);
+    } catch (error) {
+      return { errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const { value, errors } = validateGeneratedRecipe(parsed);
+    if (errors) return { errors };
+
+    const found = dietaryRules.findAllergens(value, allergies);
+    if (found.length > 0) {
+      return {
+        errors: found.map(
+          ({ name, ingredients }) =>
+            `"ingredients" must not contain ${name.toLowerCase()} (found in: ${ingredients.join(
+              ", "
+            )})`
+        ),
+      };
+    }
+    return { recipe: value };
+  }
+
+  async testConnection() {
+    const status = this.getStatus();
+
+    try {
+      if (!status.configured) {
+        return {
+          success: false,
+          provider: status.provider,
+          message: `AI provider "${status.provider}" not configured`,
+        };
+      }
+
+      // Simple test request
+      const { text } = await this.provider.complete({
+        messages: [
+          {
+            role: "user",
+            content: 'Say "Hello from Cookly!"',
+          },
+        ],
+        maxTokens: 50,
+        temperature: 0.1,
+      });
+
+      return {
+        success: true,
+        provider: status.provider,
+        model: status.model,
+        message: `${status.provider} connection successful`,
+        response: text,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        provider: status.provider,
+        model: status.model,
+        message: `${status.provider} connection failed: ${error.message}`,
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const aiService = new AIService();
+
+module.exports = aiService;
@@ -0,0 +1,147 @@
+const {
+  ALLERGENS,
+  DIET_RULES,
+  DIETARY_FLAG_RULES,
+} = require("../data/allergens");
+const ingredientCatalog = require("./ingredientCatalog");
+const { normalizeIngredient } = require("../utils/ingredientNormalizer");
+
+// Most carbs in one serving (grams) of a low-carb recipe
+const LOW_CARB_MAX_CARBS = 20;
+
+// Detects allergens in recipe ingredients and checks the dietaryInfo flags
+// against them with the rules in src/data/allergens.js
+class DietaryRules {
+  constructor() {
+    const normalize = (phrases) =>
+      phrases.map((phrase) => ` ${normalizeIngredient(phrase)} `);
+
+    this.rules = [...ALLERGENS, ...DIET_RULES].map((rule) => ({
+      ...rule,
+      keywords: normalize(rule.keywords),
+      except: normalize(rule.except),
+    }));
+    this.allergenIds = ALLERGENS.map((allergen) => allergen.id);
+    this.allergenNames = new Map(
+      ALLERGENS.map((allergen) => [allergen.id, allergen.name])
+    );
+  }
+
+  // Ids of the rules an ingredient matches
+  matchIngredient(ingredient) {
+    const id =
+      ingredient.ingredientId ||
+      ingredientCatalog.toIngredientId(ingredient.name);
+    const entry = ingredientCatalog.get(id);
+    const name = ` ${normalizeIngredient(ingredient.name)} `;
+
+    return this.rules
+      .filter(
+        (rule) =>
+          !rule.except.some((phrase) => name.includes(phrase)) &&
+          (rule.ingredientIds.includes(id) ||
+            (entry && rule.categories.includes(entry.category)) ||
+            rule.keywords.some((phrase) => name.includes(phrase)))
+      )
+      .map((rule) => rule.id);
+  }
+
+  // Rules matched by a recipe's ingredients. Returns { sources, unrecognized }
+  // where sources lists { rule, ingredients } in rule order and unrecognized
+  // names the ingredients neither the rules nor the catalog know.
+  analyze(recipe) {
+    const matches = new Map();
+    const unrecognized = [];
+
+    (recipe.ingredients || []).forEach((ingredient) => {
+      const ruleIds = this.matchIngredient(ingredient);
+      ruleIds.forEach((ruleId) => {
+        if (!matches.has(ruleId)) matches.set(ruleId, []);
+        matches.get(ruleId).push(ingredient.name);
+      });
+
+      const id =
+        ingredient.ingredientId ||
+        ingredientCatalog.toIngredientId(ingredient.name);
+      if (ruleIds.length === 0 && !ingredientCatalog.get(id)) {
+        unrecognized.push(ingredient.name);
+      }
+    });
+
+    return {
+      sources: this.rules
+        .filter((rule) => matches.has(rule.id))
+        .map((rule) => ({ rule: rule.id, ingredients: matches.get(rule.id) })),
+      unrecognized,
+    };
+  }
+
+  // Allergens from a list of ids found in a recipe, as { allergen, name,
+  // ingredients }
+  findAllergens(recipe, allergenIds) {
+    return this.analyze(recipe)
+      .sources.filter((source) => allergenIds.includes(source.rule))
+      .map((source) => ({
+        allergen: source.rule,
+        name: this.allergenNames.get(source.rule),
+        ingredients: source.ingredients,
+      }));
+  }
+
+  // Display names for allergen ids
+  describeAllergens(allergenIds) {
+    return allergenIds.map((id) => this.allergenNames.get(id) || id);
+  }
+
+  // dietaryInfo of a recipe (document or plain object) checked against its
+  // ingredients. A claimed flag is turned off when an ingredient rules it
+  // out, and an unclaimed one is turned on when every ingredient is known
+  // and none rules it out. isLowCarb follows the carbs per serving: claimed
+  // flags need nutritionalInfo under the limit, unclaimed ones a computed
+  // value with high confidence. Returns { dietaryInfo, allergens,
+  // dietaryCheck }.
+  checkRecipe(recipe, claimedFlags) {
+    const claimed = claimedFlags || {};
+    const { sources, unrecognized } = this.analyze(recipe);
+    const matched = new Set(sources.map((source) => source.rule));
+    const allKnown =
+      (recipe.ingredients || []).length > 0 && unrecognized.length === 0;
+
+    const dietaryInfo = {};
+    Object.entries(DIETARY_FLAG_RULES).forEach(([flag, ruleIds]) => {
+      dietaryInfo[flag] = ruleIds.some((ruleId) => matched.has(ruleId))
+        ? false
+        : !!claimed[flag] || allKnown;
+    });
+
+    const carbs = recipe.nutritionalInfo && recipe.nutritionalInfo.carbs;
+    if (typeof carbs === "number" && recipe.servings) {
+      const highConfidence =
+        !!recipe.nutrition &&
+        recipe.nutrition.source === "computed" &&
+        recipe.nutrition.confidence === "high";
+      dietaryInfo.isLowCarb =
+        carbs / recipe.servings <= LOW_CARB_MAX_CARBS &&
+        (!!claimed.isLowCarb || highConfidence);
+    } else {
+      dietaryInfo.isLowCarb = !!claimed.isLowCarb;
+    }
+
+    return {
+      dietaryInfo,
+      allergens: this.allergenIds.filter((id) => matched.has(id)),
+      dietaryCheck: {
+        claimed,
+        corrected: Object.keys(dietaryInfo).filter(
+          (flag) => dietaryInfo[flag] !== !!claimed[flag]
+        ),
+        sources,
+        unrecognized,
+      },
+    };
+  }
+}
+
+const dietaryRules = new DietaryRules();
+
+module.exports = dietaryRules;
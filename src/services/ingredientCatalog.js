@@ -0,0 +1,157 @@
+const Ingredient = require("../models/Ingredient");
+const seedIngredients = require("../data/ingredients");
+const { normalizeIngredient } = require("../utils/ingredientNormalizer");
+
+// Turn a normalized name into an id slug ("olive oil" -> "olive-oil")
+const slugify = (normalized) => normalized.trim().replace(/\s+/g, "-");
+
+// In-memory view of the Ingredient catalog so recipe ingredient names can be
+// resolved synchronously (e.g. in Recipe pre-save hooks). Starts from the
+// bundled seed data and picks up database additions on initialize().
+class IngredientCatalog {
+  constructor() {
+    this.load(seedIngredients);
+    this.loadedFromDatabase = false;
+  }
+
+  // Rebuild the lookup tables from a list of { _id, name, category, aliases }
+  load(entries) {
+    this.entries = new Map(
+      entries.map((entry) => [
+        entry._id,
+        {
+          id: entry._id,
+          name: entry.name,
+          category: entry.category || "other",
+          aliases: entry.aliases || [],
+        },
+      ])
+    );
+
+    // Canonical names take precedence over aliases of other ingredients
+    this.index = new Map();
+    const add = (key, id) => {
+      const normalized = normalizeIngredient(key);
+      if (normalized && !this.index.has(normalized)) {
+        this.index.set(normalized, id);
+      }
+    };
+    this.entries.forEach((entry) => {
+      add(entry.name, entry.id);
+      add(entry.id.replace(/-/g, " "), entry.id);
+    });
+    this.entries.forEach((entry) => {
+      entry.aliases.forEach((alias) => add(alias, entry.id));
+    });
+  }
+
+  // Seed the collection when empty and load it. Called once the database is
+  // connected; until then the bundled seed data is used.
+  async initialize() {
+    try {
+      if ((await Ingredient.estimatedDocumentCount()) === 0) {
+        await this.seed();
+      }
+
+      const entries = await Ingredient.find().lean();
+      this.load(entries);
+      this.loadedFromDatabase = true;
+      console.log(`🥕 Ingredient catalog loaded (${entries.length} entries)`);
+    } catch (error) {
+      console.error(
+        "❌ Failed to load ingredient catalog, using bundled data:",
+        error.message
+      );
+    }
+  }
+
+  // Upsert the bundled seed data. Existing entries keep any extra aliases.
+  async seed() {
+    const result = await Ingredient.bulkWrite(
+      seedIngredients.map(({ _id, name, category, aliases }) => ({
+        updateOne: {
+          filter: { _id },
+          update: {
+            $set: { name, category },
+            $addToSet: { aliases: { $each: aliases } },
+          },
+          upsert: true,
+        },
+      }))
+    );
+    console.log(
+      `🌱 Seeded ingredient catalog (${result.upsertedCount} added, ${result.modifiedCount} updated)`
+    );
+    return result;
+  }
+
+  // Canonical id for a free-text name, or null when it isn't in the catalog.
+  // Tries the whole normalized name first, then ever shorter trailing word
+  // sequences, so "roma tomatoes" and "tomato" resolve to "tomato" while
+  // "peanut butter" keeps its own entry.
+  resolve(name) {
+    const normalized = normalizeIngredient(name);
+    if (!normalized) return null;
+
+    const words = normalized.split(" ");
+    for (let start = 0; start < words.length; start++) {
+      const id = this.index.get(words.slice(start).join(" "));
+      if (id) return id;
+    }
+    return null;
+  }
+
+  // Id to store for a name: the canonical id when known, otherwise a slug of
+  // the normalized name so unknown ingredients still line up with each other
+  toIngredientId(name) {
+    const id = this.resolve(name);
+    if (id) return id;
+
+    const normalized = normalizeIngredient(name);
+    return normalized ? slugify(normalized) : null;
+  }
+
+  // Sorted, de-duplicated ids for a list of names
+  toIngredientIds(names) {
+    return [
+      ...new Set(names.map((name) => this.toIngredientId(name)).filter(Boolean)),
+    ].sort();
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  // Catalog entries whose name or aliases contain the query, best match first
+  search(query, { category, limit = 20 } = {}) {
+    const normalized = query ? normalizeIngredient(query) : "";
+    const results = [];
+
+    this.entries.forEach((entry) => {
+      if (category && entry.category !== category) return;
+      if (!normalized) {
+        results.push({ entry, rank: 0 });
+        return;
+      }
+
+      const names = [entry.name, ...entry.aliases].map(normalizeIngredient);
+      let rank = null;
+      if (this.resolve(query) === entry.id) rank = 0;
+      else if (names.some((name) => name.startsWith(normalized))) rank = 1;
+      else if (names.some((name) => name.includes(normalized))) rank = 2;
+
+      if (rank !== null) results.push({ entry, rank });
+    });
+
+    return results
+      .sort(
+        (a, b) => a.rank - b.rank || a.entry.name.localeCompare(b.entry.name)
+      )
+      .slice(0, limit)
+      .map(({ entry }) => entry);
+  }
+}
+
+const ingredientCatalog = new IngredientCatalog();
+
+module.exports = ingredientCatalog;
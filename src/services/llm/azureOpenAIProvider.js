@@ -0,0 +1,31 @@
+const { AzureOpenAI } = require("openai");
+const OpenAICompatibleProvider = require("./openAICompatibleProvider");
+
+// Azure OpenAI deployment; the deployment name is used as the model
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+  constructor({ endpoint, apiKey, apiVersion, deploymentName }) {
+    super({ baseURL: endpoint, apiKey, model: deploymentName, apiVersion });
+    this.name = "azure-openai";
+    // Older Azure API versions reject stream_options; usage is estimated
+    this.supportsStreamUsage = false;
+  }
+
+  initialize({ baseURL, apiKey, apiVersion }) {
+    if (!baseURL || !apiKey) {
+      console.warn(
+        "⚠️ Azure OpenAI credentials not configured. Recipe generation will not work."
+      );
+      return;
+    }
+
+    this.client = new AzureOpenAI({
+      endpoint: baseURL,
+      apiKey,
+      apiVersion,
+      // Retries are handled by ResilientProvider
+      maxRetries: 0,
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
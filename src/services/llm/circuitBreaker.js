@@ -0,0 +1,72 @@
+// Classic three-state circuit breaker. After failureThreshold consecutive
+// failed requests the circuit opens and requests are rejected until
+// cooldownMs has passed; then one trial request is let through (half-open)
+// and its outcome closes or re-opens the circuit.
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest() {
+    if (this.state === "closed") return true;
+
+    if (this.state === "open" && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half-open";
+      this.trialInFlight = false;
+    }
+
+    if (this.state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures += 1;
+    this.trialInFlight = false;
+
+    if (
+      this.state === "half-open" ||
+      this.consecutiveFailures >= this.failureThreshold
+    ) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Give up a half-open trial without counting it as success or failure
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  // Milliseconds until an open circuit allows a trial request
+  getRetryAfterMs() {
+    if (this.state !== "open") return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRetryAfterMs(),
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,17 @@
+// Raised when the configured AI provider cannot produce a usable response
+class AIServiceError extends Error {
+  constructor(
+    message,
+    { statusCode = 503, provider, details, retryAfter, cause } = {}
+  ) {
+    super(message);
+    this.name = "AIServiceError";
+    this.statusCode = statusCode;
+    this.provider = provider;
+    this.details = details;
+    this.retryAfter = retryAfter; // seconds
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = { AIServiceError };
@@ -0,0 +1,53 @@
+const AzureOpenAIProvider = require("./azureOpenAIProvider");
+const OpenAICompatibleProvider = require("./openAICompatibleProvider");
+const MockProvider = require("./mockProvider");
+const ResilientProvider = require("./resilientProvider");
+const { AIServiceError } = require("./errors");
+
+const PROVIDERS = ["azure-openai", "openai-compatible", "mock"];
+
+// Create the provider selected by config.aiProvider. Remote providers are
+// wrapped with retries, circuit breakers and (for Azure) fallback deployments.
+const createProvider = (config) => {
+  const resilience = {
+    retry: config.aiRetry,
+    circuitBreaker: config.aiCircuitBreaker,
+  };
+
+  switch (config.aiProvider) {
+    case "azure-openai": {
+      const { fallbacks = [], ...primary } = config.azureOpenAI;
+      const deployments = [
+        primary,
+        ...fallbacks.map((fallback) => ({ ...primary, ...fallback })),
+      ];
+      return new ResilientProvider(
+        deployments.map((deployment) => new AzureOpenAIProvider(deployment)),
+        resilience
+      );
+    }
+    case "openai-compatible":
+      return new ResilientProvider(
+        [new OpenAICompatibleProvider(config.openAICompatible)],
+        resilience
+      );
+    case "mock":
+      return new MockProvider(config.mockAI);
+    default:
+      throw new Error(
+        `Unknown AI provider "${config.aiProvider}". Expected one of: ${PROVIDERS.join(
+          ", "
+        )}`
+      );
+  }
+};
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  ResilientProvider,
+  AIServiceError,
+};
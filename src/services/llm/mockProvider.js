@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// Deterministic provider for local development and tests. Responses come from
+// JSON fixtures of the form { "match": ["keyword"], "response": ... }: the
+// first fixture (by file name) whose keywords all appear in the last user
+// message wins, otherwise default.json is used. Object responses are
+// returned as JSON text.
+class MockProvider {
+  constructor({ fixturesDir } = {}) {
+    this.name = "mock";
+    this.model = "mock";
+    this.fixturesDir = fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.fixtures = [];
+    this.defaultFixture = null;
+    this.initialize();
+  }
+
+  initialize() {
+    try {
+      const files = fs
+        .readdirSync(this.fixturesDir)
+        .filter((file) => file.endsWith(".json"))
+        .sort();
+
+      files.forEach((file) => {
+        const fixture = JSON.parse(
+          fs.readFileSync(path.join(this.fixturesDir, file), "utf8")
+        );
+        fixture.name = path.basename(file, ".json");
+
+        if (fixture.name === "default") {
+          this.defaultFixture = fixture;
+        } else {
+          this.fixtures.push(fixture);
+        }
+      });
+    } catch (error) {
+      console.error("❌ Failed to load mock AI fixtures:", error.message);
+    }
+  }
+
+  isConfigured() {
+    return !!this.defaultFixture || this.fixtures.length > 0;
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model,
+      endpoint: this.fixturesDir,
+    };
+  }
+
+  findFixture(messages) {
+    const userMessage = [...messages]
+      .reverse()
+      .find((message) => message.role === "user");
+    const content = userMessage ? userMessage.content.toLowerCase() : "";
+
+    return (
+      this.fixtures.find(
+        (fixture) =>
+          Array.isArray(fixture.match) &&
+          fixture.match.length > 0 &&
+          fixture.match.every((keyword) =>
+            content.includes(keyword.toLowerCase())
+          )
+      ) || this.defaultFixture
+    );
+  }
+
+  getResponseText(messages) {
+    const fixture = this.findFixture(messages);
+    if (!fixture) {
+      throw new Error("No mock fixture matches the request");
+    }
+
+    return typeof fixture.response === "string"
+      ? fixture.response
+      : JSON.stringify(fixture.response, null, 2);
+  }
+
+  // Rough token estimate so usage accounting has stable numbers
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  getUsage(messages, text) {
+    const promptTokens = this.estimateTokens(
+      messages.map((message) => message.content).join("\n")
+    );
+    const completionTokens = this.estimateTokens(text);
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+    };
+  }
+
+  async complete({ messages, signal }) {
+    if (signal && signal.aborted) {
+      throw new Error("Request was aborted");
+    }
+
+    const text = this.getResponseText(messages);
+
+    return {
+      text,
+      usage: this.getUsage(messages, text),
+      model: this.model,
+    };
+  }
+
+  async *stream({ messages, signal }) {
+    const text = this.getResponseText(messages);
+
+    for (let i = 0; i < text.length; i += 20) {
+      if (signal && signal.aborted) {
+        throw new Error("Request was aborted");
+      }
+      yield { text: text.slice(i, i + 20) };
+    }
+
+    yield { usage: this.getUsage(messages, text) };
+  }
+}
+
+module.exports = MockProvider;
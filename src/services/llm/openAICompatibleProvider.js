@@ -0,0 +1,133 @@
+const { OpenAI } = require("openai");
+
+// Chat completion provider for any OpenAI-compatible endpoint: OpenAI itself
+// or local servers such as Ollama (http://localhost:11434/v1) and llama.cpp.
+//
+// Every provider implements the same interface:
+//   name                         provider identifier, stored as generatedBy
+//   isConfigured()               whether requests can be made
+//   describe()                   { provider, model, endpoint } for status output
+//   complete(request)            resolves { text, usage, model }
+//   stream(request)              async iterable of { text } chunks, optionally
+//                                ending with a { usage } chunk
+// where request is { messages, maxTokens, temperature, topP, responseFormat,
+// signal } and responseFormat uses the OpenAI response_format shape.
+class OpenAICompatibleProvider {
+  constructor(options) {
+    this.name = "openai-compatible";
+    this.client = null;
+    this.model = options.model;
+    this.endpoint = options.baseURL;
+    // Whether the endpoint accepts stream_options.include_usage
+    this.supportsStreamUsage = true;
+    this.initialize(options);
+  }
+
+  initialize({ baseURL, apiKey }) {
+    if (!baseURL || !this.model) {
+      console.warn(
+        "⚠️ OpenAI-compatible endpoint not configured. Recipe generation will not work."
+      );
+      return;
+    }
+
+    this.client = new OpenAI({
+      baseURL,
+      // Local servers ignore the key, but the SDK requires one
+      apiKey: apiKey || "not-needed",
+      // Retries are handled by ResilientProvider
+      maxRetries: 0,
+    });
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model,
+      endpoint: this.endpoint,
+    };
+  }
+
+  buildParams({
+    messages,
+    maxTokens = 2000,
+    temperature = 0.7,
+    topP = 1,
+    responseFormat,
+  }) {
+    return {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP,
+      frequency_penalty: 0,
+      presence_penalty: 0,
+      ...(responseFormat && { response_format: responseFormat }),
+    };
+  }
+
+  async complete(request) {
+    if (!this.client) {
+      throw new Error(`${this.name} provider not configured`);
+    }
+
+    const response = await this.client.chat.completions.create(
+      this.buildParams(request),
+      { signal: request.signal }
+    );
+
+    if (!response.choices || response.choices.length === 0) {
+      throw new Error(`No response received from ${this.name}`);
+    }
+
+    return {
+      text: response.choices[0].message.content,
+      usage: this.mapUsage(response.usage),
+      model: response.model || this.model,
+    };
+  }
+
+  async *stream(request) {
+    if (!this.client) {
+      throw new Error(`${this.name} provider not configured`);
+    }
+
+    const stream = await this.client.chat.completions.create(
+      {
+        ...this.buildParams(request),
+        stream: true,
+        ...(this.supportsStreamUsage && {
+          stream_options: { include_usage: true },
+        }),
+      },
+      { signal: request.signal }
+    );
+
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        yield { text };
+      }
+      if (chunk.usage) {
+        yield { usage: this.mapUsage(chunk.usage) };
+      }
+    }
+  }
+
+  mapUsage(usage) {
+    if (!usage) return null;
+
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens,
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
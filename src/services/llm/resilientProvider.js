@@ -0,0 +1,234 @@
+const CircuitBreaker = require("./circuitBreaker");
+const { AIServiceError } = require("./errors");
+
+const RETRYABLE_STATUS = [408, 409, 429];
+// Errors that another deployment may not have (missing deployment, bad key)
+const FAILOVER_STATUS = [401, 403, 404];
+const NETWORK_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND"];
+
+const getStatus = (error) => error.status || error.statusCode;
+
+const isAbortError = (error, signal) =>
+  (signal && signal.aborted) ||
+  error.name === "AbortError" ||
+  error.name === "APIUserAbortError";
+
+const isRetryable = (error) => {
+  const status = getStatus(error);
+  if (status) {
+    return RETRYABLE_STATUS.includes(status) || status >= 500;
+  }
+  return (
+    /Connection|Timeout/.test(error.name) ||
+    NETWORK_ERROR_CODES.includes(error.code)
+  );
+};
+
+// Read Retry-After (seconds or HTTP date) or retry-after-ms from an API error
+const getRetryAfterMs = (error) => {
+  const headers = error.headers;
+  if (!headers) return null;
+
+  const getHeader = (name) =>
+    typeof headers.get === "function" ? headers.get(name) : headers[name];
+
+  const milliseconds = parseFloat(getHeader("retry-after-ms"));
+  if (!isNaN(milliseconds)) return milliseconds;
+
+  const value = getHeader("retry-after");
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(signal.reason || new Error("Request was aborted"));
+        },
+        { once: true }
+      );
+    }
+  });
+
+// Wraps an ordered list of providers (primary first, then fallbacks) with
+// retries using exponential backoff and full jitter, a circuit breaker per
+// provider and failover to the next provider. Implements the provider
+// interface itself, so callers don't know it is there.
+class ResilientProvider {
+  constructor(providers, { retry = {}, circuitBreaker = {} } = {}) {
+    this.name = providers[0].name;
+    this.model = providers[0].model;
+    this.retry = {
+      maxRetries: retry.maxRetries ?? 2,
+      baseDelayMs: retry.baseDelayMs ?? 500,
+      maxDelayMs: retry.maxDelayMs ?? 8000,
+    };
+    this.targets = providers.map((provider, index) => ({
+      label: index === 0 ? "primary" : `fallback-${index}`,
+      provider,
+      breaker: new CircuitBreaker(circuitBreaker),
+      stats: {
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        errorsByStatus: {},
+        lastErrorAt: null,
+      },
+    }));
+  }
+
+  isConfigured() {
+    return this.targets.some((target) => target.provider.isConfigured());
+  }
+
+  describe() {
+    return {
+      ...this.targets[0].provider.describe(),
+      deployments: this.targets.map((target) => ({
+        label: target.label,
+        model: target.provider.model,
+        configured: target.provider.isConfigured(),
+        circuit: target.breaker.getState(),
+        stats: target.stats,
+      })),
+    };
+  }
+
+  async complete(request) {
+    return this.execute(request, (provider) => provider.complete(request));
+  }
+
+  async *stream(request) {
+    // Failover is only possible until the first chunk has arrived
+    let iterator;
+    const first = await this.execute(request, (provider) => {
+      iterator = provider.stream(request)[Symbol.asyncIterator]();
+      return iterator.next();
+    });
+
+    if (first.done) return;
+    yield first.value;
+
+    while (true) {
+      const { value, done } = await iterator.next();
+      if (done) return;
+      yield value;
+    }
+  }
+
+  // Run an operation against the first healthy target, retrying transient
+  // errors and failing over to the next target when retries run out
+  async execute(request, operation) {
+    const { signal } = request;
+    let lastError = null;
+    let attemptedTargets = 0;
+
+    for (const target of this.targets) {
+      if (!target.provider.isConfigured() || !target.breaker.canRequest()) {
+        continue;
+      }
+      attemptedTargets++;
+
+      for (let attempt = 0; ; attempt++) {
+        target.stats.requests++;
+
+        try {
+          const result = await operation(target.provider);
+          target.stats.successes++;
+          target.breaker.recordSuccess();
+          return result;
+        } catch (error) {
+          if (isAbortError(error, signal)) {
+            target.breaker.releaseTrial();
+            throw error;
+          }
+
+          lastError = error;
+          this.recordError(target, error);
+
+          const retryable = isRetryable(error);
+          if (!retryable && !FAILOVER_STATUS.includes(getStatus(error))) {
+            // Not a provider health problem (e.g. a 400), don't fail over
+            target.breaker.releaseTrial();
+            throw error;
+          }
+
+          const delay = this.getRetryDelay(error, attempt);
+          if (!retryable || attempt >= this.retry.maxRetries || delay === null) {
+            target.stats.failures++;
+            target.breaker.recordFailure();
+            console.warn(
+              `⚠️ AI ${target.label} (${target.provider.model}) failed: ${error.message}`
+            );
+            break;
+          }
+
+          console.warn(
+            `🔁 AI ${target.label} error (${getStatus(error) || error.name}), retrying in ${Math.round(delay)}ms`
+          );
+          await sleep(delay, signal);
+        }
+      }
+    }
+
+    if (attemptedTargets === 0) {
+      const configured = this.targets.filter((target) =>
+        target.provider.isConfigured()
+      );
+      if (configured.length === 0) {
+        throw new AIServiceError(
+          `AI provider "${this.name}" has no configured deployments`,
+          { provider: this.name }
+        );
+      }
+
+      // Every configured deployment's circuit is open
+      const retryAfterMs = Math.min(
+        ...configured.map((target) => target.breaker.getRetryAfterMs())
+      );
+      throw new AIServiceError(
+        "AI service is temporarily unavailable: all deployments are failing",
+        {
+          provider: this.name,
+          retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+        }
+      );
+    }
+
+    throw lastError;
+  }
+
+  // Exponential backoff with full jitter, honoring Retry-After. Returns null
+  // when the server asks us to wait longer than maxDelayMs, so we fail over.
+  getRetryDelay(error, attempt) {
+    const retryAfterMs = getRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= this.retry.maxDelayMs ? retryAfterMs : null;
+    }
+
+    const cap = Math.min(
+      this.retry.maxDelayMs,
+      this.retry.baseDelayMs * 2 ** attempt
+    );
+    return Math.random() * cap;
+  }
+
+  recordError(target, error) {
+    const key = String(getStatus(error) || error.code || error.name);
+    target.stats.errorsByStatus[key] =
+      (target.stats.errorsByStatus[key] || 0) + 1;
+    target.stats.lastErrorAt = new Date().toISOString();
+  }
+}
+
+module.exports = ResilientProvider;
@@ -0,0 +1,92 @@
+const path = require("path");
+const config = require("../config/config");
+const {
+  createConsoleTransport,
+  createFileTransport,
+} = require("./mailTransports");
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.from = config.mail.from;
+    this.initialize();
+  }
+
+  initialize() {
+    switch (config.mail.transport) {
+      case "file":
+        this.transport = createFileTransport({
+          directory: path.resolve(config.mail.fileDirectory),
+        });
+        break;
+      case "console":
+        this.transport = createConsoleTransport();
+        break;
+      default:
+        console.warn(
+          `⚠️ Unknown mail transport "${config.mail.transport}", falling back to console`
+        );
+        this.transport = createConsoleTransport();
+    }
+  }
+
+  // Replace the transport, e.g. with an SMTP or provider API implementation
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== "function") {
+      throw new Error("Mail transport must implement send(message)");
+    }
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    return this.transport.send({
+      from: this.from,
+      to,
+      subject,
+      text,
+      html: html || escapeHtml(text).replace(/\n/g, "<br>"),
+    });
+  }
+
+  async sendEmailVerification(user, token) {
+    const link = `${config.frontendUrl}/verify-email?token=${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: "Verify your Cookly email address",
+      text: `Hi ${user.name},
+
+Please confirm your email address by opening the link below:
+${link}
+
+This link expires in ${config.emailVerificationExpireHours} hours.`,
+    });
+  }
+
+  async sendPasswordReset(user, token) {
+    const link = `${config.frontendUrl}/reset-password?token=${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: "Reset your Cookly password",
+      text: `Hi ${user.name},
+
+We received a request to reset your password. Open the link below to choose a new one:
+${link}
+
+This link expires in ${config.passwordResetExpireMinutes} minutes. If you didn't request a reset, you can ignore this email.`,
+    });
+  }
+}
+
+// Create singleton instance
+const mailService = new MailService();
+
+module.exports = mailService;
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+
+// Mail transports share one interface: an object with an async
+// send(message) method, where message is { from, to, subject, text, html }.
+
+// Prints emails to the console (local development)
+const createConsoleTransport = () => ({
+  name: "console",
+  async send(message) {
+    console.log("📧 Outgoing email:");
+    console.log(`   From: ${message.from}`);
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { accepted: [message.to] };
+  },
+});
+
+// Writes each email as a JSON file (local development and tests)
+const createFileTransport = ({ directory }) => ({
+  name: "file",
+  async send(message) {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(
+      /[^a-z0-9@._-]/gi,
+      "_"
+    )}.json`;
+    const filePath = path.join(directory, fileName);
+
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { accepted: [message.to], filePath };
+  },
+});
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+};
@@ -0,0 +1,243 @@
+const Recipe = require("../models/Recipe");
+const MealPlan = require("../models/MealPlan");
+const aiService = require("./aiService");
+const ingredientCatalog = require("./ingredientCatalog");
+const { DIETARY_RESTRICTION_FLAGS } = require("../data/allergens");
+
+// Share of the daily calorie target each slot aims for
+const SLOT_CALORIE_SHARE = {
+  breakfast: 0.25,
+  lunch: 0.35,
+  dinner: 0.4,
+  snack: 0.1,
+};
+
+// Preference for recipes the user saved or created over other public ones
+const SOURCE_BONUS = { saved: 2, own: 1.5, public: 0 };
+
+// Cuisines suggested to the AI for dinners, skipping the previous night's
+const CUISINE_ROTATION = [
+  "Italian",
+  "Mexican",
+  "Indian",
+  "Chinese",
+  "Mediterranean",
+  "Thai",
+  "American",
+  "Japanese",
+];
+
+// Ingredients AI recipes are built around when the user has no pantry items
+// or favorite ingredients
+const DEFAULT_SLOT_INGREDIENTS = {
+  breakfast: ["eggs", "oats", "banana"],
+  lunch: ["chicken", "lettuce", "tomato"],
+  dinner: ["chicken", "rice", "broccoli"],
+  snack: ["yogurt", "almonds", "apple"],
+};
+
+// Most recipes considered when filling a plan
+const CANDIDATE_LIMIT = 300;
+
+// Fills meal plans from the recipe store, falling back to AI generation for
+// slots no stored recipe fits
+class MealPlanService {
+  // Calories in one serving; nutritionalInfo holds whole-recipe values
+  caloriesPerServing(recipe) {
+    const calories = recipe.nutritionalInfo && recipe.nutritionalInfo.calories;
+    if (!calories || !recipe.servings) return null;
+    return calories / recipe.servings;
+  }
+
+  // Calorie budget of one serving in a slot, or null without a target
+  getSlotBudget(slot, dailyCalorieTarget) {
+    return dailyCalorieTarget
+      ? Math.round(dailyCalorieTarget * SLOT_CALORIE_SHARE[slot])
+      : null;
+  }
+
+  // Recipes the user may plan with (public or their own) that fit the slots,
+  // dietary restrictions, excluded ingredients and allergies, tagged with
+  // their source
+  async findCandidates(user, settings) {
+    const filter = {
+      $or: [{ isPublic: true }, { createdBy: user._id }],
+      mealType: { $in: settings.slots },
+    };
+
+    settings.dietaryRestrictions.forEach((restriction) => {
+      const flag = DIETARY_RESTRICTION_FLAGS[restriction];
+      if (flag) filter[`dietaryInfo.${flag}`] = true;
+    });
+
+    const excludedIds = ingredientCatalog.toIngredientIds(
+      settings.excludedIngredients
+    );
+    if (excludedIds.length > 0) {
+      filter.ingredientIds = { $nin: excludedIds };
+    }
+
+    const allergies = user.preferences.allergies || [];
+    if (allergies.length > 0) {
+      filter.allergens = { $nin: allergies };
+    }
+
+    const recipes = await Recipe.find(filter)
+      .select(
+        "title cuisine mealType servings nutritionalInfo averageRating createdBy"
+      )
+      .sort({ averageRating: -1, createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+
+    const savedIds = new Set(user.savedRecipes.map((id) => id.toString()));
+    return recipes.map((recipe) => ({
+      recipe,
+      source: savedIds.has(recipe._id.toString())
+        ? "saved"
+        : recipe.createdBy.toString() === user._id.toString()
+        ? "own"
+        : "public",
+    }));
+  }
+
+  // Best unused candidate for a slot, or null. Candidates well over the
+  // slot's calorie budget or repeating the cuisine to avoid are skipped.
+  pickCandidate(candidates, { slot, used, avoidCuisine, budget }) {
+    let best = null;
+
+    candidates.forEach((candidate) => {
+      const { recipe } = candidate;
+      if (used.has(recipe._id.toString())) return;
+      if (!recipe.mealType.includes(slot)) return;
+      if (
+        avoidCuisine &&
+        Recipe.toCuisineKey(recipe.cuisine) === avoidCuisine
+      ) {
+        return;
+      }
+
+      let score =
+        SOURCE_BONUS[candidate.source] + (recipe.averageRating || 0) / 5;
+
+      const calories = this.caloriesPerServing(recipe);
+      if (budget && calories) {
+        if (calories > budget * 1.5) return;
+        score -= Math.min(Math.abs(calories - budget) / budget, 1) * 2;
+      }
+
+      if (!best || score > best.score) best = { candidate, score };
+    });
+
+    return best && best.candidate;
+  }
+
+  // Generate a recipe for an empty slot with the user's preferences
+  async generateForSlot(user, settings, { slot, dayIndex, avoidCuisine }) {
+    const excludedIds = new Set(
+      ingredientCatalog.toIngredientIds(settings.excludedIngredients)
+    );
+
+    // Rotate through pantry items and favorites so gaps get different dishes
+    const available = [
+      ...user.getUsablePantryItems().map((item) => item.name),
+      ...(user.preferences.favoriteIngredients || []),
+    ].filter(
+      (name) => !excludedIds.has(ingredientCatalog.toIngredientId(name))
+    );
+    const ingredients =
+      available.length > 0
+        ? [0, 1, 2]
+            .map(
+              (offset) => available[(dayIndex * 3 + offset) % available.length]
+            )
+            .filter((name, index, names) => names.indexOf(name) === index)
+        : DEFAULT_SLOT_INGREDIENTS[slot];
+
+    let cuisine = "";
+    if (slot === "dinner") {
+      const rotation = CUISINE_ROTATION.filter(
+        (name) => Recipe.toCuisineKey(name) !== avoidCuisine
+      );
+      cuisine = rotation[dayIndex % rotation.length];
+    }
+
+    const budget = this.getSlotBudget(slot, settings.dailyCalorieTarget);
+
+    return aiService.generateRecipe(ingredients, {
+      servings: settings.servings,
+      dietaryRestrictions: settings.dietaryRestrictions,
+      cuisine,
+      mealType: slot,
+      excludeIngredients: settings.excludedIngredients,
+      calorieTarget: budget,
+      allergies: [...(user.preferences.allergies || [])],
+    });
+  }
+
+  // Fill every day and slot of a plan, in order. fillGap({ slot, dayIndex,
+  // avoidCuisine }) is called for slots no stored recipe fits and resolves to
+  // a saved recipe or null. Returns { days, gaps }.
+  async buildPlan(user, settings, { fillGap }) {
+    const candidates = await this.findCandidates(user, settings);
+    const slots = MealPlan.MEAL_SLOTS.filter((slot) =>
+      settings.slots.includes(slot)
+    );
+
+    const used = new Set();
+    const days = [];
+    const gaps = [];
+    let previousDinnerCuisine = null;
+
+    for (let dayIndex = 0; dayIndex < settings.days; dayIndex++) {
+      const meals = [];
+
+      for (const slot of slots) {
+        // No cuisine two nights in a row
+        const avoidCuisine = slot === "dinner" ? previousDinnerCuisine : null;
+        const budget = this.getSlotBudget(slot, settings.dailyCalorieTarget);
+
+        let recipe = null;
+        let source = null;
+        const candidate = this.pickCandidate(candidates, {
+          slot,
+          used,
+          avoidCuisine,
+          budget,
+        });
+
+        if (candidate) {
+          ({ recipe, source } = candidate);
+        } else {
+          recipe = await fillGap({ slot, dayIndex, avoidCuisine });
+          source = "ai";
+        }
+
+        if (!recipe) {
+          gaps.push({ day: dayIndex, slot });
+          if (slot === "dinner") previousDinnerCuisine = null;
+          continue;
+        }
+
+        used.add(recipe._id.toString());
+        meals.push({
+          slot,
+          recipe: recipe._id,
+          servings: settings.servings,
+          source,
+        });
+        if (slot === "dinner") {
+          previousDinnerCuisine = Recipe.toCuisineKey(recipe.cuisine) || null;
+        }
+      }
+
+      days.push({ meals });
+    }
+
+    return { days, gaps };
+  }
+}
+
+const mealPlanService = new MealPlanService();
+
+module.exports = mealPlanService;
@@ -0,0 +1,124 @@
+const { NUTRIENTS, FOODS } = require("../data/nutrients");
+const ingredientCatalog = require("./ingredientCatalog");
+const { CUP_ML, UNITS, resolveUnit } = require("../utils/units");
+const { parseQuantity } = require("../utils/quantity");
+const {
+  findDensity,
+  canonicalizeIngredientUnit,
+} = require("../utils/unitConversion");
+const { NON_SCALABLE_PATTERN } = require("../utils/servingsScaler");
+const { normalizeIngredient } = require("../utils/ingredientNormalizer");
+
+// Words in amounts that mean whole pieces ("2 large", "1 whole")
+const PIECE_WORDS = new Set(["piece", "whole", "small", "medium", "large"]);
+
+// Share of an ingredient list the table must cover for each confidence
+const CONFIDENCE_LEVELS = [
+  ["high", 0.9],
+  ["medium", 0.6],
+  ["low", 0],
+];
+
+// Computes recipe nutrition from ingredient amounts and the bundled nutrient
+// table (src/data/nutrients.js)
+class NutritionCalculator {
+  constructor() {
+    this.foods = new Map(FOODS.map((food) => [food.ingredientId, food]));
+  }
+
+  // Grams of an ingredient, or null when its amount can't be weighed
+  // (unknown unit or a piece without a known weight)
+  getGrams(ingredient, food) {
+    // Recipes saved before units were canonicalized may hold "2 cups"
+    const { amount, unit } = canonicalizeIngredientUnit(ingredient);
+    const quantity = parseQuantity(amount);
+    const value =
+      quantity.max !== undefined
+        ? (quantity.min + quantity.max) / 2
+        : quantity.min;
+    const unitKey = resolveUnit(unit);
+
+    if (unitKey && UNITS[unitKey].dimension === "weight") {
+      return value * UNITS[unitKey].base;
+    }
+    if (unitKey) {
+      // Water weighs 1 g per ml
+      const gramsPerCup =
+        food.weights.cup || findDensity(ingredient.name) || CUP_ML;
+      return ((value * UNITS[unitKey].base) / CUP_ML) * gramsPerCup;
+    }
+
+    // "2 cloves", "1 can" or "3 large" (pieces)
+    const word = normalizeIngredient(
+      unit || String(quantity.suffix || "").split(/\s+/)[0]
+    );
+    if (word && food.weights[word]) return value * food.weights[word];
+    if (!unit || PIECE_WORDS.has(word)) {
+      return food.weights.each ? value * food.weights.each : null;
+    }
+    return null;
+  }
+
+  // Nutrition of a whole recipe from its ingredient amounts. Amounts like
+  // "to taste" are skipped; ingredients missing from the table or with
+  // amounts that can't be weighed are listed in `unmatched`. Confidence
+  // depends on the share of the remaining ingredients that were counted.
+  // Returns { values, confidence, coverage, unmatched }.
+  computeRecipe(recipe) {
+    const totals = Object.fromEntries(
+      NUTRIENTS.map((nutrient) => [nutrient, 0])
+    );
+    const unmatched = [];
+    let matched = 0;
+
+    (recipe.ingredients || []).forEach((ingredient) => {
+      const { amount, unit } = ingredient;
+      if (
+        !parseQuantity(amount) ||
+        NON_SCALABLE_PATTERN.test(`${amount} ${unit || ""}`)
+      ) {
+        return;
+      }
+
+      const food = this.foods.get(
+        ingredient.ingredientId ||
+          ingredientCatalog.toIngredientId(ingredient.name)
+      );
+      const grams = food ? this.getGrams(ingredient, food) : null;
+      if (grams === null) {
+        unmatched.push(ingredient.name);
+        return;
+      }
+
+      matched++;
+      NUTRIENTS.forEach((nutrient) => {
+        totals[nutrient] += (food.per100g[nutrient] * grams) / 100;
+      });
+    });
+
+    const counted = matched + unmatched.length;
+    const coverage = counted > 0 ? matched / counted : 0;
+    const [level] = CONFIDENCE_LEVELS.find(
+      ([, minimum]) => coverage >= minimum
+    );
+
+    return {
+      values: Object.fromEntries(
+        NUTRIENTS.map((nutrient) => [
+          nutrient,
+          // Calories and sodium (mg) as whole numbers, grams to 0.1
+          nutrient === "calories" || nutrient === "sodium"
+            ? Math.round(totals[nutrient])
+            : Math.round(totals[nutrient] * 10) / 10,
+        ])
+      ),
+      confidence: counted > 0 ? level : "low",
+      coverage: Math.round(coverage * 100) / 100,
+      unmatched,
+    };
+  }
+}
+
+const nutritionCalculator = new NutritionCalculator();
+
+module.exports = nutritionCalculator;
@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const Recipe = require("../models/Recipe");
+const RecipeCache = require("../models/RecipeCache");
+const ingredientCatalog = require("./ingredientCatalog");
+
+class RecipeCacheService {
+  constructor() {
+    this.resetStats();
+  }
+
+  // Hit/miss counters since startup, reported on /health
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, bypassed: 0, stored: 0, errors: 0 };
+  }
+
+  // Hash of the exact generation options (including the user's allergies)
+  // plus the canonical ingredient ids. Expects options with defaults already
+  // applied.
+  buildKey(ingredients, options) {
+    const params = {
+      servings: options.servings,
+      dietaryRestrictions: [
+        ...new Set(
+          options.dietaryRestrictions.map((restriction) =>
+            String(restriction).trim().toLowerCase()
+          )
+        ),
+      ].sort(),
+      cuisine: options.cuisine.trim().toLowerCase(),
+      mealType: options.mealType,
+      difficulty: options.difficulty,
+      maxCookingTime: options.maxCookingTime || null,
+    };
+    // Only set with allergies so keys of earlier entries still match
+    if (options.allergies && options.allergies.length > 0) {
+      params.allergies = [...new Set(options.allergies)].sort();
+    }
+
+    return {
+      paramsKey: crypto
+        .createHash("sha256")
+        .update(JSON.stringify(params))
+        .digest("hex"),
+      ingredients: ingredientCatalog.toIngredientIds(ingredients),
+    };
+  }
+
+  // Find a close enough cached recipe. Returns { entry, recipe, similarity }
+  // or null; lookup errors are treated as a miss.
+  async lookup(ingredients, options) {
+    if (!config.recipeCache.enabled) return null;
+
+    try {
+      const key = this.buildKey(ingredients, options);
+      const candidates = await RecipeCache.findCandidates(
+        key.paramsKey,
+        key.ingredients,
+        config.recipeCache.similarityThreshold
+      );
+
+      for (const { entry, similarity } of candidates) {
+        const recipe = await this.resolveEntry(entry);
+        if (recipe) {
+          this.stats.hits++;
+          entry.recordHit().catch(() => {});
+          console.log(
+            `⚡ Recipe cache hit (similarity ${similarity.toFixed(2)})`
+          );
+          return { entry, recipe, similarity };
+        }
+      }
+
+      this.stats.misses++;
+      return null;
+    } catch (error) {
+      this.stats.errors++;
+      console.error("❌ Recipe cache lookup failed:", error.message);
+      return null;
+    }
+  }
+
+  // The recipe behind an entry. Entries whose recipe was deleted or made
+  // private are dropped.
+  async resolveEntry(entry) {
+    if (entry.recipe) {
+      const recipe = await Recipe.findOne({
+        _id: entry.recipe,
+        isPublic: true,
+      }).populate("createdBy", "name email");
+
+      if (!recipe) await entry.deleteOne();
+      return recipe;
+    }
+
+    return entry.generatedRecipe || null;
+  }
+
+  // Count a request that skipped the cache (forceNew)
+  recordBypass() {
+    if (config.recipeCache.enabled) this.stats.bypassed++;
+  }
+
+  // Cache a new generation: the saved recipe when it is public, otherwise the
+  // generated recipe itself. Never throws.
+  async store(ingredients, options, { recipe, generatedRecipe }) {
+    if (!config.recipeCache.enabled) return;
+
+    try {
+      const key = this.buildKey(ingredients, options);
+      // Token usage belongs to the original request
+      const { generationUsage, ...cachedRecipe } = generatedRecipe;
+
+      await RecipeCache.store(key.paramsKey, key.ingredients, {
+        recipe: recipe && recipe.isPublic ? recipe._id : undefined,
+        generatedRecipe: cachedRecipe,
+        ttlHours: config.recipeCache.ttlHours,
+      });
+      this.stats.stored++;
+    } catch (error) {
+      this.stats.errors++;
+      console.error("❌ Failed to cache generated recipe:", error.message);
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: config.recipeCache.enabled,
+      similarityThreshold: config.recipeCache.similarityThreshold,
+      ...this.stats,
+      hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : null,
+    };
+  }
+}
+
+// Create singleton instance
+const recipeCacheService = new RecipeCacheService();
+
+module.exports = recipeCacheService;
@@ -0,0 +1,364 @@
+const Recipe = require("../models/Recipe");
+const ingredientCatalog = require("./ingredientCatalog");
+const config = require("../config/config");
+const {
+  tokenize,
+  stem,
+  editDistance,
+  highlight,
+} = require("../utils/textSearch");
+
+// Name of the weighted text index declared on the Recipe schema
+const TEXT_INDEX_NAME = "recipe_text_search";
+
+const DIETARY_FLAGS = Object.keys(Recipe.schema.tree.dietaryInfo);
+
+// Total cooking time buckets in minutes, from min (exclusive) to max
+// (inclusive)
+const TIME_BUCKETS = [
+  { value: "under-15", label: "15 min or less", max: 15 },
+  { value: "15-30", label: "16-30 min", min: 15, max: 30 },
+  { value: "30-60", label: "31-60 min", min: 30, max: 60 },
+  { value: "over-60", label: "Over 60 min", min: 60 },
+];
+
+const SORTS = {
+  relevance: { score: -1, ratingScore: -1 },
+  rating: { ratingScore: -1, totalRatings: -1 },
+  newest: { createdAt: -1 },
+  quickest: { "cookingTime.total": 1 },
+};
+
+// Shorter query words are never corrected
+const MIN_CORRECTION_LENGTH = 4;
+
+// Fields returned for each result
+const RESULT_PROJECTION = Object.fromEntries(
+  [
+    "title",
+    "description",
+    "ingredients.name",
+    "cuisine",
+    "difficulty",
+    "mealType",
+    "servings",
+    "cookingTime",
+    "dietaryInfo",
+    "allergens",
+    "nutritionalInfo",
+    "tags",
+    "averageRating",
+    "totalRatings",
+    "ratingScore",
+    "createdBy",
+    "createdAt",
+    "score",
+  ].map((field) => [field, 1])
+);
+
+// Facet entries as { value, count }, most common first
+const toFacet = (groups) =>
+  groups
+    .map(({ _id, value, count }) => ({ value: value || _id, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+// Full-text recipe search on MongoDB with typo correction, facet counts and
+// highlighted matches
+class RecipeSearchService {
+  constructor() {
+    this.sortOptions = Object.keys(SORTS);
+    this.timeBuckets = TIME_BUCKETS.map((bucket) => bucket.value);
+    this.dietaryFlags = DIETARY_FLAGS;
+    this.vocabulary = null;
+    this.vocabularyLoadedAt = 0;
+  }
+
+  // Replace a text index built with other weights, such as the unweighted
+  // index of earlier versions. A collection can only hold one text index.
+  async initialize() {
+    try {
+      const indexes = await Recipe.collection.indexes();
+      const outdated = indexes.find(
+        (index) => index.key._fts === "text" && index.name !== TEXT_INDEX_NAME
+      );
+      if (!outdated) return;
+
+      await Recipe.collection.dropIndex(outdated.name);
+      await Recipe.createIndexes();
+      console.log("🔎 Rebuilt recipe text search index");
+    } catch (error) {
+      console.error("❌ Failed to update recipe search index:", error.message);
+    }
+  }
+
+  // Known words with how often they occur, from the ingredient catalog and
+  // public recipe titles, ingredients and tags. Reloaded after
+  // config.searchVocabularyTtlMinutes.
+  async getVocabulary() {
+    const ttl = config.searchVocabularyTtlMinutes * 60 * 1000;
+    if (this.vocabulary && Date.now() - this.vocabularyLoadedAt < ttl) {
+      return this.vocabulary;
+    }
+
+    const words = new Map();
+    const add = (text) =>
+      tokenize(text).forEach((word) =>
+        words.set(word, (words.get(word) || 0) + 1)
+      );
+
+    ingredientCatalog.entries.forEach((entry) =>
+      [entry.name, ...entry.aliases].forEach(add)
+    );
+    try {
+      const fields = await Promise.all(
+        ["title", "ingredients.name", "tags"].map((field) =>
+          Recipe.distinct(field, { isPublic: true })
+        )
+      );
+      fields.flat().forEach(add);
+    } catch (error) {
+      console.error("❌ Failed to load search vocabulary:", error.message);
+    }
+
+    this.vocabulary = {
+      words,
+      stems: new Set([...words.keys()].map(stem)),
+    };
+    this.vocabularyLoadedAt = Date.now();
+    return this.vocabulary;
+  }
+
+  // Query words with typos replaced by the closest known word: one edit
+  // away for short words, two for words of 7 letters or more. Ties go to
+  // the more common word.
+  async correctTerms(terms) {
+    const { words, stems } = await this.getVocabulary();
+
+    return terms.map((term) => {
+      if (
+        term.length < MIN_CORRECTION_LENGTH ||
+        /\d/.test(term) ||
+        stems.has(stem(term))
+      ) {
+        return term;
+      }
+
+      const maxEdits = term.length >= 7 ? 2 : 1;
+      let best = null;
+      words.forEach((count, word) => {
+        const distance = editDistance(term, word, maxEdits);
+        if (distance > maxEdits) return;
+        if (
+          !best ||
+          distance < best.distance ||
+          (distance === best.distance && count > best.count)
+        ) {
+          best = { word, distance, count };
+        }
+      });
+      return best ? best.word : term;
+    });
+  }
+
+  // Match conditions per facet dimension (cuisine, difficulty, mealType,
+  // time, dietary) for the selected values; lists are alternatives
+  buildConditions({ cuisine, difficulty, mealType, time, dietary }) {
+    const conditions = {};
+
+    if (cuisine && cuisine.length > 0) {
+      // Exact, case-insensitive match on the stored key
+      conditions.cuisine = {
+        cuisineKey: { $in: cuisine.map((name) => Recipe.toCuisineKey(name)) },
+      };
+    }
+    if (difficulty && difficulty.length > 0) {
+      conditions.difficulty = { difficulty: { $in: difficulty } };
+    }
+    if (mealType && mealType.length > 0) {
+      conditions.mealType = { mealType: { $in: mealType } };
+    }
+    if (time && time.length > 0) {
+      conditions.time = {
+        $or: TIME_BUCKETS.filter((bucket) => time.includes(bucket.value)).map(
+          ({ min, max }) => ({
+            "cookingTime.total": {
+              ...(min !== undefined && { $gt: min }),
+              ...(max !== undefined && { $lte: max }),
+            },
+          })
+        ),
+      };
+    }
+    if (dietary && dietary.length > 0) {
+      conditions.dietary = Object.fromEntries(
+        dietary.map((flag) => [`dietaryInfo.${flag}`, true])
+      );
+    }
+
+    return conditions;
+  }
+
+  // Search public recipes. Facet counts for each dimension apply every
+  // selected filter except the dimension's own, so other values of it stay
+  // visible. Returns { recipes, total, facets, terms, correctedQuery }.
+  async search({
+    q,
+    filters = {},
+    excludeAllergens = [],
+    sort,
+    page = 1,
+    limit = 10,
+  }) {
+    const queryTerms = tokenize(q);
+    const terms =
+      queryTerms.length > 0 ? await this.correctTerms(queryTerms) : [];
+
+    const base = { isPublic: true };
+    if (terms.length > 0) base.$text = { $search: terms.join(" ") };
+    if (excludeAllergens.length > 0) {
+      base.allergens = { $nin: excludeAllergens };
+    }
+
+    const conditions = this.buildConditions(filters);
+    const matchExcept = (dimension) => {
+      const selected = Object.entries(conditions)
+        .filter(([name]) => name !== dimension)
+        .map(([, condition]) => condition);
+      return { $match: selected.length > 0 ? { $and: selected } : {} };
+    };
+
+    // Relevance needs a text query
+    const sortBy =
+      (sort || "relevance") === "relevance" && terms.length === 0
+        ? "newest"
+        : sort || "relevance";
+
+    const [result] = await Recipe.aggregate([
+      { $match: base },
+      ...(terms.length > 0
+        ? [{ $addFields: { score: { $meta: "textScore" } } }]
+        : []),
+      {
+        $facet: {
+          recipes: [
+            matchExcept(null),
+            { $sort: { ...SORTS[sortBy], _id: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: RESULT_PROJECTION },
+          ],
+          total: [matchExcept(null), { $count: "count" }],
+          cuisine: [
+            matchExcept("cuisine"),
+            { $match: { cuisine: { $nin: [null, ""] } } },
+            {
+              $group: {
+                _id: { $toLower: "$cuisine" },
+                value: { $first: "$cuisine" },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+          difficulty: [
+            matchExcept("difficulty"),
+            { $group: { _id: "$difficulty", count: { $sum: 1 } } },
+          ],
+          mealType: [
+            matchExcept("mealType"),
+            { $unwind: "$mealType" },
+            { $group: { _id: "$mealType", count: { $sum: 1 } } },
+          ],
+          time: [
+            matchExcept("time"),
+            {
+              $group: {
+                _id: {
+                  $switch: {
+                    branches: TIME_BUCKETS.filter(
+                      (bucket) => bucket.max !== undefined
+                    ).map((bucket) => ({
+                      case: { $lte: ["$cookingTime.total", bucket.max] },
+                      then: bucket.value,
+                    })),
+                    default: TIME_BUCKETS[TIME_BUCKETS.length - 1].value,
+                  },
+                },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+          dietary: [
+            matchExcept("dietary"),
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(
+                  DIETARY_FLAGS.map((flag) => [
+                    flag,
+                    { $sum: { $cond: [`$dietaryInfo.${flag}`, 1, 0] } },
+                  ])
+                ),
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const recipes = await Recipe.populate(result.recipes, {
+      path: "createdBy",
+      select: "name",
+    });
+    const timeCounts = new Map(
+      result.time.map((group) => [group._id, group.count])
+    );
+    const dietaryCounts = result.dietary[0] || {};
+
+    return {
+      recipes: recipes.map((recipe) => ({
+        ...recipe,
+        highlights: this.highlightRecipe(recipe, terms),
+      })),
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      facets: {
+        cuisine: toFacet(result.cuisine),
+        difficulty: toFacet(result.difficulty),
+        mealType: toFacet(result.mealType),
+        time: TIME_BUCKETS.map(({ value, label }) => ({
+          value,
+          label,
+          count: timeCounts.get(value) || 0,
+        })),
+        dietary: DIETARY_FLAGS.map((flag) => ({
+          value: flag,
+          count: dietaryCounts[flag] || 0,
+        })),
+      },
+      terms,
+      correctedQuery:
+        terms.join(" ") !== queryTerms.join(" ") ? terms.join(" ") : null,
+    };
+  }
+
+  // Title, description and ingredient names with matched words marked;
+  // fields without matches are left out
+  highlightRecipe(recipe, terms) {
+    const highlights = {};
+    if (terms.length === 0) return highlights;
+
+    const title = highlight(recipe.title, terms);
+    if (title) highlights.title = title;
+    const description = highlight(recipe.description, terms);
+    if (description) highlights.description = description;
+    const ingredients = (recipe.ingredients || [])
+      .map((ingredient) => highlight(ingredient.name, terms))
+      .filter(Boolean);
+    if (ingredients.length > 0) highlights.ingredients = ingredients;
+
+    return highlights;
+  }
+}
+
+const recipeSearchService = new RecipeSearchService();
+
+module.exports = recipeSearchService;
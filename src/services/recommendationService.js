@@ -0,0 +1,353 @@
+const Recipe = require("../models/Recipe");
+const ingredientCatalog = require("./ingredientCatalog");
+const { DIETARY_RESTRICTION_FLAGS } = require("../data/allergens");
+
+// Weight of each signal in a recipe's score. Affinities are scaled to -1..1,
+// quality and novelty to 0..1.
+const SCORE_WEIGHTS = {
+  ingredients: 3,
+  cuisine: 2,
+  quality: 1,
+  novelty: 0.5,
+};
+
+// Affinity a saved recipe, a rating (1-5) and a favorite ingredient add to
+// the ingredients and cuisine involved. Ratings below 3 count against them.
+const SAVE_AFFINITY = 1;
+const RATING_AFFINITY = (rating) => (rating - 3) / 2;
+const FAVORITE_INGREDIENT_AFFINITY = 2;
+
+// Days after which a recipe's novelty bonus halves
+const NOVELTY_HALF_LIFE_DAYS = 30;
+
+// Score subtracted for every recipe of the same cuisine ranked above, so the
+// feed doesn't fill up with one cuisine
+const CUISINE_REPEAT_PENALTY = 0.3;
+
+// Most recipes scored per request, from each of the related and the top
+// rated candidate queries
+const CANDIDATE_LIMIT = 200;
+
+// Ingredients and cuisines with the strongest affinity used to find related
+// candidates
+const PROFILE_TOP_INGREDIENTS = 20;
+const PROFILE_TOP_CUISINES = 5;
+
+const ingredientName = (id) => {
+  const entry = ingredientCatalog.get(id);
+  return (entry ? entry.name : id.replace(/-/g, " ")).toLowerCase();
+};
+
+const joinNames = (names) =>
+  names.length > 1
+    ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`
+    : names[0];
+
+// Ranks public recipes for a user from their preferences, saves and ratings
+class RecommendationService {
+  // What the user's saves, ratings and favorite ingredients say about their
+  // taste: { ingredients, cuisines } affinity maps, the liked recipes (for
+  // explanations) and the ids of recipes they already know
+  async buildProfile(user) {
+    const [savedRecipes, ratedRecipes] = await Promise.all([
+      Recipe.find({ _id: { $in: user.savedRecipes } })
+        .select("title cuisine ingredientIds")
+        .lean(),
+      Recipe.find({ "ratings.user": user._id })
+        .select({ title: 1, cuisine: 1, ingredientIds: 1, "ratings.$": 1 })
+        .lean(),
+    ]);
+
+    const ingredients = new Map();
+    const cuisines = new Map();
+    const liked = new Map();
+    const add = (map, key, amount) =>
+      key && map.set(key, (map.get(key) || 0) + amount);
+    const learn = (recipe, affinity) => {
+      (recipe.ingredientIds || []).forEach((id) =>
+        add(ingredients, id, affinity)
+      );
+      add(cuisines, Recipe.toCuisineKey(recipe.cuisine), affinity);
+      if (affinity > 0) {
+        const id = recipe._id.toString();
+        const known = liked.get(id);
+        liked.set(id, {
+          recipe,
+          affinity: (known ? known.affinity : 0) + affinity,
+        });
+      }
+    };
+
+    const favoriteIds = ingredientCatalog.toIngredientIds(
+      user.preferences.favoriteIngredients || []
+    );
+    savedRecipes.forEach((recipe) => learn(recipe, SAVE_AFFINITY));
+    ratedRecipes.forEach((recipe) =>
+      learn(recipe, RATING_AFFINITY(recipe.ratings[0].rating))
+    );
+    favoriteIds.forEach((id) =>
+      add(ingredients, id, FAVORITE_INGREDIENT_AFFINITY)
+    );
+
+    return {
+      ingredients,
+      cuisines,
+      liked: [...liked.values()].sort((a, b) => b.affinity - a.affinity),
+      favoriteIds: new Set(favoriteIds),
+      knownIds: [
+        ...savedRecipes.map((recipe) => recipe._id),
+        ...ratedRecipes.map((recipe) => recipe._id),
+      ],
+      basedOn: {
+        savedRecipes: savedRecipes.length,
+        ratedRecipes: ratedRecipes.length,
+        favoriteIngredients: (user.preferences.favoriteIngredients || [])
+          .length,
+      },
+    };
+  }
+
+  // Public recipes the user may be shown: none of their own or already saved
+  // or rated ones, nothing with disliked ingredients or their allergens, and
+  // only recipes fitting their dietary restrictions
+  buildFilter(user, profile) {
+    const filter = {
+      isPublic: true,
+      createdBy: { $ne: user._id },
+      _id: { $nin: profile.knownIds },
+    };
+
+    (user.preferences.dietaryRestrictions || []).forEach((restriction) => {
+      const flag = DIETARY_RESTRICTION_FLAGS[restriction];
+      if (flag) filter[`dietaryInfo.${flag}`] = true;
+    });
+
+    const dislikedIds = ingredientCatalog.toIngredientIds(
+      user.preferences.dislikedIngredients || []
+    );
+    if (dislikedIds.length > 0) {
+      filter.ingredientIds = { $nin: dislikedIds };
+    }
+
+    const allergies = user.preferences.allergies || [];
+    if (allergies.length > 0) {
+      filter.allergens = { $nin: allergies };
+    }
+
+    return filter;
+  }
+
+  // Candidates sharing the user's favorite ingredients or cuisines, plus the
+  // top rated ones so users without history still get a feed
+  async findCandidates(filter, profile) {
+    const strongest = (map, count) =>
+      [...map.entries()]
+        .filter(([, affinity]) => affinity > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count)
+        .map(([key]) => key);
+    const topIngredients = strongest(
+      profile.ingredients,
+      PROFILE_TOP_INGREDIENTS
+    );
+    const topCuisines = strongest(profile.cuisines, PROFILE_TOP_CUISINES);
+
+    const select =
+      "title description cuisine mealType difficulty servings cookingTime " +
+      "dietaryInfo allergens ingredientIds averageRating totalRatings " +
+      "ratingScore createdBy createdAt";
+    const related =
+      topIngredients.length > 0 || topCuisines.length > 0
+        ? {
+            $and: [
+              filter,
+              {
+                $or: [
+                  { ingredientIds: { $in: topIngredients } },
+                  { cuisineKey: { $in: topCuisines } },
+                ],
+              },
+            ],
+          }
+        : null;
+
+    const [relatedRecipes, topRated] = await Promise.all([
+      related
+        ? Recipe.find(related)
+            .select(select)
+            .sort({ ratingScore: -1, _id: -1 })
+            .limit(CANDIDATE_LIMIT)
+            .lean()
+        : [],
+      Recipe.find(filter)
+        .select(select)
+        .sort({ ratingScore: -1, _id: -1 })
+        .limit(CANDIDATE_LIMIT)
+        .lean(),
+    ]);
+
+    const candidates = new Map();
+    [...relatedRecipes, ...topRated].forEach((recipe) =>
+      candidates.set(recipe._id.toString(), recipe)
+    );
+    return [...candidates.values()];
+  }
+
+  // Score of one candidate with the signals behind it
+  scoreRecipe(recipe, profile, now = Date.now()) {
+    const ids = recipe.ingredientIds || [];
+    const maxIngredient = Math.max(0, ...profile.ingredients.values());
+    const maxCuisine = Math.max(0, ...profile.cuisines.values());
+
+    const ingredientAffinity =
+      maxIngredient > 0 && ids.length > 0
+        ? ids.reduce((sum, id) => sum + (profile.ingredients.get(id) || 0), 0) /
+          (maxIngredient * Math.sqrt(ids.length))
+        : 0;
+    const cuisineAffinity =
+      maxCuisine > 0
+        ? (profile.cuisines.get(Recipe.toCuisineKey(recipe.cuisine)) || 0) /
+          maxCuisine
+        : 0;
+    const signals = {
+      ingredients: Math.max(-1, Math.min(1, ingredientAffinity)),
+      cuisine: Math.max(-1, Math.min(1, cuisineAffinity)),
+      quality: Math.max(0, ((recipe.ratingScore || 0) - 1) / 4),
+      novelty:
+        0.5 **
+        ((now - new Date(recipe.createdAt)) /
+          (NOVELTY_HALF_LIFE_DAYS * 24 * 60 * 60 * 1000)),
+    };
+
+    return {
+      score: Object.entries(SCORE_WEIGHTS).reduce(
+        (sum, [signal, weight]) => sum + signals[signal] * weight,
+        0
+      ),
+      signals,
+    };
+  }
+
+  // Why a recipe was recommended, strongest reason first. Each reason has a
+  // type (liked-recipe, favorite-ingredient, cuisine, popular or new) and a
+  // sentence; explanation is the first sentence.
+  explain(recipe, signals, profile) {
+    const reasons = [];
+    const ids = new Set(recipe.ingredientIds || []);
+
+    // Liked recipe sharing the most ingredients (or the cuisine)
+    let bestLiked = null;
+    profile.liked.forEach(({ recipe: likedRecipe }) => {
+      const shared = (likedRecipe.ingredientIds || []).filter((id) =>
+        ids.has(id)
+      ).length;
+      const sameCuisine =
+        !!recipe.cuisine &&
+        Recipe.toCuisineKey(likedRecipe.cuisine) ===
+          Recipe.toCuisineKey(recipe.cuisine);
+      const overlap = shared + (sameCuisine ? 1 : 0);
+      if (overlap >= 2 && (!bestLiked || overlap > bestLiked.overlap)) {
+        bestLiked = { recipe: likedRecipe, overlap };
+      }
+    });
+    if (bestLiked) {
+      reasons.push({
+        type: "liked-recipe",
+        recipeId: bestLiked.recipe._id,
+        title: bestLiked.recipe.title,
+        text: `Because you liked ${bestLiked.recipe.title}`,
+      });
+    }
+
+    const favorites = [...ids]
+      .filter((id) => profile.favoriteIds.has(id))
+      .slice(0, 3)
+      .map(ingredientName);
+    if (favorites.length > 0) {
+      reasons.push({
+        type: "favorite-ingredient",
+        ingredients: favorites,
+        text: `Made with ${joinNames(favorites)}, ${
+          favorites.length > 1 ? "favorites" : "a favorite"
+        } of yours`,
+      });
+    }
+
+    if (signals.cuisine >= 0.5 && recipe.cuisine) {
+      reasons.push({
+        type: "cuisine",
+        cuisine: recipe.cuisine,
+        text: `Because you enjoy ${recipe.cuisine} food`,
+      });
+    }
+    if (signals.quality >= 0.75) {
+      reasons.push({ type: "popular", text: "Highly rated by other cooks" });
+    }
+    if (signals.novelty >= 0.5) {
+      reasons.push({ type: "new", text: "New on Cookly" });
+    }
+    if (reasons.length === 0) {
+      reasons.push({ type: "popular", text: "Popular with other cooks" });
+    }
+
+    return { explanation: reasons[0].text, reasons };
+  }
+
+  // Recommended recipes for a user, best first. Each recipe gets a
+  // recommendation object with its score, explanation and reasons.
+  // Returns { recipes, basedOn }.
+  async recommend(user, { limit = 10 } = {}) {
+    const profile = await this.buildProfile(user);
+    const candidates = await this.findCandidates(
+      this.buildFilter(user, profile),
+      profile
+    );
+
+    const now = Date.now();
+    const scored = candidates.map((recipe) => ({
+      recipe,
+      ...this.scoreRecipe(recipe, profile, now),
+    }));
+
+    // Pick greedily, penalizing cuisines already picked
+    const picked = [];
+    const cuisineCounts = new Map();
+    while (picked.length < limit && scored.length > 0) {
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+      scored.forEach((entry, index) => {
+        const repeats =
+          cuisineCounts.get(Recipe.toCuisineKey(entry.recipe.cuisine)) || 0;
+        const score = entry.score - repeats * CUISINE_REPEAT_PENALTY;
+        if (score > bestScore) {
+          bestIndex = index;
+          bestScore = score;
+        }
+      });
+
+      const [entry] = scored.splice(bestIndex, 1);
+      const cuisine = Recipe.toCuisineKey(entry.recipe.cuisine);
+      if (cuisine) {
+        cuisineCounts.set(cuisine, (cuisineCounts.get(cuisine) || 0) + 1);
+      }
+      picked.push({ ...entry, score: bestScore });
+    }
+
+    const recipes = await Recipe.populate(
+      picked.map(({ recipe, score, signals }) => ({
+        ...recipe,
+        recommendation: {
+          score: Math.round(score * 1000) / 1000,
+          ...this.explain(recipe, signals, profile),
+        },
+      })),
+      { path: "createdBy", select: "name" }
+    );
+
+    return { recipes, basedOn: profile.basedOn };
+  }
+}
+
+const recommendationService = new RecommendationService();
+
+module.exports = recommendationService;
@@ -0,0 +1,326 @@
+const Ingredient = require("../models/Ingredient");
+const ShoppingList = require("../models/ShoppingList");
+const ingredientCatalog = require("./ingredientCatalog");
+const {
+  CUP_ML,
+  UNITS,
+  resolveUnit,
+  pickUnitForBase,
+} = require("../utils/units");
+const { parseQuantity, formatNumber } = require("../utils/quantity");
+const {
+  findDensity,
+  canonicalizeIngredientUnit,
+} = require("../utils/unitConversion");
+const { NON_SCALABLE_PATTERN } = require("../utils/servingsScaler");
+const { normalizeIngredient } = require("../utils/ingredientNormalizer");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Units ingredients are bought in that the converter doesn't measure,
+// recognized when written into the amount ("2 cans")
+const PACKAGE_UNITS = new Set([
+  "can",
+  "tin",
+  "jar",
+  "bottle",
+  "carton",
+  "package",
+  "packet",
+  "pack",
+  "bag",
+  "box",
+  "block",
+  "bunch",
+  "head",
+  "clove",
+  "sprig",
+  "stick",
+  "slice",
+  "sheet",
+  "loaf",
+  "piece",
+]);
+
+// Package unit at the start of the text after an amount, or null
+const findPackageUnit = (suffix) => {
+  const word = normalizeIngredient(String(suffix || "").split(/\s+/)[0]);
+  return PACKAGE_UNITS.has(word) ? word : null;
+};
+
+// Builds shopping lists from recipes: amounts of the same ingredient are
+// added up across recipes, converting between units of a dimension (and
+// between volume and weight for ingredients with a known density), and
+// stock from the pantry is subtracted.
+class ShoppingListService {
+  // How an amount can be added up: a kind ("volume", "weight", or "count"
+  // plus the unit for units the converter doesn't know, like "can") and a
+  // value in the kind's base unit. Ingredients with a known density are
+  // always measured by weight so cups and grams of flour add up.
+  measure(quantity, unit, density) {
+    const unitKey = resolveUnit(unit);
+
+    if (!unitKey) {
+      const countUnit = unit ? normalizeIngredient(unit) : null;
+      return {
+        kind: countUnit ? `count:${countUnit}` : "count",
+        value: quantity,
+        unit: countUnit,
+      };
+    }
+
+    const { dimension, system, base } = UNITS[unitKey];
+    const value = quantity * base;
+    if (density && dimension === "volume") {
+      return {
+        kind: "weight",
+        value: (value / CUP_ML) * density,
+        dimension,
+        system,
+      };
+    }
+
+    return { kind: dimension, value, dimension, system };
+  }
+
+  // Amount in the unit system (default: the measure's own) as
+  // { quantity, unit }. Ingredients with a known density are weighed for
+  // metric and measured by volume for imperial, or keep the dimension they
+  // were first written in. Counts are rounded up since half a can isn't
+  // sold.
+  formatMeasure(measure, density, system) {
+    if (measure.kind.startsWith("count")) {
+      return { quantity: Math.ceil(measure.value - 1e-9), unit: measure.unit };
+    }
+
+    let dimension = measure.dimension;
+    if (density && system) {
+      dimension = system === "metric" ? "weight" : "volume";
+    }
+
+    let value = measure.value;
+    if (measure.kind === "weight" && dimension === "volume") {
+      value = (value / density) * CUP_ML;
+    }
+    const picked = pickUnitForBase(
+      value,
+      dimension,
+      system || measure.system
+    );
+
+    return { quantity: round(picked.value), unit: picked.unit };
+  }
+
+  // Ingredients of recipes at their planned servings, merged into one group
+  // per ingredient: { ingredientId, name, density, measures, notes, recipes }
+  mergeIngredients(entries) {
+    const groups = new Map();
+
+    entries.forEach(({ recipe, servings }) => {
+      const factor = recipe.servings ? servings / recipe.servings : 1;
+
+      recipe.ingredients.forEach((ingredient) => {
+        const ingredientId =
+          ingredient.ingredientId ||
+          ingredientCatalog.toIngredientId(ingredient.name);
+        if (!ingredientId) return;
+
+        if (!groups.has(ingredientId)) {
+          const entry = ingredientCatalog.get(ingredientId);
+          groups.set(ingredientId, {
+            ingredientId,
+            name: entry ? entry.name : ingredient.name.trim(),
+            density: findDensity(ingredient.name),
+            measures: new Map(),
+            // Unmeasured amounts by lowercased text, e.g. "to taste"
+            notes: new Map(),
+            recipes: new Set(),
+          });
+        }
+        const group = groups.get(ingredientId);
+        group.recipes.add(recipe._id.toString());
+
+        // Recipes saved before units were canonicalized may hold "2 cups"
+        const { amount, unit } = canonicalizeIngredientUnit(ingredient);
+        const quantity = parseQuantity(amount);
+        const unmeasured =
+          !quantity || NON_SCALABLE_PATTERN.test(`${amount} ${unit || ""}`);
+        if (unmeasured) {
+          const note = `${amount || ""} ${unit || ""}`.trim();
+          if (note && !group.notes.has(note.toLowerCase())) {
+            group.notes.set(note.toLowerCase(), note);
+          }
+          return;
+        }
+
+        // Buy for the top of a range
+        const value = (quantity.max ?? quantity.min) * factor;
+        const measure = this.measure(
+          value,
+          unit || findPackageUnit(quantity.suffix),
+          group.density
+        );
+        const existing = group.measures.get(measure.kind);
+        if (existing) {
+          existing.value += measure.value;
+        } else {
+          group.measures.set(measure.kind, measure);
+        }
+      });
+    });
+
+    return [...groups.values()];
+  }
+
+  // Subtract pantry stock from merged groups. Pantry items without a
+  // quantity count as enough; stock in a unit that can't be compared is
+  // ignored. Returns the ids of ingredients the pantry fully covers.
+  subtractPantry(groups, pantryItems) {
+    const stock = new Map();
+    pantryItems.forEach((item) => {
+      if (!item.ingredientId) return;
+      if (!stock.has(item.ingredientId)) stock.set(item.ingredientId, []);
+      stock.get(item.ingredientId).push(item);
+    });
+
+    const covered = [];
+    groups.forEach((group) => {
+      const items = stock.get(group.ingredientId);
+      if (!items) return;
+
+      const unknownStock = items.some(
+        (item) => item.quantity === undefined || item.quantity === null
+      );
+      if (group.measures.size === 0 || unknownStock) {
+        covered.push(group.ingredientId);
+        return;
+      }
+
+      items.forEach((item) => {
+        const available = this.measure(
+          item.quantity,
+          item.unit,
+          group.density
+        );
+        const needed = group.measures.get(available.kind);
+        if (!needed) return;
+
+        needed.value -= available.value;
+        if (needed.value <= 1e-9) group.measures.delete(available.kind);
+      });
+
+      if (group.measures.size === 0) covered.push(group.ingredientId);
+    });
+
+    return covered;
+  }
+
+  // Shopping list items for recipes at their planned servings
+  // ([{ recipe, servings }]), in the unit system given or each recipe's own.
+  // With pantry items, stock is subtracted and fully covered ingredients
+  // are returned separately. Returns { items, fromPantry }.
+  buildItems(entries, { system = null, pantryItems = null } = {}) {
+    const groups = this.mergeIngredients(entries);
+    const covered = new Set(
+      pantryItems ? this.subtractPantry(groups, pantryItems) : []
+    );
+
+    const items = [];
+    const fromPantry = [];
+
+    groups.forEach((group) => {
+      const base = {
+        name: group.name,
+        ingredientId: group.ingredientId,
+        recipes: [...group.recipes],
+      };
+
+      if (covered.has(group.ingredientId)) {
+        fromPantry.push({ name: group.name, ingredientId: group.ingredientId });
+        return;
+      }
+
+      if (group.measures.size === 0) {
+        const note = this.joinNotes([...group.notes.values()]);
+        items.push({ ...base, note });
+        return;
+      }
+
+      group.measures.forEach((measure) => {
+        items.push({
+          ...base,
+          ...this.formatMeasure(measure, group.density, system),
+        });
+      });
+    });
+
+    return { items, fromPantry };
+  }
+
+  // Notes as one item note within its length cap, leaving out those that
+  // don't fit and marking that with "…"
+  joinNotes(notes) {
+    const max = ShoppingList.NOTE_MAX_LENGTH;
+    const joined = notes.join(", ");
+    if (joined.length <= max) return joined;
+
+    const kept = [];
+    for (const note of notes) {
+      if ([...kept, note, "…"].join(", ").length > max) break;
+      kept.push(note);
+    }
+    if (kept.length === 0) return `${notes[0].slice(0, max - 1).trimEnd()}…`;
+
+    return [...kept, "…"].join(", ");
+  }
+
+  // Items grouped by store aisle, in catalog category order
+  groupItems(items) {
+    return Ingredient.CATEGORIES.map((category) => ({
+      category,
+      items: items.filter((item) => (item.category || "other") === category),
+    })).filter((group) => group.items.length > 0);
+  }
+
+  // One line of an exported list, e.g. "Flour (2 1/4 cup)"
+  formatItem(item) {
+    const name = item.name.charAt(0).toUpperCase() + item.name.slice(1);
+    const details = [];
+
+    if (item.quantity !== undefined && item.quantity !== null) {
+      const metric = UNITS[item.unit] && UNITS[item.unit].system === "metric";
+      const amount = formatNumber(item.quantity, { decimal: metric });
+      details.push(item.unit ? `${amount} ${item.unit}` : amount);
+    }
+    if (item.note) details.push(item.note);
+
+    return details.length > 0 ? `${name} (${details.join(", ")})` : name;
+  }
+
+  // Export a list as plain text or Markdown with check boxes, grouped by
+  // aisle
+  exportList(list, format = "text") {
+    const groups = this.groupItems(list.items);
+    const title = format === "markdown" ? `# ${list.name}` : list.name;
+
+    const sections = groups.map(({ category, items }) => {
+      const heading =
+        format === "markdown"
+          ? `## ${category.charAt(0).toUpperCase()}${category.slice(1)}`
+          : category.toUpperCase();
+      const lines = items.map((item) => {
+        const box = item.checked ? "[x]" : "[ ]";
+        const line = `${box} ${this.formatItem(item)}`;
+        return format === "markdown" ? `- ${line}` : line;
+      });
+
+      return [heading, ...lines].join("\n");
+    });
+
+    return `${[title, ...sections].join("\n\n")}\n`;
+  }
+}
+
+const shoppingListService = new ShoppingListService();
+
+module.exports = shoppingListService;
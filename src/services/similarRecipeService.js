@@ -0,0 +1,280 @@
+const Recipe = require("../models/Recipe");
+const RecipeSimilarity = require("../models/RecipeSimilarity");
+const ingredientCatalog = require("./ingredientCatalog");
+const config = require("../config/config");
+const { ingredientSimilarity } = require("../utils/ingredientNormalizer");
+
+// Weight of each attribute in the similarity score (they add up to 1)
+const SIMILARITY_WEIGHTS = {
+  ingredients: 0.6,
+  cuisine: 0.15,
+  mealType: 0.1,
+  cookingTime: 0.1,
+  difficulty: 0.05,
+};
+
+const DIFFICULTY_LEVELS = ["easy", "medium", "hard"];
+
+// Recipes scoring lower aren't kept as neighbors
+const MIN_SIMILARITY = 0.15;
+
+// Most candidates scored per recipe, those sharing the most ingredients
+const CANDIDATE_LIMIT = 500;
+
+const CANDIDATE_FIELDS = [
+  "ingredients.name",
+  "ingredients.ingredientId",
+  "cuisine",
+  "mealType",
+  "difficulty",
+  "cookingTime.total",
+];
+
+// Precomputed "more like this" lists. Similarity combines ingredient overlap
+// (Jaccard over canonical ids of the ingredient names, leaving out
+// config.similarRecipes.staples) with cuisine, meal type, difficulty and
+// cooking time. Lists are recomputed in the background: stale ones first,
+// then the oldest.
+class SimilarRecipeService {
+  constructor() {
+    this.timer = null;
+    this.refreshing = false;
+    this.queued = new Set();
+  }
+
+  // Canonical id of an ingredient's name
+  ingredientKey(ingredient) {
+    return (
+      ingredient.ingredientId ||
+      ingredientCatalog.toIngredientId(ingredient.name)
+    );
+  }
+
+  // Canonical ids of a recipe's ingredient names, without staples
+  ingredientKeys(recipe) {
+    const staples = new Set(
+      ingredientCatalog.toIngredientIds(config.similarRecipes.staples)
+    );
+    return [
+      ...new Set(
+        (recipe.ingredients || [])
+          .map((ingredient) => this.ingredientKey(ingredient))
+          .filter((key) => key && !staples.has(key))
+      ),
+    ];
+  }
+
+  // Similarity of two recipes between 0 and 1, with the ingredient keys of
+  // each passed in to avoid resolving them again
+  similarity(
+    a,
+    b,
+    keysA = this.ingredientKeys(a),
+    keysB = this.ingredientKeys(b)
+  ) {
+    const cuisineA = Recipe.toCuisineKey(a.cuisine);
+    const levelA = DIFFICULTY_LEVELS.indexOf(a.difficulty);
+    const levelB = DIFFICULTY_LEVELS.indexOf(b.difficulty);
+    const timeA = a.cookingTime && a.cookingTime.total;
+    const timeB = b.cookingTime && b.cookingTime.total;
+
+    const scores = {
+      ingredients: ingredientSimilarity(keysA, keysB),
+      cuisine: cuisineA && cuisineA === Recipe.toCuisineKey(b.cuisine) ? 1 : 0,
+      mealType: ingredientSimilarity(a.mealType || [], b.mealType || []),
+      cookingTime:
+        timeA > 0 && timeB > 0
+          ? Math.min(timeA, timeB) / Math.max(timeA, timeB)
+          : 0,
+      difficulty:
+        levelA === -1 || levelB === -1
+          ? 0
+          : 1 - Math.abs(levelA - levelB) / (DIFFICULTY_LEVELS.length - 1),
+    };
+
+    return Object.entries(SIMILARITY_WEIGHTS).reduce(
+      (sum, [attribute, weight]) => sum + scores[attribute] * weight,
+      0
+    );
+  }
+
+  // Most similar public recipes of a recipe as [{ recipe, score }], best
+  // first. Candidates share an ingredient other than a staple or the
+  // cuisine; those sharing the most ingredients are scored.
+  async computeNeighbors(recipe) {
+    const keys = this.ingredientKeys(recipe);
+    const cuisineKey = Recipe.toCuisineKey(recipe.cuisine);
+    const related = [];
+    if (keys.length > 0) related.push({ ingredientIds: { $in: keys } });
+    if (cuisineKey) related.push({ cuisineKey });
+    if (related.length === 0) return [];
+
+    const candidates = await Recipe.aggregate([
+      {
+        $match: {
+          _id: { $ne: recipe._id },
+          isPublic: true,
+          $or: related,
+        },
+      },
+      {
+        $addFields: {
+          overlap: {
+            $size: {
+              $setIntersection: [{ $ifNull: ["$ingredientIds", []] }, keys],
+            },
+          },
+        },
+      },
+      { $sort: { overlap: -1, ratingScore: -1, _id: -1 } },
+      { $limit: CANDIDATE_LIMIT },
+      {
+        $project: Object.fromEntries(
+          CANDIDATE_FIELDS.map((field) => [field, 1])
+        ),
+      },
+    ]);
+
+    return candidates
+      .map((candidate) => ({
+        recipe: candidate._id,
+        score:
+          Math.round(this.similarity(recipe, candidate, keys) * 1000) / 1000,
+      }))
+      .filter((neighbor) => neighbor.score >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, config.similarRecipes.neighbors);
+  }
+
+  // Recompute and store the neighbors of a recipe. Returns the entry, or
+  // null when the recipe no longer exists.
+  async refresh(recipeId) {
+    const recipe = await Recipe.findById(recipeId)
+      .select([...CANDIDATE_FIELDS, "isPublic"])
+      .lean();
+    if (!recipe) {
+      await RecipeSimilarity.deleteOne({ recipe: recipeId });
+      return null;
+    }
+
+    const neighbors = await this.computeNeighbors(recipe);
+    const entry = await RecipeSimilarity.findOneAndUpdate(
+      { recipe: recipeId },
+      { $set: { neighbors, computedAt: new Date(), stale: false } },
+      { upsert: true, new: true }
+    );
+    if (recipe.isPublic) await this.addToNeighbors(recipe._id, neighbors);
+    return entry;
+  }
+
+  // Similarity is symmetric, so a recipe belongs in the lists of its own
+  // neighbors wherever it scores higher than their last entry. This is how
+  // new and edited recipes reach other lists without waiting for them to
+  // age out.
+  async addToNeighbors(recipeId, neighbors) {
+    if (neighbors.length === 0) return;
+
+    await RecipeSimilarity.bulkWrite(
+      neighbors.flatMap(({ recipe, score }) => [
+        {
+          updateOne: {
+            filter: { recipe },
+            update: { $pull: { neighbors: { recipe: recipeId } } },
+          },
+        },
+        {
+          updateOne: {
+            filter: { recipe, computedAt: { $exists: true } },
+            update: {
+              $push: {
+                neighbors: {
+                  $each: [{ recipe: recipeId, score }],
+                  $sort: { score: -1 },
+                  $slice: config.similarRecipes.neighbors,
+                },
+              },
+            },
+          },
+        },
+      ])
+    );
+  }
+
+  // Refresh a recipe's neighbors after the current request, once even when
+  // queued repeatedly
+  queueRefresh(recipeId) {
+    const key = recipeId.toString();
+    if (this.queued.has(key)) return;
+    this.queued.add(key);
+
+    setImmediate(async () => {
+      try {
+        await this.refresh(recipeId);
+      } catch (error) {
+        console.error("❌ Failed to refresh similar recipes:", error.message);
+      } finally {
+        this.queued.delete(key);
+      }
+    });
+  }
+
+  // Neighbor entry of a recipe. Missing lists are computed right away;
+  // stale ones are served as they are and refreshed in the background.
+  async getNeighbors(recipeId) {
+    const entry = await RecipeSimilarity.findOne({ recipe: recipeId }).lean();
+    if (!entry || !entry.computedAt) {
+      return this.refresh(recipeId);
+    }
+    if (entry.stale) this.queueRefresh(recipeId);
+    return entry;
+  }
+
+  // Refresh one batch of lists: stale ones, then ones older than
+  // config.similarRecipes.maxAgeHours. Returns the number refreshed.
+  async refreshBatch() {
+    const { maxAgeHours, refreshBatchSize } = config.similarRecipes;
+    const entries = await RecipeSimilarity.find({
+      $or: [
+        { stale: true },
+        { computedAt: { $lt: new Date(Date.now() - maxAgeHours * 3600000) } },
+      ],
+    })
+      .sort({ stale: -1, computedAt: 1 })
+      .limit(refreshBatchSize)
+      .select("recipe")
+      .lean();
+
+    for (const entry of entries) {
+      await this.refresh(entry.recipe);
+    }
+    return entries.length;
+  }
+
+  // Refresh lists every config.similarRecipes.refreshIntervalSeconds
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.refreshing) return;
+      this.refreshing = true;
+      try {
+        await this.refreshBatch();
+      } catch (error) {
+        console.error("❌ Failed to refresh similar recipes:", error.message);
+      } finally {
+        this.refreshing = false;
+      }
+    }, config.similarRecipes.refreshIntervalSeconds * 1000);
+    // Don't keep the process alive for refreshes alone
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const similarRecipeService = new SimilarRecipeService();
+
+module.exports = similarRecipeService;
@@ -0,0 +1,217 @@
+const mongoose = require("mongoose");
+
+const getField = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Sort keys ({ field: 1 | -1 }) followed by _id in the direction of the last
+// key, so documents with equal values keep a stable order
+const withTiebreak = (keys) => {
+  const orders = Object.values(keys);
+  return { ...keys, _id: orders[orders.length - 1] || -1 };
+};
+
+const reverse = (keys) =>
+  Object.fromEntries(
+    Object.entries(keys).map(([field, order]) => [field, -order])
+  );
+
+const encodeValue = (value) =>
+  value instanceof Date ? { date: value.toISOString() } : value ?? null;
+
+const decodeValue = (value) => {
+  if (value === null || ["string", "number"].includes(typeof value)) {
+    return value;
+  }
+  if (value && typeof value.date === "string") {
+    const date = new Date(value.date);
+    return isNaN(date) ? undefined : date;
+  }
+  return undefined;
+};
+
+// Opaque cursor pointing at a document in a named sort, to continue in a
+// direction ("next" or "prev") from
+const encodeCursor = (doc, { sort, keys, direction }) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sort,
+      d: direction,
+      v: Object.keys(keys).map((field) => encodeValue(getField(doc, field))),
+      id: String(doc._id),
+    })
+  ).toString("base64url");
+
+// { direction, values, id } of a cursor, or null when it is malformed or was
+// issued for another sort
+const decodeCursor = (cursor, { sort, keys }) => {
+  let payload;
+  try {
+    payload = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+  } catch (error) {
+    return null;
+  }
+
+  if (
+    !payload ||
+    payload.s !== sort ||
+    !["next", "prev"].includes(payload.d) ||
+    typeof payload.id !== "string" ||
+    !mongoose.isValidObjectId(payload.id) ||
+    !Array.isArray(payload.v) ||
+    payload.v.length !== Object.keys(keys).length
+  ) {
+    return null;
+  }
+
+  const values = payload.v.map(decodeValue);
+  if (values.includes(undefined)) return null;
+
+  return {
+    direction: payload.d,
+    values,
+    id: new mongoose.Types.ObjectId(payload.id),
+  };
+};
+
+// Condition on one field for values sorting after value in order. MongoDB
+// sorts missing values as null, before all others.
+const beyond = (field, order, value) => {
+  if (value === null) {
+    return order === 1 ? { [field]: { $ne: null } } : null;
+  }
+  return order === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Condition for documents coming after the cursor position in the sort
+// keys (with _id tiebreak): equal on the first keys and beyond on the next
+const afterCondition = (keys, { values, id }) => {
+  const fields = Object.keys(keys);
+  const position = [...values, id];
+
+  const branches = fields.map((field, index) => {
+    const condition = beyond(field, keys[field], position[index]);
+    if (!condition) return null;
+    const equal = fields
+      .slice(0, index)
+      .map((previous, previousIndex) => ({
+        [previous]: position[previousIndex],
+      }));
+    return equal.length > 0 ? { $and: [...equal, condition] } : condition;
+  });
+
+  return { $or: branches.filter(Boolean) };
+};
+
+// Pipeline start shared by both pagination modes. A text score sort adds the
+// score as a field, which needs filter to contain $text.
+const matchStages = (filter, { textScore }) => [
+  { $match: filter },
+  ...(textScore ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+];
+
+// Stage keeping the fields of an inclusion projection. Aggregation ignores
+// the schema's select: false, so listings must name what they return. The
+// sort keys are kept as well, as cursors are read from them.
+const projectStages = (project, keys) => {
+  if (!project) return [];
+
+  const fields = Object.keys(project);
+  const covered = (path) =>
+    fields.some((field) => path === field || path.startsWith(`${field}.`));
+  return [
+    {
+      $project: {
+        ...project,
+        ...Object.fromEntries(
+          Object.keys(keys)
+            .filter((field) => !covered(field))
+            .map((field) => [field, 1])
+        ),
+      },
+    },
+  ];
+};
+
+// One page of a model's documents matching filter in a named sort
+// ({ sort, keys, textScore }), starting after a decoded cursor or at the
+// start without one. project is an inclusion projection of the fields to
+// return. Returns { items, pagination } with nextCursor and prevCursor.
+const findCursorPage = async (
+  model,
+  filter,
+  { sort, keys, textScore, cursor, limit, project, populate }
+) => {
+  const sortKeys = withTiebreak(keys);
+  const backwards = !!cursor && cursor.direction === "prev";
+  // Previous pages are read in reverse order and flipped
+  const querySort = backwards ? reverse(sortKeys) : sortKeys;
+
+  let docs = await model.aggregate([
+    ...matchStages(filter, { textScore }),
+    ...(cursor ? [{ $match: afterCondition(querySort, cursor) }] : []),
+    { $sort: querySort },
+    ...projectStages(project, keys),
+    { $limit: limit + 1 },
+  ]);
+  if (populate) docs = await model.populate(docs, populate);
+
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) items.reverse();
+
+  // Moving from a cursor means there are documents behind it
+  const hasNextPage = items.length > 0 && (backwards ? true : hasMore);
+  const hasPrevPage = items.length > 0 && (backwards ? hasMore : !!cursor);
+  const cursorAt = (doc, direction) =>
+    encodeCursor(doc, { sort, keys, direction });
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage ? cursorAt(last, "next") : null,
+      prevCursor: hasPrevPage ? cursorAt(items[0], "prev") : null,
+    },
+  };
+};
+
+// One numbered page of a model's documents matching filter in sort keys,
+// with the fields of project. Returns { items, total }.
+const findOffsetPage = async (
+  model,
+  filter,
+  { keys, textScore, page, limit, project, populate }
+) => {
+  const [docs, total] = await Promise.all([
+    model.aggregate([
+      ...matchStages(filter, { textScore }),
+      { $sort: withTiebreak(keys) },
+      { $skip: (page - 1) * limit },
+      ...projectStages(project, keys),
+      { $limit: limit },
+    ]),
+    model.countDocuments(filter),
+  ]);
+
+  return {
+    items: populate ? await model.populate(docs, populate) : docs,
+    total,
+  };
+};
+
+module.exports = {
+  withTiebreak,
+  encodeCursor,
+  decodeCursor,
+  findCursorPage,
+  findOffsetPage,
+};
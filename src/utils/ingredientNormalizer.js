@@ -0,0 +1,72 @@
+// Normalizes free-text ingredient names so that "Chicken Breasts" and
+// "chicken" or "tomatoes" and "Tomato" compare equal.
+
+// Preparation, size and cut words that don't change what the ingredient is
+const DESCRIPTORS = new Set([
+  "fresh",
+  "frozen",
+  "dried",
+  "canned",
+  "raw",
+  "cooked",
+  "organic",
+  "ripe",
+  "large",
+  "medium",
+  "small",
+  "whole",
+  "chopped",
+  "diced",
+  "sliced",
+  "minced",
+  "grated",
+  "shredded",
+  "crushed",
+  "peeled",
+  "boneless",
+  "skinless",
+  "breast",
+  "thigh",
+  "fillet",
+  "leg",
+  "wing",
+  "clove",
+  "of",
+]);
+
+// Naive English singularization, good enough for ingredient names
+const singularize = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.endsWith("oes")) return word.slice(0, -2);
+  if (/(ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+// Normalize one ingredient name to a comparable key
+const normalizeIngredient = (name) => {
+  const words = String(name)
+    .toLowerCase()
+    .replace(/[^a-z\s-]/g, " ")
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map(singularize);
+
+  const significant = words.filter((word) => !DESCRIPTORS.has(word));
+  return (significant.length > 0 ? significant : words).join(" ");
+};
+
+// Jaccard similarity of two ingredient id lists
+const ingredientSimilarity = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const intersection = [...setA].filter((item) => setB.has(item)).length;
+  const union = new Set([...setA, ...setB]).size;
+  return union === 0 ? 0 : intersection / union;
+};
+
+module.exports = {
+  normalizeIngredient,
+  ingredientSimilarity,
+};
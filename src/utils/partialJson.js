@@ -0,0 +1,62 @@
+// Best-effort parsing of an incomplete JSON document, such as an LLM response
+// that is still streaming. The text is cut back to the last complete value
+// and any open objects/arrays are closed, so only fully received strings,
+// numbers and literals ever show up in the result.
+
+const stripCodeFence = (text) => text.replace(/^\s*```(?:json)?\s*/, "");
+
+const parsePartialJson = (text) => {
+  const source = stripCodeFence(text);
+  const start = source.indexOf("{");
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let candidate = null;
+
+  const closers = () =>
+    stack
+      .slice()
+      .reverse()
+      .map((open) => (open === "{" ? "}" : "]"))
+      .join("");
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      stack.push(char);
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+      candidate = source.slice(start, i + 1) + closers();
+      if (stack.length === 0) break;
+    } else if (char === ",") {
+      // Everything before the comma is a complete value
+      candidate = source.slice(start, i) + closers();
+    }
+  }
+
+  if (!candidate) return null;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { parsePartialJson };
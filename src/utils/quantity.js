@@ -0,0 +1,137 @@
+// Parsing and formatting of free-text ingredient amounts such as "1 1/2",
+// "2-3", "½" or "1.5 large".
+
+const UNICODE_FRACTIONS = {
+  "¼": 1 / 4,
+  "½": 1 / 2,
+  "¾": 3 / 4,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "⅕": 1 / 5,
+  "⅖": 2 / 5,
+  "⅗": 3 / 5,
+  "⅘": 4 / 5,
+  "⅙": 1 / 6,
+  "⅚": 5 / 6,
+  "⅛": 1 / 8,
+  "⅜": 3 / 8,
+  "⅝": 5 / 8,
+  "⅞": 7 / 8,
+};
+
+// Fractions used when formatting amounts below 10
+const NICE_FRACTIONS = [
+  [0, ""],
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [3 / 8, "3/8"],
+  [1 / 2, "1/2"],
+  [5 / 8, "5/8"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+  [7 / 8, "7/8"],
+  [1, ""],
+];
+
+// "1 1/2", "1/2", "1.5", "1½" or "½" at the start of the text
+const NUMBER_PATTERN = new RegExp(
+  `^(?:(\\d+)\\s+(\\d+)\\s*/\\s*(\\d+)|(\\d+)\\s*/\\s*(\\d+)|(\\d+(?:[.,]\\d+)?)?\\s*([${Object.keys(
+    UNICODE_FRACTIONS
+  ).join("")}])|(\\d+(?:[.,]\\d+)?))`
+);
+
+// Parse one number at the start of text. Returns { value, rest } or null.
+const parseNumber = (text) => {
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [
+    matched,
+    mixedWhole,
+    mixedNumerator,
+    mixedDenominator,
+    numerator,
+    denominator,
+    unicodeWhole,
+    unicodeFraction,
+    decimal,
+  ] = match;
+  let value;
+
+  if (mixedWhole !== undefined) {
+    value = Number(mixedWhole) + Number(mixedNumerator) / Number(mixedDenominator);
+  } else if (numerator !== undefined) {
+    value = Number(numerator) / Number(denominator);
+  } else if (unicodeFraction !== undefined) {
+    value =
+      Number((unicodeWhole || "0").replace(",", ".")) +
+      UNICODE_FRACTIONS[unicodeFraction];
+  } else {
+    value = Number(decimal.replace(",", "."));
+  }
+
+  if (!Number.isFinite(value)) return null;
+  return { value, rest: text.slice(matched.length).trim() };
+};
+
+// Parse an amount. Returns { min, max, suffix } where max is only set for
+// ranges ("2-3", "2 to 3"; a reversed "3-2" is read as "2-3"), or null when
+// the text has no leading quantity (e.g. "to taste").
+const parseQuantity = (text) => {
+  const source = String(text ?? "").trim();
+  const first = parseNumber(source);
+  if (!first) return null;
+
+  const rangeMatch = /^(?:-|–|—|to)\s*/i.exec(first.rest);
+  if (rangeMatch) {
+    const second = parseNumber(first.rest.slice(rangeMatch[0].length));
+    if (second && second.value === first.value) {
+      return { min: first.value, suffix: second.rest };
+    }
+    if (second) {
+      return {
+        min: Math.min(first.value, second.value),
+        max: Math.max(first.value, second.value),
+        suffix: second.rest,
+      };
+    }
+  }
+
+  return { min: first.value, suffix: first.rest };
+};
+
+// Format a number for display: whole numbers from 10 up, and kitchen
+// fractions (or one decimal for metric units) below that
+const formatNumber = (value, { decimal = false } = {}) => {
+  if (value >= 10) return String(Math.round(value));
+  if (decimal) return String(Math.round(value * 10) / 10 || 0.1);
+
+  const whole = Math.floor(value);
+  const fraction = value - whole;
+  const [nearest, label] = NICE_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - fraction) < Math.abs(best[0] - fraction)
+      ? candidate
+      : best
+  );
+
+  if (nearest === 1) return String(whole + 1);
+  if (!label) return whole > 0 ? String(whole) : "1/8";
+  return whole > 0 ? `${whole} ${label}` : label;
+};
+
+// Format a parsed quantity back to text
+const formatQuantity = ({ min, max, suffix }, options) => {
+  const amount =
+    max !== undefined && formatNumber(max, options) !== formatNumber(min, options)
+      ? `${formatNumber(min, options)}-${formatNumber(max, options)}`
+      : formatNumber(min, options);
+
+  return suffix ? `${amount} ${suffix}` : amount;
+};
+
+module.exports = {
+  parseQuantity,
+  formatNumber,
+  formatQuantity,
+};
@@ -0,0 +1,223 @@
+// Structured differences between two snapshots of recipe content (see
+// RecipeRevision.snapshot), plus a short human-readable summary.
+
+const SCALAR_FIELDS = ["title", "description", "servings", "difficulty", "cuisine"];
+const OBJECT_FIELDS = ["cookingTime", "dietaryInfo", "nutritionalInfo"];
+const LIST_FIELDS = ["mealType", "tags", "inputIngredients"];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// { key: { from, to } } for every key whose value changed
+const diffObject = (from, to) => {
+  const before = from || {};
+  const after = to || {};
+  const changes = {};
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (!isEqual(before[key], after[key])) {
+      changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  });
+
+  return changes;
+};
+
+const diffList = (from, to) => {
+  const before = from || [];
+  const after = to || [];
+
+  return {
+    added: after.filter((item) => !before.includes(item)),
+    removed: before.filter((item) => !after.includes(item)),
+  };
+};
+
+// Ingredients are matched by name
+const diffIngredients = (from, to) => {
+  const key = (ingredient) => ingredient.name.trim().toLowerCase();
+  const before = new Map((from || []).map((item) => [key(item), item]));
+  const after = new Map((to || []).map((item) => [key(item), item]));
+  const quantity = ({ amount, unit }) => ({ amount, unit: unit || "" });
+
+  return {
+    added: [...after.values()].filter((item) => !before.has(key(item))),
+    removed: [...before.values()].filter((item) => !after.has(key(item))),
+    changed: [...after.values()]
+      .filter(
+        (item) =>
+          before.has(key(item)) &&
+          !isEqual(quantity(before.get(key(item))), quantity(item))
+      )
+      .map((item) => ({
+        name: item.name,
+        from: quantity(before.get(key(item))),
+        to: quantity(item),
+      })),
+  };
+};
+
+// Steps are matched by position
+const diffInstructions = (from, to) => {
+  const before = from || [];
+  const after = to || [];
+  const step = ({ description, duration }) => ({
+    description,
+    duration: duration || "",
+  });
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (let i = 0; i < Math.max(before.length, after.length); i++) {
+    if (!before[i]) {
+      diff.added.push(after[i]);
+    } else if (!after[i]) {
+      diff.removed.push(before[i]);
+    } else if (!isEqual(step(before[i]), step(after[i]))) {
+      diff.changed.push({
+        stepNumber: i + 1,
+        from: step(before[i]),
+        to: step(after[i]),
+      });
+    }
+  }
+
+  return diff;
+};
+
+const hasEntries = (diff) =>
+  Object.values(diff).some((value) =>
+    Array.isArray(value) ? value.length > 0 : value !== undefined
+  );
+
+// Returns { changedFields: [String], changes: { field: diff } }
+const diffRecipeContent = (from, to) => {
+  const changes = {};
+
+  SCALAR_FIELDS.forEach((field) => {
+    if (!isEqual(from[field], to[field])) {
+      changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  });
+
+  OBJECT_FIELDS.forEach((field) => {
+    const diff = diffObject(from[field], to[field]);
+    if (Object.keys(diff).length > 0) changes[field] = diff;
+  });
+
+  LIST_FIELDS.forEach((field) => {
+    const diff = diffList(from[field], to[field]);
+    if (hasEntries(diff)) changes[field] = diff;
+  });
+
+  const ingredients = diffIngredients(from.ingredients, to.ingredients);
+  if (hasEntries(ingredients)) changes.ingredients = ingredients;
+
+  const instructions = diffInstructions(from.instructions, to.instructions);
+  if (hasEntries(instructions)) changes.instructions = instructions;
+
+  return { changedFields: Object.keys(changes), changes };
+};
+
+// "isGlutenFree" -> "gluten free"
+const flagLabel = (flag) =>
+  flag
+    .replace(/^is/, "")
+    .replace(/([A-Z])/g, " $1")
+    .trim()
+    .toLowerCase();
+
+const formatQuantity = ({ amount, unit }) => `${amount}${unit ? ` ${unit}` : ""}`;
+
+const countLabel = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+// One sentence per changed field, e.g. "Added ingredients: tofu"
+const summarizeRecipeDiff = ({ changes }) => {
+  const summary = [];
+
+  Object.entries(changes).forEach(([field, diff]) => {
+    switch (field) {
+      case "title":
+        summary.push(`Renamed from "${diff.from}" to "${diff.to}"`);
+        break;
+      case "description":
+        summary.push("Updated the description");
+        break;
+      case "ingredients":
+        if (diff.added.length > 0) {
+          summary.push(
+            `Added ingredients: ${diff.added.map((item) => item.name).join(", ")}`
+          );
+        }
+        if (diff.removed.length > 0) {
+          summary.push(
+            `Removed ingredients: ${diff.removed
+              .map((item) => item.name)
+              .join(", ")}`
+          );
+        }
+        if (diff.changed.length > 0) {
+          summary.push(
+            `Changed quantities: ${diff.changed
+              .map(
+                (item) =>
+                  `${item.name} (${formatQuantity(item.from)} → ${formatQuantity(
+                    item.to
+                  )})`
+              )
+              .join(", ")}`
+          );
+        }
+        break;
+      case "instructions": {
+        const parts = [];
+        if (diff.changed.length > 0) {
+          parts.push(`rewrote ${countLabel(diff.changed.length, "step")}`);
+        }
+        if (diff.added.length > 0) {
+          parts.push(`added ${countLabel(diff.added.length, "step")}`);
+        }
+        if (diff.removed.length > 0) {
+          parts.push(`removed ${countLabel(diff.removed.length, "step")}`);
+        }
+        summary.push(`Instructions: ${parts.join(", ")}`);
+        break;
+      }
+      case "cookingTime":
+        summary.push(
+          `Cooking time: ${Object.entries(diff)
+            .map(([key, { from, to }]) => `${key} ${from ?? 0} → ${to ?? 0} min`)
+            .join(", ")}`
+        );
+        break;
+      case "dietaryInfo":
+        Object.entries(diff).forEach(([flag, { to }]) => {
+          summary.push(`${to ? "Now" : "No longer"} ${flagLabel(flag)}`);
+        });
+        break;
+      case "nutritionalInfo":
+        summary.push(
+          `Nutrition: ${Object.entries(diff)
+            .map(([key, { from, to }]) => `${key} ${from ?? "?"} → ${to ?? "?"}`)
+            .join(", ")}`
+        );
+        break;
+      default:
+        if ("from" in diff) {
+          summary.push(`${field} changed from ${diff.from ?? "none"} to ${diff.to ?? "none"}`);
+        } else {
+          summary.push(
+            `${field}: ${[
+              ...diff.added.map((item) => `+${item}`),
+              ...diff.removed.map((item) => `-${item}`),
+            ].join(", ")}`
+          );
+        }
+    }
+  });
+
+  return summary;
+};
+
+module.exports = {
+  diffRecipeContent,
+  summarizeRecipeDiff,
+};
@@ -0,0 +1,143 @@
+const Joi = require("joi");
+const Recipe = require("../models/Recipe");
+
+// Enums come from the Recipe model so generated output always fits it
+const DIFFICULTIES = Recipe.schema.path("difficulty").enumValues;
+const MEAL_TYPES = Recipe.schema.path("mealType").caster.enumValues;
+const DIETARY_FLAGS = Object.keys(Recipe.schema.tree.dietaryInfo);
+const NUTRIENTS = ["calories", "protein", "carbs", "fat", "fiber"];
+
+// Amounts are stored as text, but models often emit plain numbers
+const amountSchema = Joi.alternatives()
+  .try(Joi.string().trim().min(1), Joi.number().positive())
+  .required();
+
+const generatedRecipeSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().trim().max(1000).allow("").default(""),
+  ingredients: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().trim().min(1).required(),
+        amount: amountSchema,
+        unit: Joi.string().trim().allow("").default(""),
+      })
+    )
+    .min(1)
+    .required(),
+  instructions: Joi.array()
+    .items(
+      Joi.object({
+        stepNumber: Joi.number().integer().min(1).required(),
+        description: Joi.string().trim().min(1).required(),
+        duration: Joi.string().trim().allow("").default(""),
+      })
+    )
+    .min(1)
+    .required()
+    .custom((steps, helpers) => {
+      const outOfOrder = steps.findIndex(
+        (step, index) => step.stepNumber !== index + 1
+      );
+      if (outOfOrder !== -1) {
+        return helpers.message(
+          `"instructions" stepNumber values must be sequential starting at 1 (step at position ${
+            outOfOrder + 1
+          } has stepNumber ${steps[outOfOrder].stepNumber})`
+        );
+      }
+      return steps;
+    }),
+  cookingTime: Joi.object({
+    prep: Joi.number().integer().min(0).required(),
+    cook: Joi.number().integer().min(0).required(),
+    total: Joi.number().integer().min(0),
+  }).required(),
+  difficulty: Joi.string()
+    .valid(...DIFFICULTIES)
+    .required(),
+  cuisine: Joi.string().trim().allow("").default(""),
+  mealType: Joi.array()
+    .items(Joi.string().valid(...MEAL_TYPES))
+    .single()
+    .min(1)
+    .required(),
+  dietaryInfo: Joi.object(
+    Object.fromEntries(DIETARY_FLAGS.map((flag) => [flag, Joi.boolean().required()]))
+  ).required(),
+  nutritionalInfo: Joi.object(
+    Object.fromEntries(
+      NUTRIENTS.map((nutrient) => [nutrient, Joi.number().min(0).required()])
+    )
+  ).required(),
+  tags: Joi.array().items(Joi.string().trim().lowercase()).default([]),
+});
+
+// JSON Schema for providers that support response_format "json_schema".
+// Strict mode requires every property to be listed as required.
+const strictObject = (properties) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false,
+});
+
+const recipeJsonSchema = strictObject({
+  title: { type: "string" },
+  description: { type: "string" },
+  ingredients: {
+    type: "array",
+    items: strictObject({
+      name: { type: "string" },
+      amount: { type: "string" },
+      unit: { type: "string" },
+    }),
+  },
+  instructions: {
+    type: "array",
+    items: strictObject({
+      stepNumber: { type: "integer" },
+      description: { type: "string" },
+      duration: { type: "string" },
+    }),
+  },
+  cookingTime: strictObject({
+    prep: { type: "integer" },
+    cook: { type: "integer" },
+    total: { type: "integer" },
+  }),
+  difficulty: { type: "string", enum: DIFFICULTIES },
+  cuisine: { type: "string" },
+  mealType: { type: "array", items: { type: "string", enum: MEAL_TYPES } },
+  dietaryInfo: strictObject(
+    Object.fromEntries(DIETARY_FLAGS.map((flag) => [flag, { type: "boolean" }]))
+  ),
+  nutritionalInfo: strictObject(
+    Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, { type: "number" }]))
+  ),
+  tags: { type: "array", items: { type: "string" } },
+});
+
+// Validate parsed model output. Returns { value } or { errors: [String] }.
+const validateGeneratedRecipe = (recipe) => {
+  const { error, value } = generatedRecipeSchema.validate(recipe, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return { errors: error.details.map((detail) => detail.message) };
+  }
+
+  value.ingredients.forEach((ingredient) => {
+    ingredient.amount = String(ingredient.amount);
+  });
+  value.cookingTime.total = value.cookingTime.prep + value.cookingTime.cook;
+
+  return { value };
+};
+
+module.exports = {
+  recipeJsonSchema,
+  validateGeneratedRecipe,
+};
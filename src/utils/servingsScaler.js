@@ -0,0 +1,111 @@
+const { parseQuantity, formatQuantity } = require("./quantity");
+const { UNITS, resolveUnit, inflectUnit, pickUnit } = require("./units");
+
+// Amounts that don't scale with the number of servings
+const NON_SCALABLE_PATTERN =
+  /\b(to taste|as needed|as required|for garnish|for serving|optional|pinch|dash|splash)\b/i;
+
+// Scale one ingredient. Amounts without a leading quantity ("to taste") are
+// returned unchanged with scalable: false.
+const scaleIngredient = (ingredient, factor) => {
+  const { amount, unit } = ingredient;
+  const quantity = parseQuantity(amount);
+
+  if (!quantity || NON_SCALABLE_PATTERN.test(`${amount} ${unit || ""}`)) {
+    return { ...ingredient, scalable: false };
+  }
+
+  let min = quantity.min * factor;
+  let max = quantity.max !== undefined ? quantity.max * factor : undefined;
+  let { suffix } = quantity;
+  let scaledUnit = unit;
+  let resultKey = null;
+
+  // The unit is usually in `unit`, but models sometimes write "2 cups"
+  const unitInAmount = !unit && resolveUnit(suffix);
+  const unitKey = unitInAmount || resolveUnit(unit);
+
+  if (unitKey) {
+    const picked = pickUnit(min, unitKey);
+    resultKey = picked.unit;
+    if (picked.unit !== unitKey) {
+      const ratio = picked.value / min;
+      min = picked.value;
+      max = max !== undefined ? max * ratio : undefined;
+      if (unitInAmount) {
+        suffix = picked.unit;
+      } else {
+        scaledUnit = picked.unit;
+      }
+    }
+  }
+
+  // Units agree with the amount as shown: "1 cup", "1 1/2 cups"
+  const formatOptions = {
+    decimal: !!resultKey && UNITS[resultKey].system === "metric",
+  };
+  const shown = parseQuantity(formatQuantity({ min, max }, formatOptions));
+  const count = shown.max !== undefined ? shown.max : shown.min;
+  if (unitInAmount) {
+    suffix = inflectUnit(suffix, count);
+  } else if (scaledUnit) {
+    scaledUnit = inflectUnit(scaledUnit, count);
+  }
+
+  return {
+    ...ingredient,
+    amount: formatQuantity({ min, max, suffix }, formatOptions),
+    unit: scaledUnit,
+    scalable: true,
+  };
+};
+
+const scaleNutrition = (nutritionalInfo, factor) =>
+  Object.fromEntries(
+    Object.entries(nutritionalInfo || {}).map(([nutrient, value]) => [
+      nutrient,
+      typeof value === "number" ? Math.round(value * factor * 10) / 10 : value,
+    ])
+  );
+
+// Rescale a recipe to a number of servings. Returns a plain copy of the
+// recipe with scaled ingredients and nutrition, plus scaling details.
+const scaleRecipe = (recipe, servings) => {
+  const source = recipe.toObject ? recipe.toObject() : recipe;
+  const factor = servings / source.servings;
+  const ingredients = source.ingredients.map((ingredient) =>
+    scaleIngredient(ingredient, factor)
+  );
+
+  return {
+    recipe: {
+      ...source,
+      servings,
+      ingredients,
+      nutritionalInfo: scaleNutrition(source.nutritionalInfo, factor),
+      ...(source.nutrition && {
+        nutrition: {
+          ...source.nutrition,
+          ai:
+            source.nutrition.ai &&
+            scaleNutrition(source.nutrition.ai, factor),
+          computed: scaleNutrition(source.nutrition.computed, factor),
+        },
+      }),
+    },
+    scaling: {
+      originalServings: source.servings,
+      servings,
+      factor: Math.round(factor * 10000) / 10000,
+      nonScalable: ingredients
+        .filter((ingredient) => !ingredient.scalable)
+        .map((ingredient) => ingredient.name),
+    },
+  };
+};
+
+module.exports = {
+  NON_SCALABLE_PATTERN,
+  scaleIngredient,
+  scaleRecipe,
+};
@@ -0,0 +1,96 @@
+// Helpers for recipe search: splitting queries into terms, typo distance and
+// highlighting.
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Lowercase words of a text. Dropping everything else also removes the
+// phrase and negation syntax of MongoDB text search.
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || [];
+
+// Rough English stem, close enough to MongoDB's stemming to tell which words
+// a text search matched ("baking", "baked" and "bake" share "bak")
+const stem = (word) => {
+  const lower = word.toLowerCase();
+  if (lower.length <= 3) return lower;
+  if (lower.endsWith("ies")) return `${lower.slice(0, -3)}y`;
+
+  let stemmed = lower;
+  const suffix = lower.match(/(ing|ed|es|s)$/);
+  if (
+    suffix &&
+    !lower.endsWith("ss") &&
+    lower.length - suffix[0].length >= 3
+  ) {
+    stemmed = lower.slice(0, -suffix[0].length);
+  }
+  return stemmed.length > 3 ? stemmed.replace(/e$/, "") : stemmed;
+};
+
+// Edit distance between two words where swapping adjacent letters counts as
+// one edit. Stops early and returns max + 1 once the distance exceeds max.
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      nextRow[j] = Math.min(
+        row[j] + 1,
+        nextRow[j - 1] + 1,
+        row[j - 1] + cost
+      );
+      if (
+        previousRow &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+      }
+    }
+    if (Math.min(...nextRow) > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+// HTML-escaped text with words sharing a stem with one of the terms wrapped
+// in <mark>, or null when nothing matches
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const stems = new Set(terms.map(stem));
+  const parts = [];
+  let position = 0;
+
+  for (const match of String(text).matchAll(/[A-Za-z0-9]+/g)) {
+    if (!stems.has(stem(match[0]))) continue;
+    parts.push(escapeHtml(text.slice(position, match.index)));
+    parts.push(`<mark>${escapeHtml(match[0])}</mark>`);
+    position = match.index + match[0].length;
+  }
+
+  if (parts.length === 0) return null;
+  parts.push(escapeHtml(text.slice(position)));
+  return parts.join("");
+};
+
+module.exports = {
+  tokenize,
+  stem,
+  editDistance,
+  highlight,
+};
@@ -0,0 +1,175 @@
+const { CUP_ML, UNITS, resolveUnit, pickUnitForBase } = require("./units");
+const { parseQuantity, formatQuantity } = require("./quantity");
+const { normalizeIngredient } = require("./ingredientNormalizer");
+
+const UNIT_SYSTEMS = ["metric", "imperial"];
+
+// Grams per US cup of ingredients that metric kitchens weigh and US kitchens
+// measure by volume. Keys are normalized ingredient names.
+const DENSITIES = {
+  flour: 125,
+  "bread flour": 130,
+  "whole wheat flour": 120,
+  "almond flour": 96,
+  cornstarch: 128,
+  sugar: 200,
+  "brown sugar": 220,
+  "powdered sugar": 120,
+  "icing sugar": 120,
+  honey: 340,
+  "maple syrup": 315,
+  butter: 227,
+  "peanut butter": 258,
+  salt: 288,
+  "baking powder": 230,
+  "baking soda": 220,
+  "cocoa powder": 85,
+  "chocolate chip": 170,
+  oat: 90,
+  rice: 185,
+  quinoa: 170,
+  lentil: 190,
+  breadcrumb: 108,
+  parmesan: 100,
+  cheese: 113,
+  almond: 143,
+  walnut: 120,
+  raisin: 150,
+  yogurt: 245,
+};
+
+// Density for an ingredient name, matching the longest table entry that is
+// the whole name or its last words ("unsalted butter" -> butter)
+const findDensity = (name) => {
+  const normalized = normalizeIngredient(name);
+  const key = Object.keys(DENSITIES)
+    .filter((entry) => normalized === entry || normalized.endsWith(` ${entry}`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return key ? DENSITIES[key] : null;
+};
+
+// Canonical unit for an ingredient ("Tablespoons" -> "tbsp"). A unit written
+// into the amount ("2 cups" with no unit) is moved to `unit`. Unknown units
+// are kept as written. Returns { amount, unit }.
+const canonicalizeIngredientUnit = ({ amount, unit }) => {
+  if (unit) {
+    return { amount, unit: resolveUnit(unit) || unit.trim() };
+  }
+
+  const quantity = parseQuantity(amount);
+  const unitKey = quantity && resolveUnit(quantity.suffix);
+  if (!unitKey) return { amount, unit };
+
+  const text = String(amount).trim();
+  return {
+    amount: text.slice(0, text.length - quantity.suffix.length).trim(),
+    unit: unitKey,
+  };
+};
+
+// Convert an ingredient to a unit system. Ingredients with a known density
+// switch between weight (metric) and volume (imperial); spoons, unknown
+// units and amounts without a quantity are left unchanged.
+const convertIngredient = (ingredient, system) => {
+  // Recipes saved before units were canonicalized may still hold "2 cups"
+  const { amount, unit: unitText } = canonicalizeIngredientUnit(ingredient);
+  const quantity = parseQuantity(amount);
+  const unitKey = resolveUnit(unitText);
+  if (!quantity || !unitKey || UNITS[unitKey].universal) return ingredient;
+
+  const unit = UNITS[unitKey];
+  const density = findDensity(ingredient.name);
+  const dimension = density
+    ? system === "metric"
+      ? "weight"
+      : "volume"
+    : unit.dimension;
+
+  if (unit.system === system && unit.dimension === dimension) {
+    return ingredient;
+  }
+
+  // Amount in ml or g, switched to the target dimension
+  let baseValue = quantity.min * unit.base;
+  if (dimension !== unit.dimension) {
+    baseValue =
+      dimension === "weight"
+        ? (baseValue / CUP_ML) * density
+        : (baseValue / density) * CUP_ML;
+  }
+
+  const picked = pickUnitForBase(baseValue, dimension, system);
+  const ratio = picked.value / quantity.min;
+
+  return {
+    ...ingredient,
+    amount: formatQuantity(
+      {
+        min: picked.value,
+        max: quantity.max !== undefined ? quantity.max * ratio : undefined,
+        suffix: quantity.suffix,
+      },
+      { decimal: system === "metric" }
+    ),
+    unit: picked.unit,
+  };
+};
+
+// "350°F", "180 °C", "200 degrees Celsius"
+const TEMPERATURE_PATTERN =
+  /(\d{2,3})\s*(?:°|º|degrees?)?\s*(F|C|[Ff]ahrenheit|[Cc]elsius)\b/g;
+
+// Convert temperatures in instruction text to °C (metric) or °F (imperial).
+// Text that already gives both scales is left as is.
+const convertTemperatures = (text, system) => {
+  if (!text) return text;
+
+  const scales = new Set(
+    [...text.matchAll(TEMPERATURE_PATTERN)].map(([, , scale]) =>
+      scale[0].toUpperCase()
+    )
+  );
+  if (scales.size !== 1) return text;
+
+  const target = system === "metric" ? "C" : "F";
+
+  return text.replace(TEMPERATURE_PATTERN, (match, value, scale) => {
+    if (scale[0].toUpperCase() === target) return match;
+
+    const converted =
+      target === "C" ? ((Number(value) - 32) * 5) / 9 : (Number(value) * 9) / 5 + 32;
+    // Oven dials go in steps of 5 °C / 25 °F
+    const step =
+      target === "C" ? (converted >= 100 ? 5 : 1) : converted >= 250 ? 25 : 1;
+    const rounded = Math.round(converted / step) * step;
+
+    return `${rounded}°${target}`;
+  });
+};
+
+// Plain copy of a recipe with ingredient amounts and instruction temperatures
+// converted to a unit system
+const convertRecipe = (recipe, system) => {
+  const source = recipe.toObject ? recipe.toObject() : recipe;
+
+  return {
+    ...source,
+    ingredients: source.ingredients.map((ingredient) =>
+      convertIngredient(ingredient, system)
+    ),
+    instructions: source.instructions.map((step) => ({
+      ...step,
+      description: convertTemperatures(step.description, system),
+    })),
+  };
+};
+
+module.exports = {
+  UNIT_SYSTEMS,
+  findDensity,
+  canonicalizeIngredientUnit,
+  convertIngredient,
+  convertTemperatures,
+  convertRecipe,
+};
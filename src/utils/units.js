@@ -0,0 +1,181 @@
+// Measurement units recognized in recipe ingredients. Each unit has a size in
+// the base unit of its dimension (ml for volume, g for weight) and a system
+// (metric or imperial). Units in a system's ladder are used to pick a
+// sensible unit for a quantity; spoons are used in both systems.
+
+// US cup in ml; spoons are exact fractions of it so 3 tsp is exactly 1 tbsp
+const CUP_ML = 236.588;
+
+const UNITS = {
+  tsp: {
+    dimension: "volume",
+    system: "imperial",
+    base: CUP_ML / 48,
+    minimum: 0,
+    universal: true,
+    aliases: ["tsp", "tsps", "t", "teaspoon", "teaspoons"],
+  },
+  tbsp: {
+    dimension: "volume",
+    system: "imperial",
+    base: CUP_ML / 16,
+    minimum: 1,
+    universal: true,
+    aliases: ["tbsp", "tbsps", "tbs", "tbl", "T", "tablespoon", "tablespoons"],
+  },
+  cup: {
+    dimension: "volume",
+    system: "imperial",
+    base: CUP_ML,
+    minimum: 0.25,
+    aliases: ["cup", "cups", "c"],
+  },
+  "fl oz": {
+    dimension: "volume",
+    system: "imperial",
+    base: CUP_ML / 8,
+    ladder: false,
+    aliases: ["fl oz", "fl. oz", "fl.oz", "floz", "fluid ounce", "fluid ounces"],
+  },
+  pint: {
+    dimension: "volume",
+    system: "imperial",
+    base: CUP_ML * 2,
+    ladder: false,
+    aliases: ["pint", "pints", "pt"],
+  },
+  quart: {
+    dimension: "volume",
+    system: "imperial",
+    base: CUP_ML * 4,
+    ladder: false,
+    aliases: ["quart", "quarts", "qt"],
+  },
+  gallon: {
+    dimension: "volume",
+    system: "imperial",
+    base: CUP_ML * 16,
+    ladder: false,
+    aliases: ["gallon", "gallons", "gal"],
+  },
+  ml: {
+    dimension: "volume",
+    system: "metric",
+    base: 1,
+    minimum: 0,
+    aliases: ["ml", "mL", "milliliter", "milliliters", "millilitre", "millilitres"],
+  },
+  l: {
+    dimension: "volume",
+    system: "metric",
+    base: 1000,
+    minimum: 1,
+    aliases: ["l", "L", "liter", "liters", "litre", "litres"],
+  },
+  oz: {
+    dimension: "weight",
+    system: "imperial",
+    base: 28.3495,
+    minimum: 0,
+    aliases: ["oz", "ounce", "ounces"],
+  },
+  lb: {
+    dimension: "weight",
+    system: "imperial",
+    base: 453.592,
+    minimum: 1,
+    aliases: ["lb", "lbs", "pound", "pounds"],
+  },
+  g: {
+    dimension: "weight",
+    system: "metric",
+    base: 1,
+    minimum: 0,
+    aliases: ["g", "gr", "gram", "grams", "gramme", "grammes"],
+  },
+  kg: {
+    dimension: "weight",
+    system: "metric",
+    base: 1000,
+    minimum: 1,
+    aliases: ["kg", "kgs", "kilogram", "kilograms"],
+  },
+};
+
+// Case-sensitive aliases ("T" is a tablespoon, "t" a teaspoon) are checked
+// before the lower-cased lookup
+const EXACT_ALIASES = new Map();
+const ALIASES = new Map();
+Object.entries(UNITS).forEach(([key, unit]) => {
+  unit.aliases.forEach((alias) => {
+    EXACT_ALIASES.set(alias, key);
+    if (!ALIASES.has(alias.toLowerCase())) ALIASES.set(alias.toLowerCase(), key);
+  });
+});
+
+// Unit key for free-text unit ("Tablespoons", "tbsp.") or null if unknown
+const resolveUnit = (text) => {
+  if (!text) return null;
+  const cleaned = String(text).trim().replace(/\.$/, "");
+  return EXACT_ALIASES.get(cleaned) || ALIASES.get(cleaned.toLowerCase()) || null;
+};
+
+// Unit text in the singular or plural to go with an amount of value, for
+// units written in both forms ("cup"/"cups"). Abbreviations ("tsp", "lb")
+// are made singular but not plural; other text is returned unchanged.
+const inflectUnit = (text, value) => {
+  const key = resolveUnit(text);
+  if (!key) return text;
+
+  const cleaned = String(text).trim();
+  const isAbbreviation = !/[aeiou]/i.test(cleaned);
+  if (value > 1 && isAbbreviation) return cleaned;
+
+  const inflected = value > 1 ? `${cleaned}s` : cleaned.replace(/s$/i, "");
+  return resolveUnit(inflected) === key ? inflected : cleaned;
+};
+
+// Ladder units of the same dimension and system, smallest first
+const getLadder = (dimension, system) =>
+  Object.keys(UNITS)
+    .filter(
+      (key) =>
+        UNITS[key].dimension === dimension &&
+        UNITS[key].system === system &&
+        UNITS[key].ladder !== false
+    )
+    .sort((a, b) => UNITS[a].base - UNITS[b].base);
+
+// Express an amount in base units (ml or g) in the largest ladder unit that
+// keeps it at or above that unit's minimum. Returns { value, unit }.
+const pickUnitForBase = (baseValue, dimension, system) => {
+  const ladder = getLadder(dimension, system);
+
+  const best =
+    ladder
+      .slice()
+      .reverse()
+      .find(
+        (key) => baseValue / UNITS[key].base >= UNITS[key].minimum - 1e-9
+      ) ||
+    ladder[0];
+
+  return { value: baseValue / UNITS[best].base, unit: best };
+};
+
+// Express a quantity of `unitKey` in the best unit of the target system
+// (default: the same system), e.g. 3 tsp -> 1 tbsp, 0.125 cup -> 2 tbsp
+const pickUnit = (value, unitKey, system = UNITS[unitKey].system) => {
+  const unit = UNITS[unitKey];
+  return pickUnitForBase(value * unit.base, unit.dimension, system);
+};
+
+module.exports = {
+  CUP_ML,
+  UNITS,
+  resolveUnit,
+  inflectUnit,
+  getLadder,
+  pickUnitForBase,
+  pickUnit,
+};
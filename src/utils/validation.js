@@ -1,4 +1,5 @@
 const Joi = require("joi");
+const { RECIPE_SORTS } = require("../data/recipeSorts");
 
 // Common validation schemas
 const ingredientSchema = Joi.string().trim().min(1).max(50);
@@ -131,10 +132,8 @@ const recipeQuerySchema = Joi.object({
   isVegan: Joi.string().valid("true", "false"),
   isGlutenFree: Joi.string().valid("true", "false"),
   search: Joi.string().trim().max(100),
-  sortBy: Joi.string()
-    .valid("createdAt", "averageRating", "views", "title")
-    .default("createdAt"),
-  sortOrder: Joi.string().valid("asc", "desc").default("desc"),
+  sortBy: Joi.string().valid(...Object.keys(RECIPE_SORTS)),
+  cursor: Joi.string().allow(""),
 });
 
 // Validation middleware generator
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { body } = require("express-validator");
+const AIQuotaWindow = require("../src/models/AIQuotaWindow");
+const AIUsage = require("../src/models/AIUsage");
+const {
+  aiQuota,
+  startAICall,
+  recordAIUsage,
+} = require("../src/middleware/aiQuota");
+
+const USAGE = { provider: "mock", totalTokens: 120 };
+
+// Response stand-in that can be closed like a finished or dropped response
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.headersSent = false;
+  res.set = () => res;
+  return res;
+};
+
+const makeRequest = (body = {}) => ({
+  user: { _id: "user-1", tier: "free" },
+  body,
+});
+
+// Runs the middleware, resolving once it passed the request on
+const runQuota = (req, res) =>
+  new Promise((resolve) => {
+    aiQuota(req, res, resolve);
+  });
+
+// Wait for the listeners run on close to settle
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("aiQuota", () => {
+  let add;
+  let reserve;
+
+  beforeEach(() => {
+    mock.method(AIQuotaWindow, "ensure", async () => ({
+      generations: 0,
+      tokens: 0,
+    }));
+    reserve = mock.method(AIQuotaWindow, "reserve", async () => true);
+    add = mock.method(AIQuotaWindow, "add", async () => {});
+    mock.method(AIUsage, "record", async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const addedGenerations = () =>
+    add.mock.calls.reduce(
+      (total, call) => total + (call.arguments[2].generations || 0),
+      0
+    );
+
+  it("gives back the reservation when no AI call took it", async () => {
+    const req = makeRequest();
+    const res = fakeResponse();
+    await runQuota(req, res);
+
+    res.emit("close");
+    await flush();
+
+    // One generation per window reserved, then released
+    assert.equal(reserve.mock.callCount(), 2);
+    assert.equal(addedGenerations(), -2);
+    assert.equal(req.aiQuota.reserved, 0);
+  });
+
+  it("keeps the reservation of a call still running when the response closes", async () => {
+    const req = makeRequest();
+    const res = fakeResponse();
+    await runQuota(req, res);
+
+    startAICall(req);
+    // Timed out or disconnected before the AI answered
+    res.emit("close");
+    await flush();
+    assert.equal(add.mock.callCount(), 0);
+
+    await recordAIUsage(req, res, { operation: "generate", usage: USAGE });
+
+    assert.equal(addedGenerations(), 0);
+    assert.equal(add.mock.calls[0].arguments[2].tokens, USAGE.totalTokens);
+    assert.equal(req.aiQuota.reserved, 0);
+  });
+
+  it("gives back the reservation of a call that failed after the response closed", async () => {
+    const req = makeRequest();
+    const res = fakeResponse();
+    await runQuota(req, res);
+
+    startAICall(req);
+    res.emit("close");
+    await flush();
+    await recordAIUsage(req, res, { operation: "generate", status: "failed" });
+
+    assert.equal(addedGenerations(), -2);
+  });
+
+  it("doesn't reserve for requests that failed validation", async () => {
+    const req = makeRequest({ servings: "many" });
+    await body("servings").isInt().run(req);
+
+    await runQuota(req, fakeResponse());
+
+    assert.equal(reserve.mock.callCount(), 0);
+    assert.equal(req.aiQuota, undefined);
+  });
+});
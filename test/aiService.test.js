@@ -0,0 +1,195 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.AI_PROVIDER = "mock";
+
+const aiService = require("../src/services/aiService");
+const config = require("../src/config/config");
+const { MockProvider, AIServiceError } = require("../src/services/llm");
+
+const BUNDLED_FIXTURES = path.join(
+  __dirname,
+  "..",
+  "src",
+  "services",
+  "llm",
+  "fixtures"
+);
+const defaultRecipe = JSON.parse(
+  fs.readFileSync(path.join(BUNDLED_FIXTURES, "default.json"), "utf8")
+).response;
+
+const INVALID_ANSWER = { match: [], response: "Sorry, here is a recipe: Soup." };
+
+// Fixtures dir holding { name: fixture } as JSON files
+const createFixtures = (fixtures) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cookly-fixtures-"));
+  Object.entries(fixtures).forEach(([name, fixture]) => {
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(fixture));
+  });
+  return dir;
+};
+
+describe("aiService with the mock provider", () => {
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+    aiService.setProvider(new MockProvider());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("reports the mock provider", () => {
+    assert.deepEqual(aiService.getStatus(), {
+      provider: "mock",
+      model: "mock",
+      endpoint: BUNDLED_FIXTURES,
+      configured: true,
+    });
+  });
+
+  it("generates a validated recipe with generation metadata", async () => {
+    const recipe = await aiService.generateRecipe(["chicken", "rice"], {
+      servings: 3,
+    });
+
+    assert.equal(recipe.title, defaultRecipe.title);
+    assert.equal(recipe.ingredients.length, defaultRecipe.ingredients.length);
+    assert.equal(recipe.servings, 3);
+    assert.equal(recipe.generatedBy, "mock");
+    assert.deepEqual(recipe.inputIngredients, ["chicken", "rice"]);
+    assert.match(recipe.generationPrompt, /chicken, rice/);
+    assert.equal(recipe.generationUsage.provider, "mock");
+    assert.equal(
+      recipe.generationUsage.totalTokens,
+      recipe.generationUsage.promptTokens +
+        recipe.generationUsage.completionTokens
+    );
+  });
+
+  it("streams the same recipe, reporting the text received so far", async () => {
+    const texts = [];
+
+    const recipe = await aiService.streamRecipe(
+      ["chicken", "rice"],
+      { servings: 3 },
+      { onText: (text) => texts.push(text) }
+    );
+
+    assert.equal(recipe.title, defaultRecipe.title);
+    assert.ok(texts.length > 1);
+    texts.slice(1).forEach((text, index) => {
+      assert.ok(text.startsWith(texts[index]));
+    });
+    assert.deepEqual(JSON.parse(texts[texts.length - 1]), defaultRecipe);
+  });
+
+  it("rejects recipes with one of the allergies after repair attempts", async () => {
+    await assert.rejects(
+      aiService.generateRecipe(["chicken"], { allergies: ["soy"] }),
+      (error) => {
+        assert.ok(error instanceof AIServiceError);
+        assert.equal(error.statusCode, 502);
+        assert.deepEqual(error.details, [
+          '"ingredients" must not contain soy (found in: soy sauce)',
+        ]);
+        assert.equal(error.usage.provider, "mock");
+        return true;
+      }
+    );
+  });
+
+  it("answers the connection test", async () => {
+    const result = await aiService.testConnection();
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, "mock");
+    assert.equal(result.response, "Hello from the mock AI provider!");
+  });
+
+  describe("with invalid answers", () => {
+    let repairedDir;
+    let invalidDir;
+
+    before(() => {
+      // The repair prompt gets the bundled recipe, anything else doesn't
+      repairedDir = createFixtures({
+        default: INVALID_ANSWER,
+        repair: { match: ["not a valid recipe"], response: defaultRecipe },
+      });
+      invalidDir = createFixtures({ default: INVALID_ANSWER });
+    });
+
+    after(() => {
+      fs.rmSync(repairedDir, { recursive: true, force: true });
+      fs.rmSync(invalidDir, { recursive: true, force: true });
+    });
+
+    it("asks the model to repair its answer", async () => {
+      const provider = new MockProvider({ fixturesDir: repairedDir });
+      aiService.setProvider(provider);
+      const complete = mock.method(provider, "complete");
+
+      const recipe = await aiService.generateRecipe(["chicken", "rice"]);
+
+      assert.equal(recipe.title, defaultRecipe.title);
+      assert.equal(complete.mock.callCount(), 2);
+      assert.match(
+        complete.mock.calls[1].arguments[0].messages.at(-1).content,
+        /Response is not valid JSON/
+      );
+      // Usage counts both calls
+      const [first, repair] = await Promise.all(
+        complete.mock.calls.map((call) => call.result)
+      );
+      assert.equal(
+        recipe.generationUsage.totalTokens,
+        first.usage.totalTokens + repair.usage.totalTokens
+      );
+    });
+
+    it("gives up with a 502 after the repair attempts", async () => {
+      const provider = new MockProvider({ fixturesDir: invalidDir });
+      aiService.setProvider(provider);
+      const complete = mock.method(provider, "complete");
+
+      await assert.rejects(aiService.generateRecipe(["chicken"]), (error) => {
+        assert.ok(error instanceof AIServiceError);
+        assert.equal(error.statusCode, 502);
+        assert.match(error.details[0], /Response is not valid JSON/);
+        // Tokens were spent on every attempt
+        assert.equal(error.usage.provider, "mock");
+        assert.ok(error.usage.totalTokens > 0);
+        return true;
+      });
+      assert.equal(complete.mock.callCount(), 1 + config.aiMaxRepairAttempts);
+    });
+  });
+
+  it("fails when the provider isn't configured", async () => {
+    aiService.setProvider(
+      new MockProvider({ fixturesDir: path.join(os.tmpdir(), "missing-dir") })
+    );
+
+    await assert.rejects(
+      aiService.generateRecipe(["chicken"]),
+      (error) =>
+        error instanceof AIServiceError &&
+        error.message === 'AI provider "mock" is not configured'
+    );
+  });
+});
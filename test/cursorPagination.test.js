@@ -0,0 +1,246 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  withTiebreak,
+  encodeCursor,
+  decodeCursor,
+  findCursorPage,
+  findOffsetPage,
+} = require("../src/utils/cursorPagination");
+
+const NEWEST = { sort: "newest", keys: { createdAt: -1 } };
+const TOP_RATED = { sort: "top-rated", keys: { ratingScore: -1, createdAt: -1 } };
+
+const makeDoc = (index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: `Recipe ${index}`,
+  ratingScore: index % 3,
+  createdAt: new Date(Date.UTC(2024, 0, index + 1)),
+});
+
+// Model stand-in returning docs for every aggregation and recording the
+// pipelines it was given
+const fakeModel = (docs, total = docs.length) => {
+  const pipelines = [];
+  return {
+    pipelines,
+    aggregate: async (pipeline) => {
+      pipelines.push(pipeline);
+      const limit = pipeline.find((stage) => stage.$limit);
+      return docs.slice(0, limit ? limit.$limit : docs.length);
+    },
+    countDocuments: async () => total,
+  };
+};
+
+describe("withTiebreak", () => {
+  it("adds _id in the direction of the last key", () => {
+    assert.deepEqual(withTiebreak({ ratingScore: -1, title: 1 }), {
+      ratingScore: -1,
+      title: 1,
+      _id: 1,
+    });
+    assert.deepEqual(withTiebreak({ createdAt: -1 }), { createdAt: -1, _id: -1 });
+  });
+});
+
+describe("encodeCursor / decodeCursor", () => {
+  it("round-trips sort values, dates and the id", () => {
+    const doc = makeDoc(4);
+    const cursor = encodeCursor(doc, { ...TOP_RATED, direction: "next" });
+
+    assert.deepEqual(decodeCursor(cursor, TOP_RATED), {
+      direction: "next",
+      values: [doc.ratingScore, doc.createdAt],
+      id: doc._id,
+    });
+  });
+
+  it("encodes missing values as null", () => {
+    const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date() };
+    const cursor = encodeCursor(doc, { ...TOP_RATED, direction: "prev" });
+
+    assert.deepEqual(decodeCursor(cursor, TOP_RATED).values, [
+      null,
+      doc.createdAt,
+    ]);
+  });
+
+  it("rejects cursors of another sort", () => {
+    const cursor = encodeCursor(makeDoc(1), { ...NEWEST, direction: "next" });
+
+    assert.equal(decodeCursor(cursor, TOP_RATED), null);
+  });
+
+  it("rejects malformed cursors", () => {
+    const encode = (payload) =>
+      Buffer.from(JSON.stringify(payload)).toString("base64url");
+    const id = String(new mongoose.Types.ObjectId());
+
+    assert.equal(decodeCursor("not a cursor", NEWEST), null);
+    assert.equal(decodeCursor(encode(null), NEWEST), null);
+    assert.equal(
+      decodeCursor(encode({ s: "newest", d: "up", v: [null], id }), NEWEST),
+      null
+    );
+    assert.equal(
+      decodeCursor(encode({ s: "newest", d: "next", v: [null], id: "x" }), NEWEST),
+      null
+    );
+    assert.equal(
+      decodeCursor(encode({ s: "newest", d: "next", v: [], id }), NEWEST),
+      null
+    );
+    assert.equal(
+      decodeCursor(
+        encode({ s: "newest", d: "next", v: [{ date: "soon" }], id }),
+        NEWEST
+      ),
+      null
+    );
+  });
+});
+
+describe("findCursorPage", () => {
+  const docs = Array.from({ length: 5 }, (_, index) => makeDoc(index));
+
+  it("reads one more document than the limit to tell if there are more", async () => {
+    const model = fakeModel(docs);
+
+    const { items, pagination } = await findCursorPage(model, { isPublic: true }, {
+      ...NEWEST,
+      limit: 3,
+    });
+
+    assert.deepEqual(items, docs.slice(0, 3));
+    assert.deepEqual(model.pipelines[0], [
+      { $match: { isPublic: true } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $limit: 4 },
+    ]);
+    assert.equal(pagination.hasNextPage, true);
+    assert.equal(pagination.hasPrevPage, false);
+    assert.equal(pagination.prevCursor, null);
+    assert.deepEqual(decodeCursor(pagination.nextCursor, NEWEST), {
+      direction: "next",
+      values: [docs[2].createdAt],
+      id: docs[2]._id,
+    });
+  });
+
+  it("continues after a cursor", async () => {
+    const model = fakeModel(docs.slice(3));
+    const cursor = decodeCursor(
+      encodeCursor(docs[2], { ...NEWEST, direction: "next" }),
+      NEWEST
+    );
+
+    const { items, pagination } = await findCursorPage(model, {}, {
+      ...NEWEST,
+      cursor,
+      limit: 3,
+    });
+
+    assert.deepEqual(items, docs.slice(3));
+    assert.deepEqual(model.pipelines[0][1], {
+      $match: {
+        $or: [
+          {
+            $or: [
+              { createdAt: { $lt: docs[2].createdAt } },
+              { createdAt: null },
+            ],
+          },
+          {
+            $and: [
+              { createdAt: docs[2].createdAt },
+              { $or: [{ _id: { $lt: docs[2]._id } }, { _id: null }] },
+            ],
+          },
+        ],
+      },
+    });
+    assert.equal(pagination.hasNextPage, false);
+    assert.equal(pagination.nextCursor, null);
+    assert.equal(pagination.hasPrevPage, true);
+    assert.equal(decodeCursor(pagination.prevCursor, NEWEST).direction, "prev");
+  });
+
+  it("reads previous pages in reverse and flips them", async () => {
+    // Documents before docs[3], nearest first
+    const model = fakeModel([docs[2], docs[1], docs[0]]);
+    const cursor = decodeCursor(
+      encodeCursor(docs[3], { ...NEWEST, direction: "prev" }),
+      NEWEST
+    );
+
+    const { items, pagination } = await findCursorPage(model, {}, {
+      ...NEWEST,
+      cursor,
+      limit: 2,
+    });
+
+    assert.deepEqual(model.pipelines[0][2], {
+      $sort: { createdAt: 1, _id: 1 },
+    });
+    assert.deepEqual(items, [docs[1], docs[2]]);
+    assert.equal(pagination.hasNextPage, true);
+    assert.equal(pagination.hasPrevPage, true);
+  });
+
+  it("projects the listed fields and the sort keys before the limit", async () => {
+    const model = fakeModel(docs);
+
+    await findCursorPage(model, {}, {
+      ...TOP_RATED,
+      limit: 2,
+      project: { title: 1, createdAt: 1 },
+    });
+
+    const stages = model.pipelines[0];
+    assert.deepEqual(stages[stages.length - 2], {
+      $project: { title: 1, createdAt: 1, ratingScore: 1 },
+    });
+    assert.deepEqual(stages[stages.length - 1], { $limit: 3 });
+  });
+
+  it("adds the text score for relevance sorts", async () => {
+    const model = fakeModel([]);
+
+    const { items, pagination } = await findCursorPage(
+      model,
+      { $text: { $search: "soup" } },
+      { sort: "relevance", keys: { score: -1 }, textScore: true, limit: 2 }
+    );
+
+    assert.deepEqual(model.pipelines[0][1], {
+      $addFields: { score: { $meta: "textScore" } },
+    });
+    assert.deepEqual(items, []);
+    assert.equal(pagination.hasNextPage, false);
+    assert.equal(pagination.hasPrevPage, false);
+  });
+});
+
+describe("findOffsetPage", () => {
+  it("skips to the page and counts the matches", async () => {
+    const docs = Array.from({ length: 2 }, (_, index) => makeDoc(index));
+    const model = fakeModel(docs, 12);
+
+    const { items, total } = await findOffsetPage(model, { isPublic: true }, {
+      ...NEWEST,
+      page: 3,
+      limit: 5,
+    });
+
+    assert.deepEqual(items, docs);
+    assert.equal(total, 12);
+    assert.deepEqual(model.pipelines[0], [
+      { $match: { isPublic: true } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $skip: 10 },
+      { $limit: 5 },
+    ]);
+  });
+});
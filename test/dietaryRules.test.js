@@ -0,0 +1,124 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const dietaryRules = require("../src/services/dietaryRules");
+
+const carbonara = () => ({
+  servings: 2,
+  ingredients: [
+    { name: "spaghetti", amount: "200", unit: "g" },
+    { name: "parmesan", amount: "50", unit: "g" },
+    { name: "eggs", amount: "2" },
+  ],
+});
+
+describe("dietaryRules.matchIngredient", () => {
+  it("matches allergens by catalog entry and keyword", () => {
+    assert.deepEqual(dietaryRules.matchIngredient({ name: "butter" }), ["milk"]);
+    assert.deepEqual(dietaryRules.matchIngredient({ name: "shrimp" }), [
+      "shellfish",
+    ]);
+    assert.deepEqual(dietaryRules.matchIngredient({ name: "tofu" }), ["soy"]);
+    assert.deepEqual(dietaryRules.matchIngredient({ name: "almond milk" }), [
+      "tree-nuts",
+    ]);
+  });
+
+  it("applies exceptions to keywords", () => {
+    assert.deepEqual(dietaryRules.matchIngredient({ name: "peanut butter" }), [
+      "peanuts",
+    ]);
+    assert.deepEqual(dietaryRules.matchIngredient({ name: "coconut milk" }), []);
+  });
+});
+
+describe("dietaryRules.findAllergens", () => {
+  it("returns the requested allergens with the ingredients containing them", () => {
+    assert.deepEqual(
+      dietaryRules.findAllergens(carbonara(), ["gluten", "milk", "peanuts"]),
+      [
+        { allergen: "gluten", name: "Gluten", ingredients: ["spaghetti"] },
+        { allergen: "milk", name: "Milk", ingredients: ["parmesan"] },
+      ]
+    );
+  });
+});
+
+describe("dietaryRules.checkRecipe", () => {
+  it("turns off claimed flags an ingredient rules out", () => {
+    const { dietaryInfo, allergens, dietaryCheck } = dietaryRules.checkRecipe(
+      carbonara(),
+      { isVegan: true, isVegetarian: true }
+    );
+
+    assert.deepEqual(dietaryInfo, {
+      isVegetarian: true,
+      isVegan: false,
+      isGlutenFree: false,
+      isDairyFree: false,
+      isNutFree: true,
+      isLowCarb: false,
+    });
+    assert.deepEqual(allergens, ["gluten", "milk", "egg"]);
+    assert.deepEqual(dietaryCheck.corrected, ["isVegan", "isNutFree"]);
+    assert.deepEqual(dietaryCheck.sources, [
+      { rule: "gluten", ingredients: ["spaghetti"] },
+      { rule: "milk", ingredients: ["parmesan"] },
+      { rule: "egg", ingredients: ["eggs"] },
+    ]);
+  });
+
+  it("turns on unclaimed flags when every ingredient is known", () => {
+    const { dietaryInfo } = dietaryRules.checkRecipe(
+      {
+        ingredients: [
+          { name: "rice", amount: "1", unit: "cup" },
+          { name: "broccoli", amount: "200", unit: "g" },
+        ],
+      },
+      {}
+    );
+
+    assert.equal(dietaryInfo.isVegan, true);
+    assert.equal(dietaryInfo.isGlutenFree, true);
+    assert.equal(dietaryInfo.isNutFree, true);
+  });
+
+  it("leaves unclaimed flags off when an ingredient is unknown", () => {
+    const { dietaryInfo, dietaryCheck } = dietaryRules.checkRecipe(
+      { ingredients: [{ name: "rice" }, { name: "mystery powder xyz" }] },
+      {}
+    );
+
+    assert.equal(dietaryInfo.isVegan, false);
+    assert.deepEqual(dietaryCheck.unrecognized, ["mystery powder xyz"]);
+  });
+
+  it("checks low carb against the carbs per serving", () => {
+    const recipe = {
+      servings: 4,
+      ingredients: [{ name: "broccoli", amount: "400", unit: "g" }],
+      nutritionalInfo: { carbs: 60 },
+    };
+
+    assert.equal(
+      dietaryRules.checkRecipe(recipe, { isLowCarb: true }).dietaryInfo.isLowCarb,
+      true
+    );
+    // Unclaimed, so only trusted with high confidence computed nutrition
+    assert.equal(dietaryRules.checkRecipe(recipe, {}).dietaryInfo.isLowCarb, false);
+    assert.equal(
+      dietaryRules.checkRecipe(
+        { ...recipe, nutrition: { source: "computed", confidence: "high" } },
+        {}
+      ).dietaryInfo.isLowCarb,
+      true
+    );
+    assert.equal(
+      dietaryRules.checkRecipe(
+        { ...recipe, nutritionalInfo: { carbs: 100 } },
+        { isLowCarb: true }
+      ).dietaryInfo.isLowCarb,
+      false
+    );
+  });
+});
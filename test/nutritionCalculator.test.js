@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const nutritionCalculator = require("../src/services/nutritionCalculator");
+
+const RICE_200G = {
+  calories: 730,
+  protein: 14.2,
+  carbs: 160,
+  fat: 1.4,
+  fiber: 2.6,
+  sugar: 0.2,
+  saturatedFat: 0.4,
+  sodium: 10,
+};
+
+describe("nutritionCalculator.computeRecipe", () => {
+  it("scales the per 100 g values by weight", () => {
+    const { values, confidence, coverage, unmatched } =
+      nutritionCalculator.computeRecipe({
+        ingredients: [{ name: "rice", amount: "200", unit: "g" }],
+      });
+
+    assert.deepEqual(values, RICE_200G);
+    assert.equal(confidence, "high");
+    assert.equal(coverage, 1);
+    assert.deepEqual(unmatched, []);
+  });
+
+  it("weighs volumes, pieces and package units", () => {
+    const byVolume = nutritionCalculator.computeRecipe({
+      ingredients: [{ name: "rice", amount: "1", unit: "cup" }],
+    });
+    const byPiece = nutritionCalculator.computeRecipe({
+      ingredients: [{ name: "egg", amount: "2 large" }],
+    });
+    const byCan = nutritionCalculator.computeRecipe({
+      ingredients: [{ name: "tomato", amount: "1", unit: "can" }],
+    });
+
+    // 185 g per cup, 50 g per egg, 400 g per can
+    assert.equal(byVolume.values.calories, 675);
+    assert.equal(byPiece.values.calories, 143);
+    assert.equal(byCan.values.calories, 72);
+  });
+
+  it("uses the middle of a range", () => {
+    const { values } = nutritionCalculator.computeRecipe({
+      ingredients: [{ name: "rice", amount: "100-300", unit: "g" }],
+    });
+
+    assert.deepEqual(values, RICE_200G);
+  });
+
+  it("reads units written into the amount", () => {
+    const { values } = nutritionCalculator.computeRecipe({
+      ingredients: [{ name: "rice", amount: "1 cup" }],
+    });
+
+    assert.equal(values.calories, 675);
+  });
+
+  it("skips unmeasured amounts and lists unknown ingredients", () => {
+    const { values, confidence, coverage, unmatched } =
+      nutritionCalculator.computeRecipe({
+        ingredients: [
+          { name: "rice", amount: "200", unit: "g" },
+          { name: "salt", amount: "to taste" },
+          { name: "unobtainium", amount: "2", unit: "g" },
+        ],
+      });
+
+    assert.deepEqual(values, RICE_200G);
+    assert.equal(coverage, 0.5);
+    assert.equal(confidence, "low");
+    assert.deepEqual(unmatched, ["unobtainium"]);
+  });
+
+  it("has low confidence without ingredients to count", () => {
+    const { values, confidence, coverage } = nutritionCalculator.computeRecipe({
+      ingredients: [],
+    });
+
+    assert.equal(values.calories, 0);
+    assert.equal(confidence, "low");
+    assert.equal(coverage, 0);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePartialJson } = require("../src/utils/partialJson");
+
+describe("parsePartialJson", () => {
+  it("parses complete documents", () => {
+    assert.deepEqual(parsePartialJson('{"title": "Soup", "servings": 4}'), {
+      title: "Soup",
+      servings: 4,
+    });
+  });
+
+  it("keeps only the values received in full", () => {
+    assert.deepEqual(parsePartialJson('{"title": "Soup", "description": "A wa'), {
+      title: "Soup",
+    });
+    assert.deepEqual(parsePartialJson('{"title": "Soup", "servings": 4'), {
+      title: "Soup",
+    });
+  });
+
+  it("closes open objects and arrays", () => {
+    const text =
+      '{"title": "Soup", "ingredients": [{"name": "leek", "amount": "2"}, {"name": "po';
+
+    assert.deepEqual(parsePartialJson(text), {
+      title: "Soup",
+      ingredients: [{ name: "leek", amount: "2" }],
+    });
+  });
+
+  it("ignores brackets and commas inside strings", () => {
+    assert.deepEqual(
+      parsePartialJson('{"title": "Soup, {quick} [easy]", "tags": ["a'),
+      { title: "Soup, {quick} [easy]" }
+    );
+    assert.deepEqual(parsePartialJson('{"title": "Say \\"hi\\", then", "x'), {
+      title: 'Say "hi", then',
+    });
+  });
+
+  it("skips a leading code fence and text after the document", () => {
+    assert.deepEqual(parsePartialJson('```json\n{"title": "Soup"}\n```'), {
+      title: "Soup",
+    });
+  });
+
+  it("returns null before the first complete value", () => {
+    assert.equal(parsePartialJson(""), null);
+    assert.equal(parsePartialJson("Here is"), null);
+    assert.equal(parsePartialJson('{"title": "So'), null);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseQuantity,
+  formatNumber,
+  formatQuantity,
+} = require("../src/utils/quantity");
+
+describe("parseQuantity", () => {
+  it("parses whole numbers, decimals and fractions", () => {
+    assert.deepEqual(parseQuantity("2"), { min: 2, suffix: "" });
+    assert.deepEqual(parseQuantity("1.5"), { min: 1.5, suffix: "" });
+    assert.deepEqual(parseQuantity("1,5"), { min: 1.5, suffix: "" });
+    assert.deepEqual(parseQuantity("1/2"), { min: 0.5, suffix: "" });
+    assert.deepEqual(parseQuantity("1 1/2 cups"), { min: 1.5, suffix: "cups" });
+  });
+
+  it("parses unicode fractions, alone or after a whole number", () => {
+    assert.deepEqual(parseQuantity("½"), { min: 0.5, suffix: "" });
+    assert.deepEqual(parseQuantity("1½"), { min: 1.5, suffix: "" });
+    assert.deepEqual(parseQuantity("2 ¾ cup"), { min: 2.75, suffix: "cup" });
+  });
+
+  it("parses ranges", () => {
+    assert.deepEqual(parseQuantity("2-3"), { min: 2, max: 3, suffix: "" });
+    assert.deepEqual(parseQuantity("2 to 3 large"), {
+      min: 2,
+      max: 3,
+      suffix: "large",
+    });
+  });
+
+  it("puts the numbers of a reversed range in order", () => {
+    assert.deepEqual(parseQuantity("3-2"), { min: 2, max: 3, suffix: "" });
+    assert.deepEqual(parseQuantity("10-5 g"), { min: 5, max: 10, suffix: "g" });
+    assert.deepEqual(parseQuantity("2-2 cups"), { min: 2, suffix: "cups" });
+  });
+
+  it("returns null without a leading quantity", () => {
+    assert.equal(parseQuantity("to taste"), null);
+    assert.equal(parseQuantity(""), null);
+    assert.equal(parseQuantity(null), null);
+    assert.equal(parseQuantity(undefined), null);
+  });
+});
+
+describe("formatNumber", () => {
+  it("rounds to kitchen fractions below 10", () => {
+    assert.equal(formatNumber(0.5), "1/2");
+    assert.equal(formatNumber(1.5), "1 1/2");
+    assert.equal(formatNumber(0.33), "1/3");
+    assert.equal(formatNumber(2.99), "3");
+  });
+
+  it("never rounds a small amount down to nothing", () => {
+    assert.equal(formatNumber(0.01), "1/8");
+    assert.equal(formatNumber(0.01, { decimal: true }), "0.1");
+  });
+
+  it("uses one decimal when asked", () => {
+    assert.equal(formatNumber(0.33, { decimal: true }), "0.3");
+    assert.equal(formatNumber(2.99, { decimal: true }), "3");
+  });
+
+  it("rounds to whole numbers from 10 up", () => {
+    assert.equal(formatNumber(12.4), "12");
+    assert.equal(formatNumber(12.6, { decimal: true }), "13");
+  });
+});
+
+describe("formatQuantity", () => {
+  it("formats ranges and keeps the suffix", () => {
+    assert.equal(formatQuantity({ min: 2, max: 3, suffix: "large" }), "2-3 large");
+    assert.equal(formatQuantity({ min: 0.5, suffix: "" }), "1/2");
+  });
+
+  it("collapses ranges whose ends format the same", () => {
+    assert.equal(formatQuantity({ min: 12.1, max: 12.3, suffix: "" }), "12");
+  });
+
+  it("round-trips parsed amounts", () => {
+    ["1 1/2 cups", "2-3 large", "3/4"].forEach((text) => {
+      assert.equal(formatQuantity(parseQuantity(text)), text);
+    });
+  });
+});
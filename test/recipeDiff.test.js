@@ -0,0 +1,162 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  diffRecipeContent,
+  summarizeRecipeDiff,
+} = require("../src/utils/recipeDiff");
+
+const baseRecipe = () => ({
+  title: "Tomato Soup",
+  description: "A simple soup.",
+  servings: 4,
+  difficulty: "easy",
+  cuisine: "Italian",
+  mealType: ["lunch"],
+  tags: ["soup"],
+  inputIngredients: ["tomato"],
+  cookingTime: { prep: 10, cook: 20, total: 30 },
+  dietaryInfo: { isVegetarian: true, isVegan: false },
+  nutritionalInfo: { calories: 400, protein: 8 },
+  ingredients: [
+    { name: "tomato", amount: "6", unit: "" },
+    { name: "Cream", amount: "100", unit: "ml" },
+  ],
+  instructions: [
+    { stepNumber: 1, description: "Chop the tomatoes.", duration: "5 minutes" },
+    { stepNumber: 2, description: "Simmer for 20 minutes." },
+  ],
+});
+
+describe("diffRecipeContent", () => {
+  it("finds no changes between equal recipes", () => {
+    assert.deepEqual(diffRecipeContent(baseRecipe(), baseRecipe()), {
+      changedFields: [],
+      changes: {},
+    });
+  });
+
+  it("diffs scalar fields and the keys of nested objects", () => {
+    const to = baseRecipe();
+    to.title = "Creamy Tomato Soup";
+    to.cuisine = undefined;
+    to.cookingTime = { prep: 10, cook: 25, total: 35 };
+    to.dietaryInfo = { isVegetarian: true, isVegan: true };
+
+    const { changedFields, changes } = diffRecipeContent(baseRecipe(), to);
+
+    assert.deepEqual(changedFields, [
+      "title",
+      "cuisine",
+      "cookingTime",
+      "dietaryInfo",
+    ]);
+    assert.deepEqual(changes.title, {
+      from: "Tomato Soup",
+      to: "Creamy Tomato Soup",
+    });
+    assert.deepEqual(changes.cuisine, { from: "Italian", to: null });
+    assert.deepEqual(changes.cookingTime, {
+      cook: { from: 20, to: 25 },
+      total: { from: 30, to: 35 },
+    });
+    assert.deepEqual(changes.dietaryInfo, { isVegan: { from: false, to: true } });
+  });
+
+  it("lists added and removed list entries", () => {
+    const to = baseRecipe();
+    to.tags = ["soup", "vegan"];
+    to.mealType = [];
+
+    const { changes } = diffRecipeContent(baseRecipe(), to);
+
+    assert.deepEqual(changes.tags, { added: ["vegan"], removed: [] });
+    assert.deepEqual(changes.mealType, { added: [], removed: ["lunch"] });
+  });
+
+  it("matches ingredients by name regardless of case", () => {
+    const to = baseRecipe();
+    to.ingredients = [
+      { name: "Tomato", amount: "8", unit: "" },
+      { name: "cream", amount: "100", unit: "ml" },
+      { name: "basil", amount: "1", unit: "handful" },
+    ];
+
+    const { changes } = diffRecipeContent(baseRecipe(), to);
+
+    assert.deepEqual(changes.ingredients, {
+      added: [{ name: "basil", amount: "1", unit: "handful" }],
+      removed: [],
+      changed: [
+        {
+          name: "Tomato",
+          from: { amount: "6", unit: "" },
+          to: { amount: "8", unit: "" },
+        },
+      ],
+    });
+  });
+
+  it("matches instructions by position", () => {
+    const to = baseRecipe();
+    to.instructions = [
+      { stepNumber: 1, description: "Chop the tomatoes.", duration: "5 minutes" },
+      { stepNumber: 2, description: "Simmer for 30 minutes." },
+      { stepNumber: 3, description: "Blend." },
+    ];
+
+    const { changes } = diffRecipeContent(baseRecipe(), to);
+
+    assert.deepEqual(changes.instructions, {
+      added: [{ stepNumber: 3, description: "Blend." }],
+      removed: [],
+      changed: [
+        {
+          stepNumber: 2,
+          from: { description: "Simmer for 20 minutes.", duration: "" },
+          to: { description: "Simmer for 30 minutes.", duration: "" },
+        },
+      ],
+    });
+  });
+});
+
+describe("summarizeRecipeDiff", () => {
+  it("writes one sentence per change", () => {
+    const to = baseRecipe();
+    to.title = "Vegan Tomato Soup";
+    to.description = "A simple vegan soup.";
+    to.servings = 2;
+    to.tags = ["soup", "vegan"];
+    to.cookingTime = { prep: 10, cook: 25, total: 35 };
+    to.dietaryInfo = { isVegetarian: true, isVegan: true };
+    to.nutritionalInfo = { calories: 300, protein: 8 };
+    to.ingredients = [
+      { name: "tomato", amount: "8", unit: "" },
+      { name: "coconut milk", amount: "100", unit: "ml" },
+    ];
+    to.instructions = [baseRecipe().instructions[0]];
+
+    const summary = summarizeRecipeDiff(diffRecipeContent(baseRecipe(), to));
+
+    assert.deepEqual(summary, [
+      'Renamed from "Tomato Soup" to "Vegan Tomato Soup"',
+      "Updated the description",
+      "servings changed from 4 to 2",
+      "Cooking time: cook 20 → 25 min, total 30 → 35 min",
+      "Now vegan",
+      "Nutrition: calories 400 → 300",
+      "tags: +vegan",
+      "Added ingredients: coconut milk",
+      "Removed ingredients: Cream",
+      "Changed quantities: tomato (6 → 8)",
+      "Instructions: removed 1 step",
+    ]);
+  });
+
+  it("is empty without changes", () => {
+    assert.deepEqual(
+      summarizeRecipeDiff(diffRecipeContent(baseRecipe(), baseRecipe())),
+      []
+    );
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  scaleIngredient,
+  scaleRecipe,
+} = require("../src/utils/servingsScaler");
+
+const scaledAmount = (ingredient, factor) => {
+  const { amount, unit } = scaleIngredient(
+    { name: "flour", ...ingredient },
+    factor
+  );
+  return unit ? `${amount} | ${unit}` : amount;
+};
+
+describe("scaleIngredient", () => {
+  it("scales amounts and ranges", () => {
+    assert.equal(scaledAmount({ amount: "1 1/2", unit: "cup" }, 2), "3 | cups");
+    assert.equal(scaledAmount({ amount: "2-3 large" }, 2), "4-6 large");
+  });
+
+  it("moves to a better unit of the same system", () => {
+    assert.equal(scaledAmount({ amount: "1", unit: "tsp" }, 3), "1 | tbsp");
+    assert.equal(scaledAmount({ amount: "800 g" }, 2), "1.6 kg");
+  });
+
+  it("makes the unit in the amount agree with the scaled number", () => {
+    assert.equal(scaledAmount({ amount: "2 cups" }, 0.5), "1 cup");
+    assert.equal(scaledAmount({ amount: "1 cup" }, 2), "2 cups");
+    assert.equal(scaledAmount({ amount: "2 lbs" }, 0.5), "1 lb");
+    assert.equal(scaledAmount({ amount: "1 tbsp" }, 32), "2 cups");
+  });
+
+  it("does the same for the unit field", () => {
+    assert.equal(scaledAmount({ amount: "2", unit: "cups" }, 0.5), "1 | cup");
+    assert.equal(
+      scaledAmount({ amount: "1", unit: "teaspoon" }, 2),
+      "2 | teaspoons"
+    );
+    // Abbreviations stay singular
+    assert.equal(scaledAmount({ amount: "1", unit: "lb" }, 3), "3 | lb");
+  });
+
+  it("scales reversed ranges in order", () => {
+    assert.equal(scaledAmount({ amount: "10-5 g" }, 2), "10-20 g");
+  });
+
+  it("leaves amounts without a quantity unscaled", () => {
+    assert.deepEqual(scaleIngredient({ name: "salt", amount: "to taste" }, 2), {
+      name: "salt",
+      amount: "to taste",
+      scalable: false,
+    });
+  });
+});
+
+describe("scaleRecipe", () => {
+  it("scales ingredients and nutrition to the servings", () => {
+    const { recipe, scaling } = scaleRecipe(
+      {
+        servings: 4,
+        ingredients: [
+          { name: "rice", amount: "2 cups" },
+          { name: "salt", amount: "to taste" },
+        ],
+        nutritionalInfo: { calories: 400, protein: 10.5 },
+      },
+      2
+    );
+
+    assert.equal(recipe.servings, 2);
+    assert.equal(recipe.ingredients[0].amount, "1 cup");
+    assert.deepEqual(recipe.nutritionalInfo, { calories: 200, protein: 5.3 });
+    assert.deepEqual(scaling, {
+      originalServings: 4,
+      servings: 2,
+      factor: 0.5,
+      nonScalable: ["salt"],
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const timeout = require("../src/middleware/timeout");
+
+const realSetTimeout = setTimeout;
+const delay = (ms) => new Promise((resolve) => realSetTimeout(resolve, ms));
+
+// Serve app on a free port for the duration of a test
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+
+const post = async (server, path, body = {}) => {
+  const url = `http://127.0.0.1:${server.address().port}${path}`;
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe("timeout", () => {
+  it("lets a route's own timeout replace the global one", async () => {
+    const app = express();
+    app.use(timeout(30));
+    app.post("/slow", timeout(1000), async (req, res) => {
+      await delay(100);
+      res.status(201).json({ success: true });
+    });
+    const server = await listen(app);
+
+    try {
+      assert.deepEqual(await post(server, "/slow"), {
+        status: 201,
+        body: { success: true },
+      });
+    } finally {
+      server.close();
+    }
+  });
+
+  it("still times out at the route's own limit", async () => {
+    const app = express();
+    app.use(timeout(1000));
+    app.post("/slow", timeout(30), async (req, res) => {
+      await delay(100);
+      if (!res.headersSent) res.status(201).json({ success: true });
+    });
+    const server = await listen(app);
+
+    try {
+      const { status, body } = await post(server, "/slow");
+      assert.equal(status, 408);
+      assert.equal(body.error.timeout, 30);
+    } finally {
+      server.close();
+    }
+  });
+
+  describe("meal plan generation", () => {
+    let server;
+    let consoleError;
+
+    before(async () => {
+      // The route's middleware and controller, stubbed before the router
+      // picks them up
+      const authMiddleware = require("../src/middleware/auth");
+      const aiQuotaMiddleware = require("../src/middleware/aiQuota");
+      const mealPlanController = require(
+        "../src/controllers/mealPlanController"
+      );
+      mock.method(authMiddleware, "auth", (req, res, next) => next());
+      mock.method(authMiddleware, "requireVerifiedEmail", (req, res, next) =>
+        next()
+      );
+      mock.method(aiQuotaMiddleware, "aiQuota", (req, res, next) => next());
+      // Sequential AI calls taking 100 (scaled) seconds in all
+      mock.method(mealPlanController, "generateMealPlan", async (req, res) => {
+        await delay(100);
+        res.status(201).json({ success: true });
+      });
+      const mealPlanRoutes = require("../src/routes/mealPlans");
+
+      // Run the request timeouts at a thousandth of their length
+      mock.method(global, "setTimeout", (callback, ms, ...args) =>
+        realSetTimeout(callback, ms >= 10000 ? ms / 1000 : ms, ...args)
+      );
+      consoleError = mock.method(console, "error", () => {});
+
+      // Installed like server.js does
+      const app = express();
+      app.use(express.json());
+      app.use(timeout(30000));
+      app.use("/api/meal-plans", mealPlanRoutes);
+      server = await listen(app);
+    });
+
+    after(() => {
+      server.close();
+      mock.restoreAll();
+    });
+
+    it("isn't cut off by the global 30 second timeout", async () => {
+      const { status, body } = await post(server, "/api/meal-plans/generate", {
+        days: 7,
+      });
+
+      assert.equal(status, 201);
+      assert.deepEqual(body, { success: true });
+      assert.equal(consoleError.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findDensity,
+  canonicalizeIngredientUnit,
+  convertIngredient,
+  convertTemperatures,
+  convertRecipe,
+} = require("../src/utils/unitConversion");
+
+describe("findDensity", () => {
+  it("matches the whole name or its last words", () => {
+    assert.equal(findDensity("flour"), 125);
+    assert.equal(findDensity("unsalted butter"), 227);
+    assert.equal(findDensity("all-purpose flour"), 125);
+  });
+
+  it("prefers the longest matching entry", () => {
+    assert.equal(findDensity("peanut butter"), 258);
+    assert.equal(findDensity("brown sugar"), 220);
+  });
+
+  it("returns null for unknown ingredients", () => {
+    assert.equal(findDensity("carrot"), null);
+  });
+});
+
+describe("canonicalizeIngredientUnit", () => {
+  it("resolves unit aliases", () => {
+    assert.deepEqual(
+      canonicalizeIngredientUnit({ amount: "1", unit: "Tablespoons" }),
+      { amount: "1", unit: "tbsp" }
+    );
+  });
+
+  it("moves a unit written into the amount", () => {
+    assert.deepEqual(canonicalizeIngredientUnit({ amount: "2 cups" }), {
+      amount: "2",
+      unit: "cup",
+    });
+  });
+
+  it("keeps unknown units and amounts without a unit", () => {
+    assert.deepEqual(
+      canonicalizeIngredientUnit({ amount: "2", unit: "handfuls" }),
+      { amount: "2", unit: "handfuls" }
+    );
+    assert.deepEqual(canonicalizeIngredientUnit({ amount: "3 large" }), {
+      amount: "3 large",
+      unit: undefined,
+    });
+  });
+});
+
+describe("convertIngredient", () => {
+  it("weighs ingredients with a known density in metric", () => {
+    assert.deepEqual(
+      convertIngredient({ name: "flour", amount: "2", unit: "cup" }, "metric"),
+      { name: "flour", amount: "250", unit: "g" }
+    );
+  });
+
+  it("measures ingredients with a known density by volume in imperial", () => {
+    assert.deepEqual(
+      convertIngredient({ name: "butter", amount: "227", unit: "g" }, "imperial"),
+      { name: "butter", amount: "1", unit: "cup" }
+    );
+  });
+
+  it("converts volumes of other ingredients between systems", () => {
+    assert.deepEqual(
+      convertIngredient({ name: "milk", amount: "1", unit: "cup" }, "metric"),
+      { name: "milk", amount: "237", unit: "ml" }
+    );
+  });
+
+  it("converts the unit written into the amount", () => {
+    assert.deepEqual(
+      convertIngredient({ name: "flour", amount: "2 cups" }, "metric"),
+      { name: "flour", amount: "250", unit: "g" }
+    );
+  });
+
+  it("leaves spoons, amounts in the target system and unmeasured ones", () => {
+    const spoon = { name: "salt", amount: "1", unit: "tsp" };
+    const metric = { name: "milk", amount: "200", unit: "ml" };
+    const toTaste = { name: "salt", amount: "to taste" };
+
+    assert.equal(convertIngredient(spoon, "metric"), spoon);
+    assert.equal(convertIngredient(metric, "metric"), metric);
+    assert.equal(convertIngredient(toTaste, "metric"), toTaste);
+  });
+});
+
+describe("convertTemperatures", () => {
+  it("converts to oven dial steps", () => {
+    assert.equal(
+      convertTemperatures("Bake at 350°F for 20 minutes", "metric"),
+      "Bake at 175°C for 20 minutes"
+    );
+    assert.equal(convertTemperatures("Bake at 180 °C", "imperial"), "Bake at 350°F");
+  });
+
+  it("leaves text that already gives both scales", () => {
+    const text = "Bake at 180°C (350°F)";
+    assert.equal(convertTemperatures(text, "imperial"), text);
+  });
+});
+
+describe("convertRecipe", () => {
+  it("converts ingredients and instruction temperatures", () => {
+    const recipe = {
+      title: "Bread",
+      ingredients: [{ name: "flour", amount: "2", unit: "cup" }],
+      instructions: [{ stepNumber: 1, description: "Bake at 400°F" }],
+    };
+
+    const converted = convertRecipe(recipe, "metric");
+
+    assert.equal(converted.title, "Bread");
+    assert.deepEqual(converted.ingredients, [
+      { name: "flour", amount: "250", unit: "g" },
+    ]);
+    assert.equal(converted.instructions[0].description, "Bake at 205°C");
+    assert.equal(recipe.ingredients[0].unit, "cup");
+  });
+});